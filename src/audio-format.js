@@ -0,0 +1,144 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Audio containers claude-sound accepts, recognised by extension and checked
+ * by their leading bytes ("magic"), so a text file renamed .mp3 is refused.
+ *
+ * @typedef {'mp3' | 'wav' | 'ogg' | 'flac' | 'm4a' | 'aiff'} AudioFormat
+ */
+
+/** @type {Record<AudioFormat, { label: string; extensions: string[] }>} */
+export const AUDIO_FORMATS = {
+  mp3: { label: 'MP3', extensions: ['.mp3'] },
+  wav: { label: 'WAV', extensions: ['.wav'] },
+  ogg: { label: 'OGG', extensions: ['.ogg', '.oga', '.opus'] },
+  flac: { label: 'FLAC', extensions: ['.flac'] },
+  m4a: { label: 'M4A', extensions: ['.m4a', '.aac', '.mp4'] },
+  aiff: { label: 'AIFF', extensions: ['.aiff', '.aif', '.aifc'] }
+};
+
+/** Every accepted extension (lowercase, with the dot). */
+export const AUDIO_EXTENSIONS = Object.values(AUDIO_FORMATS).flatMap((f) => f.extensions);
+
+/** Enough to see past the container header (after any ID3 tag). */
+const SNIFF_BYTES = 64;
+
+/**
+ * Format implied by a file name's extension.
+ * @param {string} fileName
+ * @returns {AudioFormat | null}
+ */
+export function formatForFile(fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  for (const [format, { extensions }] of Object.entries(AUDIO_FORMATS)) {
+    if (extensions.includes(ext)) return /** @type {AudioFormat} */ (format);
+  }
+  return null;
+}
+
+/**
+ * True if a file name has an accepted audio extension.
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isAudioFileName(fileName) {
+  return formatForFile(fileName) !== null;
+}
+
+/**
+ * Size of a leading ID3v2 tag, or 0. MP3s (and the odd FLAC) start with one.
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+export function id3TagSize(buf) {
+  if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+  // Size is 4 bytes of 7 bits each; flag 0x10 adds a 10-byte footer.
+  const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+  return 10 + size + (buf[5] & 0x10 ? 10 : 0);
+}
+
+/**
+ * True if buf starts with an MPEG audio frame header (layer I-III).
+ * @param {Buffer} buf
+ * @returns {boolean}
+ */
+function isMpegFrame(buf) {
+  if (buf.length < 4 || buf[0] !== 0xff || (buf[1] & 0xe0) !== 0xe0) return false;
+  const version = (buf[1] >> 3) & 0x03;
+  const layer = (buf[1] >> 1) & 0x03;
+  const bitrate = buf[2] >> 4;
+  const rate = (buf[2] >> 2) & 0x03;
+  return version !== 1 && layer !== 0 && bitrate !== 0x0f && rate !== 0x03;
+}
+
+/**
+ * Identify the container from the first bytes of a file. `afterId3` is the
+ * data right after a leading ID3 tag, when there is one.
+ * @param {Buffer} head
+ * @param {Buffer} [afterId3]
+ * @returns {AudioFormat | null}
+ */
+export function sniffAudioFormat(head, afterId3) {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(8, 12))) return 'aiff';
+  if (ascii(4, 8) === 'ftyp') return 'm4a';
+  if (ascii(0, 3) === 'ID3') {
+    if (afterId3 && afterId3.toString('latin1', 0, 4) === 'fLaC') return 'flac';
+    return 'mp3';
+  }
+  if (isMpegFrame(head)) return 'mp3';
+  // ADTS AAC (.aac) has a sync word like MPEG audio, with layer bits 00.
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xf6) === 0xf0) return 'm4a';
+  return null;
+}
+
+/**
+ * Sniff a file's format from its content.
+ * @param {string} filePath
+ * @returns {Promise<AudioFormat | null>}
+ */
+export async function sniffAudioFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(head, 0, SNIFF_BYTES, 0);
+    const start = head.subarray(0, bytesRead);
+    const tag = id3TagSize(start);
+    if (tag === 0) return sniffAudioFormat(start);
+    const after = Buffer.alloc(4);
+    const { bytesRead: afterRead } = await handle.read(after, 0, 4, tag);
+    return sniffAudioFormat(start, after.subarray(0, afterRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check that data in memory is the format its file name says.
+ * @param {Buffer} data
+ * @param {string} fileName
+ * @returns {string | null} error message, or null if it matches
+ */
+export function audioContentError(data, fileName) {
+  const expected = formatForFile(fileName);
+  if (!expected) return `unsupported file type: ${path.extname(fileName) || '(no extension)'}`;
+  const tag = id3TagSize(data);
+  const actual = sniffAudioFormat(data.subarray(0, SNIFF_BYTES), tag > 0 ? data.subarray(tag, tag + 4) : undefined);
+  return mismatchError(expected, actual);
+}
+
+/**
+ * @param {AudioFormat} expected
+ * @param {AudioFormat | null} actual
+ * @returns {string | null}
+ */
+export function mismatchError(expected, actual) {
+  if (actual === expected) return null;
+  const label = AUDIO_FORMATS[expected].label;
+  if (!actual) return `content is not a recognised audio file (expected ${label})`;
+  return `content is ${AUDIO_FORMATS[actual].label} but the extension says ${label}; rename it to ${AUDIO_FORMATS[actual].extensions[0]}`;
+}
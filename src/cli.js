@@ -1,113 +1,2390 @@
 #!/usr/bin/env node
 
-import { intro, outro, select, text, isCancel, cancel, note, spinner } from '@clack/prompts';
+import {
+  intro,
+  outro,
+  select,
+  multiselect,
+  autocomplete,
+  text,
+  confirm,
+  isCancel,
+  cancel,
+  note,
+  spinner
+} from '@clack/prompts';
 import pc from 'picocolors';
 import process from 'node:process';
 import fs from 'node:fs/promises';
-import { playSound } from './play.js';
-import { listSounds, listSoundsGrouped, ensureSoundsLoaded, invalidateSoundCache } from './sounds.js';
-import { generateTts } from './tts.js';
+import path from 'node:path';
+import { openSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import {
+  listSounds,
+  listSoundsGrouped,
+  invalidateSoundCache,
+  resolveSoundPath,
+  soundSource,
+  packGroups,
+  packSoundCategory,
+  setFavorite,
+  soundGroupOf,
+  expandPool,
+  poolIncludes
+} from './sounds.js';
+import { readRecentSounds, recordRecentSound } from './recent.js';
+import { installPack, packNameOf, readInstalledPacks, removePack } from './packs.js';
+import {
+  CUSTOM_PREFIX,
+  toCustomId,
+  findSoundUsages,
+  describeUsage,
+  setCustomLabel,
+  setCustomLabels,
+  renameCustomSound,
+  renameInMappings,
+  deleteCustomSound
+} from './custom-sounds.js';
+import {
+  generateTts,
+  detectTtsProviders,
+  getTtsProvider,
+  preferredTtsProvider,
+  prepareTts,
+  customNameError,
+  TTS_LANGUAGES,
+  SLOW_SPEED
+} from './tts.js';
 import { importSound } from './import-sound.js';
-import { selectWithSoundPreview } from './select-with-preview.js';
+import {
+  parseNotes,
+  toneSpecError,
+  toneDuration,
+  toneLabel,
+  renderTone,
+  saveTone,
+  TONE_DEFAULTS,
+  WAVEFORM_NAMES
+} from './synth.js';
+import { AUDIO_FORMATS } from './audio-format.js';
+import { selectWithSoundPreview, searchWithSoundPreview } from './select-with-preview.js';
+import {
+  playSoundPreview,
+  playFilePreview,
+  playSoundFile,
+  stopPreview,
+  configurePlayers,
+  setPlayerOverride,
+  detectPlayers,
+  warmPlayer,
+  playerForFormat,
+  unsupportedPlayOptions
+} from './play.js';
+import { readHookPayload } from './rules.js';
+import { playForHook } from './hook-play.js';
+import {
+  SPEECH_PREFIX,
+  DEFAULT_SPEECH_FALLBACK,
+  isSpeechId,
+  loadSpeechTemplates,
+  renderSpeechTemplate,
+  speechTemplateError
+} from './speech.js';
+import { CUE_PREFIX, MAX_CUE_S, cuesPath, readCues, cueSoundIds, isCueId } from './cues.js';
+import { formatDiff } from './diff.js';
+import { readConfig, updateConfig, configFilePath } from './config.js';
+import { policyError, policiesErrors } from './policy.js';
+import { sendToDaemon, daemonSocketPath } from './daemon-client.js';
+import { runDaemon, daemonLogPath } from './daemon.js';
+import { runDoctor } from './doctor.js';
+import { exportProfile, parseProfile, planProfileApply, withoutMissing, writeProfileSounds } from './profile.js';
 import {
   HOOK_EVENTS,
   configPathForScope,
   readJsonIfExists,
   writeJson,
   getExistingManagedMappings,
-  applyMappingsToSettings
+  applyMappingsToSettings,
+  updateManagedMappings,
+  updateJsonFile,
+  COMMAND_STRATEGIES,
+  resolveCommandOptions,
+  validateCommandOptions,
+  describeCommandOptions,
+  packageVersion,
+  sidecarPathForScope,
+  normalizeMappings,
+  SCOPES,
+  DEFAULT_MATCHER,
+  matchersOverlappingCatchAll,
+  MATCHER_EVENTS,
+  isValidMatcher,
+  isValidVolume,
+  parsePlaybackFlags,
+  parsePoolFlags,
+  pickPlaybackOptions,
+  playbackOptionsError,
+  PLAYBACK_OPTION_KEYS,
+  pickPoolOptions,
+  poolOptionsError,
+  DEFAULT_PICK,
+  POOL_GROUP_PREFIX,
+  setMappingEntry,
+  removeMappingEntry,
+  readAllScopeMappings,
+  HOOK_TIMEOUT_S
 } from './hooks.js';
+import { readAudioMetadata, readSoundMetadata, describeMetadata, formatDuration } from './metadata.js';
 
 function usage(exitCode = 0) {
   process.stdout.write(`\
-claude-sound (macOS, Windows, Linux)\n\nUsage:\n  npx claude-sound@latest                Interactive hook sound setup\n  claude-sound                          Interactive hook sound setup\n\n  claude-sound play --sound <id>         Play a bundled sound\n  claude-sound import <path>            Import MP3/WAV into custom sounds\n  claude-sound list-sounds              List bundled sound ids\n  claude-sound list-events              List Claude hook event names\n\nOptions:\n  -h, --help                             Show help\n\nExamples:\n  npx claude-sound@latest\n  npx claude-sound@latest play --sound ring1\n  claude-sound import ./notification.mp3\n`);
+claude-sound (macOS, Windows, Linux)\n\nUsage:\n  npx claude-sound@latest                Interactive hook sound setup\n  claude-sound                          Interactive hook sound setup\n\n  claude-sound play --sound <id> [--event <e>]\n                                        Play a sound (applies rules to hook JSON on stdin)\n  claude-sound import <path>            Import an audio file into custom sounds\n  claude-sound synth "<notes>" [--wave <w>] [--attack <s>] [--release <s>] [--gap <s>]\n         [--out-id <name>] [--force] [--play | --preview]\n                                        Design a tone from notes and save it as a custom sound\n  claude-sound tts "<text>" [--lang <code>] [--voice <name>] [--slow | --speed <0.5-2>]\n         [--provider <name>] [--out-id <name>] [--force]\n                                        Generate a custom sound from text (reuses cached audio)\n  claude-sound set --event <e> --sound <id> [--matcher <m>] [--volume <0-100>]\n         [--start <s>] [--duration <s>] [--fade <s>]\n                                        Map an event (matcher) to a sound\n  claude-sound set --event <e> --pool <id,id,@group> [--pick random|shuffle|rotate] ...\n                                        Map an event to a pool: a different sound each time\n  claude-sound unset --event <e> [--matcher <m>]\n                                        Remove an event's mapping(s)\n  claude-sound remove-all               Remove all claude-sound hooks\n  claude-sound volume [0-100]           Show or set the master volume\n  claude-sound policy set [--event <e>] [--min-interval <ms>] [--max-concurrent <n>] ...\n                                        Throttle hook sounds or set quiet hours (config.json)\n  claude-sound policy list [--json] | unset [--event <e>] [--<field>]\n                                        Show or remove playback policies\n  claude-sound apply <mappings.json>    Replace mappings from a JSON file\n  claude-sound profile export [--out <file>] [--bundle]\n                                        Export mappings, rules and custom sounds\n  claude-sound profile apply <file>     Reproduce a profile (--skip-missing)\n  claude-sound custom list [--json]     List your custom sounds, labels and where they're used\n  claude-sound custom rename <id> <new-name>\n                                        Rename a custom sound and the hooks using it\n  claude-sound custom label <id> <label>\n                                        Set a custom sound's display label\n  claude-sound custom rm <id> [--force] Delete a custom sound (refuses if in use)\n  claude-sound speech add <name> "<template>" [--lang <code>] [--fallback <sound>] ...\n                                        Define a spoken message built from the hook payload\n                                        (map it as speech/<name>)\n  claude-sound speech list [--json] | rm <name>\n                                        List or remove speech templates\n  claude-sound cue list [--json]        List cues (sequences, layers, random and round-robin\n                                         sounds from ~/.claude-sound/cues.json; map as cue/<name>)\n  claude-sound pack install <path> [--force]\n                                        Install a sound pack (directory, .tar or .tgz)\n  claude-sound pack list | remove <name>\n                                        List or uninstall sound packs\n  claude-sound migrate --strategy <npx|pinned|global|path> [--client]\n                                        Rewrite existing hooks to a new command form\n  claude-sound daemon [run|start|stop|status]\n                                        Long-lived player for claude-sound-client hooks\n  claude-sound doctor [--sound <id>] [--no-play]\n                                        Diagnose why hook sounds don't play\n  claude-sound list-sounds [--long|--json]\n                                        List sound ids (--long: duration and format;\n                                         --json: groups, labels, paths and usage)\n  claude-sound list-events [--json]     List Claude hook event names (--json: mappings per scope)\n  claude-sound list-players             List audio players (● = used for playback)\n\nOptions:\n  --scope <s>                            global | project (default) | projectLocal\n  --dry-run                              Print the settings diff, write nothing\n  --player <name>                        Audio player to use (overrides "player" in config.json;\n                                         "null" logs instead of playing)\n  -h, --help                             Show help\n\nExit codes: 0 ok, 1 runtime error, 2 invalid usage or input\n\nExamples:\n  npx claude-sound@latest\n  npx claude-sound@latest play --sound ring1\n  claude-sound import ./notification.mp3\n  claude-sound synth "C6:0.12 -:0.04 G6:0.15" --wave triangle --out-id chime\n  claude-sound tts "Build finished" --lang ja --slow --out-id build-done\n  claude-sound speech add tool-failed "{tool_name} failed in {cwd_basename}"\n  claude-sound set --scope global --event Stop --sound ring3\n  claude-sound set --event Stop --pool ring1,ring3,@game --pick shuffle\n  claude-sound set --event PreToolUse --matcher Bash --sound common/pop --dry-run\n`);
+  process.exit(exitCode);
+}
+
+function parseArg(flag) {
+  const idx = process.argv.indexOf(flag);
+  if (idx === -1) return null;
+  return process.argv[idx + 1] ?? null;
+}
+
+function hasFlag(flag) {
+  return process.argv.includes(flag);
+}
+
+/** Exit codes for non-interactive commands: 1 = runtime failure, 2 = bad usage/input. */
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+function fail(message, exitCode = EXIT_USAGE) {
+  process.stderr.write(`${message}\n`);
   process.exit(exitCode);
 }
 
-function parseArg(flag) {
-  const idx = process.argv.indexOf(flag);
-  if (idx === -1) return null;
-  return process.argv[idx + 1] ?? null;
+/** updateConfig for commands: an unreadable config.json is a runtime error, not a reason to overwrite it. */
+async function saveConfig(patch) {
+  try {
+    return await updateConfig(patch);
+  } catch (err) {
+    fail(String(err?.message || err), EXIT_ERROR);
+  }
+}
+
+/** Labels are cosmetic: a failed write is reported but never fails the command. */
+async function saveLabel(soundId, label) {
+  try {
+    await setCustomLabels({ [soundId]: label });
+  } catch (err) {
+    process.stderr.write(`Warning: could not save the label for ${soundId}: ${err?.message || err}\n`);
+  }
+}
+
+const SOUND_GROUPS = [
+  { value: 'common', label: 'Common' },
+  { value: 'game', label: 'Game' },
+  { value: 'ring', label: 'Ring' },
+  { value: 'custom', label: 'Custom (TTS & imported)' },
+  { value: 'cue', label: 'Cues' },
+  { value: '__pool__', label: 'Pool (a different sound each time)' },
+  { value: '__create__', label: 'Create my own (text-to-speech)' },
+  { value: '__tone__', label: 'Design a tone' },
+  { value: '__import__', label: 'Import from file' }
+];
+
+/**
+ * SOUND_GROUPS plus one group per installed pack, before the create/import entries.
+ * @returns {Array<{ value: string; label: string }>}
+ */
+function soundGroups() {
+  const actions = SOUND_GROUPS.filter((g) => g.value.startsWith('__'));
+  return [...SOUND_GROUPS.filter((g) => !g.value.startsWith('__')), ...packGroups(), ...actions];
+}
+
+/**
+ * Get display string for a sound: "Group / label" for grouped sounds, "label" for ring.
+ * @param {string} soundId
+ * @param {Record<string, string>} labels
+ * @returns {string}
+ */
+function formatSoundDisplay(soundId, labels) {
+  const displayName = labels[soundId] ?? (soundId.includes('/') ? soundId.split('/')[1] : soundId);
+  if (isSpeechId(soundId)) return `Speech / ${displayName}`;
+  const group = soundGroups().find(
+    (g) =>
+      (g.value !== '__create__' && soundId.startsWith(g.value + '/')) ||
+      (g.value === 'ring' && !soundId.includes('/'))
+  );
+  return group ? `${group.label} / ${displayName}` : displayName;
+}
+
+/**
+ * Build options for a single sound group, with the pack category and duration as hint.
+ * @param {string[]} ids
+ * @param {Record<string, string>} labels
+ * @returns {Promise<Array<{ value: string; label: string; hint?: string }>>}
+ */
+async function buildSoundOptionsForGroup(ids, labels) {
+  return Promise.all(
+    ids.map(async (id) => {
+      const displayName = labels[id] ?? (id.includes('/') ? id.split('/')[1] : id);
+      const { duration } = await readSoundMetadata(id);
+      const hint = [packSoundCategory(id), duration === undefined ? undefined : formatDuration(duration)]
+        .filter(Boolean)
+        .join(' · ');
+      return { value: id, label: displayName, hint: hint || undefined };
+    })
+  );
+}
+
+async function cmdPlay() {
+  const soundId = parseArg('--sound');
+  if (!soundId) {
+    process.stderr.write('Missing --sound <id>\n');
+    process.exit(1);
+  }
+
+  // Claude Code writes the hook payload (tool_name, session_id, ...) to stdin.
+  const payload = await readHookPayload();
+
+  try {
+    const { soundId: played, skipped, speechError } = await playForHook({
+      eventName: parseArg('--event'),
+      soundId,
+      payload,
+      ...parsePoolFlags(parseArg),
+      ...parsePlaybackFlags(parseArg)
+    });
+    if (speechError && process.env.CLAUDE_SOUND_DEBUG) {
+      process.stderr.write(`[claude-sound] ${soundId} fell back to ${played}: ${speechError}\n`);
+    }
+    if (skipped && process.env.CLAUDE_SOUND_DEBUG) {
+      process.stderr.write(`[claude-sound] skipped ${played}: ${skipped}\n`);
+    }
+  } catch (err) {
+    process.stderr.write(`Failed to play sound '${soundId}': ${err?.message || err}\n`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Warnings for an imported sound: no available player can decode it, or
+ * it outlasts the hook timeout.
+ * @param {string} soundId
+ * @param {string} filePath
+ * @param {import('./audio-format.js').AudioFormat} format
+ * @returns {Promise<string[]>}
+ */
+async function importWarnings(soundId, filePath, format) {
+  const warnings = [];
+  if (!playerForFormat(format)) {
+    warnings.push(`No available player can play ${AUDIO_FORMATS[format].label} files; install ffmpeg (ffplay) or mpv to hear it.`);
+  }
+  const { duration } = await readAudioMetadata(filePath);
+  if (duration !== undefined && duration > HOOK_TIMEOUT_S) {
+    warnings.push(
+      `${soundId} is ${formatDuration(duration)} long; hooks stop playback after ${HOOK_TIMEOUT_S}s. ` +
+        `Trim it when mapping (--duration <s>, or "Trim / fade" in the setup UI).`
+    );
+  }
+  return warnings;
+}
+
+/**
+ * Why a cue can't be mapped, or null: a sequence or layer longer than
+ * MAX_CUE_S would be cut off by the hook timeout. Sounds must be loaded.
+ * @param {string} soundId
+ * @returns {Promise<string | null>}
+ */
+async function cueLengthError(soundId) {
+  if (!isCueId(soundId)) return null;
+  const { duration } = await readSoundMetadata(soundId);
+  if (duration === undefined || duration <= MAX_CUE_S) return null;
+  return (
+    `${soundId} plays for ${formatDuration(duration)}, but hooks stop after ${MAX_CUE_S}s; ` +
+    `shorten it in ${cuesPath()}`
+  );
+}
+
+/**
+ * cueLengthError for a mapping's sound and its pool.
+ * @param {import('./hooks.js').MappingEntry} entry
+ * @returns {Promise<string | null>}
+ */
+async function mappingCueError(entry) {
+  for (const id of new Set([entry.soundId, ...(entry.pool ?? [])])) {
+    const error = await cueLengthError(id);
+    if (error) return error;
+  }
+  return null;
+}
+
+async function cmdImport() {
+  const filePath = parseArg('--file') ?? process.argv[3];
+  if (!filePath) {
+    process.stderr.write('Missing path. Usage: claude-sound import <path-to-audio-file>\n');
+    process.exit(1);
+  }
+
+  try {
+    const { soundId, filePath: imported, format } = await importSound(filePath);
+    process.stdout.write(`Imported: ${soundId}\n`);
+    for (const warning of await importWarnings(soundId, imported, format)) process.stderr.write(`${warning}\n`);
+  } catch (err) {
+    process.stderr.write(`Import failed: ${err?.message || err}\n`);
+    process.exit(1);
+  }
+}
+
+async function cmdTts() {
+  const input = parseArg('--text') ?? process.argv[3];
+  if (!input || input.startsWith('--')) {
+    fail(
+      'Usage: claude-sound tts "<text>" [--lang <code>] [--voice <name>] [--slow | --speed <0.5-2>]\n' +
+        '         [--provider <name>] [--out-id <name>] [--force]'
+    );
+  }
+  const rawSpeed = parseArg('--speed');
+  const speed = hasFlag('--slow') ? SLOW_SPEED : rawSpeed === null ? 1 : Number(rawSpeed);
+  if (rawSpeed !== null && (rawSpeed.trim() === '' || !Number.isFinite(speed))) fail(`Invalid --speed: ${rawSpeed}`);
+  if (rawSpeed !== null && hasFlag('--slow')) fail('Use either --slow or --speed');
+
+  let result;
+  try {
+    result = await generateTts(input, {
+      lang: parseArg('--lang') ?? undefined,
+      voice: parseArg('--voice') ?? undefined,
+      speed,
+      provider: parseArg('--provider') ?? undefined,
+      outId: parseArg('--out-id') ?? undefined,
+      force: hasFlag('--force')
+    });
+  } catch (err) {
+    if (err?.code === 'EEXIST') fail(`${err.message} (pass --force to replace it)`);
+    fail(`TTS failed: ${err?.message || err}`, EXIT_ERROR);
+  }
+  invalidateSoundCache();
+  const { labels } = await listSoundsGrouped();
+  // New audio (possibly replacing --out-id) is labelled with its text; reused audio keeps its label.
+  if (!result.cached || !labels[result.soundId]) {
+    await saveLabel(result.soundId, input.trim().slice(0, 30));
+  }
+  process.stdout.write(
+    result.cached
+      ? `Reused ${result.soundId} (already generated)\n`
+      : `Created ${result.soundId} (${result.provider})\n`
+  );
+}
+
+/**
+ * Parse --wave/--attack/--release/--gap for `synth`; exits with a usage error if any is malformed.
+ * @returns {Omit<import('./synth.js').ToneSpec, 'notes'>}
+ */
+function parseToneArgs() {
+  const opts = {};
+  const wave = parseArg('--wave');
+  if (wave !== null) opts.waveform = wave;
+  for (const key of ['attack', 'release', 'gap']) {
+    const raw = parseArg(`--${key}`);
+    if (raw === null) continue;
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) fail(`Invalid --${key}: ${raw}`);
+    opts[key] = value;
+  }
+  return opts;
+}
+
+async function cmdSynth() {
+  const input = parseArg('--notes') ?? process.argv[3];
+  if (!input || input.startsWith('--')) {
+    fail(
+      'Usage: claude-sound synth "<notes>" [--wave sine|square|triangle|saw] [--attack <s>] [--release <s>] [--gap <s>]\n' +
+        '         [--out-id <name>] [--force] [--play | --preview]\n' +
+        '  notes: <pitch>[:<seconds>] ..., pitch in Hz or a note name; "-" is a rest, e.g. "C6:0.12 -:0.04 G6:0.15"'
+    );
+  }
+  /** @type {import('./synth.js').ToneSpec} */
+  let spec;
+  try {
+    spec = { notes: parseNotes(input), ...parseToneArgs() };
+  } catch (err) {
+    fail(String(err?.message || err));
+  }
+  const error = toneSpecError(spec);
+  if (error) fail(error);
+
+  if (hasFlag('--preview')) {
+    const file = path.join(tmpdir(), `claude-sound-tone-${process.pid}.wav`);
+    let playError = null;
+    try {
+      await fs.writeFile(file, renderTone(spec));
+      await playSoundFile(file, 'tone preview');
+    } catch (err) {
+      playError = err;
+    } finally {
+      await fs.rm(file, { force: true });
+    }
+    // fail() exits, so only after the temp file is gone.
+    if (playError) fail(`Could not play the tone: ${playError?.message || playError}`, EXIT_ERROR);
+    return;
+  }
+
+  let result;
+  try {
+    result = await saveTone(spec, { outId: parseArg('--out-id') ?? undefined, force: hasFlag('--force') });
+  } catch (err) {
+    if (err?.code === 'EEXIST') fail(`${err.message} (pass --force to replace it)`);
+    fail(String(err?.message || err), EXIT_ERROR);
+  }
+  invalidateSoundCache();
+  const { labels } = await listSoundsGrouped();
+  if (!result.existed || !labels[result.soundId]) {
+    await saveLabel(result.soundId, toneLabel(input));
+  }
+  process.stdout.write(
+    result.existed
+      ? `Reused ${result.soundId} (already saved)\n`
+      : `Created ${result.soundId} (${formatDuration(toneDuration(spec))})\n`
+  );
+  if (hasFlag('--play')) {
+    try {
+      await playSoundFile(result.filePath, result.soundId);
+    } catch (err) {
+      fail(`Could not play ${result.soundId}: ${err?.message || err}`, EXIT_ERROR);
+    }
+  }
+}
+
+/**
+ * Parse --scope for non-interactive commands (default: project).
+ * @returns {string}
+ */
+function parseScopeArg() {
+  const scope = parseArg('--scope') ?? 'project';
+  if (!SCOPES.includes(scope)) {
+    fail(`Invalid --scope: ${scope} (expected one of: ${SCOPES.join(', ')})`);
+  }
+  return scope;
+}
+
+/**
+ * Parse --volume/--start/--duration/--fade; exits with a usage error if any is malformed.
+ * @returns {import('./hooks.js').PlaybackOptions}
+ */
+function parsePlaybackArgs() {
+  /** @type {import('./hooks.js').PlaybackOptions} */
+  const opts = {};
+  for (const key of PLAYBACK_OPTION_KEYS) {
+    const raw = parseArg(`--${key}`);
+    if (raw === null) continue;
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) fail(`Invalid --${key}: ${raw}`);
+    opts[key] = value;
+  }
+  const error = playbackOptionsError(opts);
+  if (error) fail(error);
+  return opts;
+}
+
+/**
+ * Parse --pool (comma-separated sound ids and @<group>s) and --pick.
+ * @returns {import('./hooks.js').PoolOptions}
+ */
+function parsePoolArgs() {
+  const rawPool = parseArg('--pool');
+  const pick = parseArg('--pick');
+  if (rawPool === null) {
+    if (pick !== null) fail('--pick needs --pool');
+    return {};
+  }
+  /** @type {import('./hooks.js').PoolOptions} */
+  const opts = { pool: rawPool.split(',').map((item) => item.trim()).filter(Boolean), pick: pick ?? DEFAULT_PICK };
+  const error = poolOptionsError(opts);
+  if (error) fail(error);
+  return opts;
+}
+
+/**
+ * Why a pool entry can't be used: an unknown sound, a group with no sounds,
+ * or a speech template (pools hold sounds and cues only).
+ * @param {string} item
+ * @param {string[]} knownSounds
+ * @returns {string | null}
+ */
+function poolItemError(item, knownSounds) {
+  if (isSpeechId(item)) return `Pools can't hold speech templates: ${item}`;
+  if (!item.startsWith(POOL_GROUP_PREFIX)) {
+    return knownSounds.includes(item) ? null : `Unknown sound in pool: ${item} (see claude-sound list-sounds)`;
+  }
+  const group = item.slice(POOL_GROUP_PREFIX.length);
+  const found = knownSounds.some((id) => !isSpeechId(id) && soundGroupOf(id) === group);
+  return found ? null : `No sounds in group ${item} (groups: @common, @game, @ring, @custom, @cue, @pack:<name>)`;
+}
+
+/**
+ * Validate an event/matcher/sound triple (plus playback options) from the command line or a file.
+ * @param {{ eventName: unknown; matcher?: unknown; soundId?: unknown } & import('./hooks.js').PlaybackOptions} entry
+ * @param {string[] | null} knownSounds - when given, soundId must be one of these
+ * @returns {string | null} error message, or null if valid
+ */
+function validateMappingInput({ eventName, matcher = DEFAULT_MATCHER, soundId, ...rest }, knownSounds) {
+  if (typeof eventName !== 'string' || !HOOK_EVENTS.includes(eventName)) {
+    return `Unknown event: ${eventName} (see claude-sound list-events)`;
+  }
+  if (!isValidMatcher(matcher)) return `Invalid matcher for ${eventName}: ${JSON.stringify(matcher)}`;
+  if (matcher !== DEFAULT_MATCHER && !MATCHER_EVENTS.includes(eventName)) {
+    return `${eventName} does not support matchers; omit --matcher`;
+  }
+  if (soundId !== undefined && knownSounds && !knownSounds.includes(soundId)) {
+    return `Unknown sound: ${soundId} (see claude-sound list-sounds)`;
+  }
+  const error = playbackOptionsError(pickPlaybackOptions(rest)) ?? poolOptionsError(pickPoolOptions(rest));
+  if (error) return `${eventName}: ${error}`;
+  for (const item of (knownSounds && rest.pool) || []) {
+    const itemError = poolItemError(item, knownSounds);
+    if (itemError) return `${eventName}: ${itemError}`;
+  }
+  return null;
+}
+
+/**
+ * Print the outcome of a settings/sidecar edit: a colored diff for --dry-run,
+ * otherwise a one-line summary.
+ * @param {string} filePath
+ * @param {{ before: object; after: object; changed: boolean }} result
+ * @param {boolean} dryRun
+ * @returns {void}
+ */
+function reportFileEdit(filePath, result, dryRun) {
+  if (!result.changed) {
+    process.stdout.write(`No changes to ${filePath}\n`);
+    return;
+  }
+
+  if (dryRun) {
+    const diff = formatDiff(
+      JSON.stringify(result.before, null, 2),
+      JSON.stringify(result.after, null, 2),
+      {
+        style: (d) =>
+          d.type === '-' ? pc.red(`- ${d.line}`) : d.type === '+' ? pc.green(`+ ${d.line}`) : `  ${d.line}`
+      }
+    );
+    process.stdout.write(`--- ${filePath}\n+++ ${filePath} (dry run)\n${diff}\n`);
+    return;
+  }
+
+  process.stdout.write(`Updated ${filePath}\n`);
+}
+
+/**
+ * Sound ids a mapping may use: every sound, plus the speech templates
+ * defined for this project (speech/<name>).
+ * @returns {Promise<string[]>}
+ */
+async function mappableSoundIds() {
+  const speech = Object.keys(await loadSpeechTemplates(process.cwd())).map((name) => `${SPEECH_PREFIX}${name}`);
+  return [...(await listSounds()), ...speech];
+}
+
+/**
+ * Read-modify-write the managed mappings of --scope, honoring --dry-run.
+ * @param {(mappings: import('./hooks.js').Mappings) => import('./hooks.js').Mappings | void} update
+ * @returns {Promise<void>}
+ */
+async function editScopeMappings(update) {
+  const scope = parseScopeArg();
+  const dryRun = hasFlag('--dry-run');
+  const settingsPath = configPathForScope(scope, process.cwd());
+
+  const { hookCommand: commandOptions = {} } = await readConfig();
+
+  let result;
+  try {
+    result = await updateManagedMappings(settingsPath, update, { dryRun, commandOptions });
+  } catch (err) {
+    fail(String(err?.message || err), EXIT_ERROR);
+  }
+  reportFileEdit(settingsPath, result, dryRun);
+}
+
+async function cmdSet() {
+  const eventName = parseArg('--event');
+  const poolOpts = parsePoolArgs();
+  let soundId = parseArg('--sound');
+  const matcher = parseArg('--matcher') ?? DEFAULT_MATCHER;
+  if (!eventName || !(soundId || poolOpts.pool)) {
+    fail(
+      'Usage: claude-sound set --event <name> (--sound <id> | --pool <ids,@group> [--pick <mode>]) [--matcher <m>]\n' +
+        '         [--volume <0-100>] [--start <s>] [--duration <s>] [--fade <s>] [--scope <s>] [--dry-run]'
+    );
+  }
+  const opts = parsePlaybackArgs();
+
+  const knownSounds = await mappableSoundIds();
+  const error = validateMappingInput({ eventName, matcher, soundId: soundId ?? undefined, ...poolOpts }, knownSounds);
+  if (error) fail(error);
+  // Without --sound, a pool falls back to its first sound.
+  soundId ??= expandPool(poolOpts.pool)[0];
+
+  /** @type {import('./hooks.js').MappingEntry} */
+  const entry = { matcher, soundId, ...poolOpts, ...opts };
+  const cueError = await mappingCueError(entry);
+  if (cueError) fail(cueError);
+  const warning = trimWarning(entry);
+  if (warning) process.stderr.write(`Warning: ${warning}\n`);
+  await editScopeMappings((mappings) => setMappingEntry(mappings, eventName, entry));
+  if (!hasFlag('--dry-run') && !poolOpts.pool) await recordRecentSound(soundId);
+}
+
+async function cmdUnset() {
+  const eventName = parseArg('--event');
+  const matcher = parseArg('--matcher') ?? undefined;
+  if (!eventName) {
+    fail('Usage: claude-sound unset --event <name> [--matcher <m>] [--scope <s>] [--dry-run]');
+  }
+
+  const error = validateMappingInput({ eventName, matcher }, null);
+  if (error) fail(error);
+
+  await editScopeMappings((mappings) => removeMappingEntry(mappings, eventName, matcher));
+}
+
+async function cmdDoctor() {
+  const soundId = parseArg('--sound') ?? undefined;
+  const results = await runDoctor({ projectDir: process.cwd(), soundId, play: !hasFlag('--no-play') });
+
+  const icon = { ok: pc.green('✔'), warn: pc.yellow('!'), fail: pc.red('✖') };
+  for (const r of results) {
+    process.stdout.write(`${icon[r.status]} ${r.title}\n`);
+    for (const d of r.details ?? []) process.stdout.write(`    ${pc.dim(d)}\n`);
+    if (r.hint) process.stdout.write(`    ${pc.cyan('→')} ${r.hint}\n`);
+  }
+
+  const failed = results.filter((r) => r.status === 'fail').length;
+  const warned = results.filter((r) => r.status === 'warn').length;
+  process.stdout.write(`\n${failed} problem(s), ${warned} warning(s)\n`);
+  if (failed > 0) process.exit(EXIT_ERROR);
+}
+
+async function cmdListPlayers() {
+  const players = detectPlayers();
+  let selected = null;
+  let selectError = null;
+  try {
+    selected = warmPlayer();
+  } catch (err) {
+    selectError = String(err?.message || err);
+  }
+
+  const width = Math.max(...players.map((p) => p.name.length)) + 2;
+  for (const p of players) {
+    const mark = p.name === selected ? pc.green('●') : p.available ? '○' : pc.dim('·');
+    const name = p.name.padEnd(width);
+    let info;
+    if (p.error) info = pc.red(`invalid: ${p.error}`);
+    else if (!p.available) info = pc.dim('not found');
+    else info = p.supports.length > 0 ? p.supports.join(', ') : pc.dim('no volume/trim flags (WAV is pre-rendered)');
+    if (p.available && p.formats) info += pc.dim(`  [${p.formats.join(', ')}]`);
+    const command = p.command ? `  ${pc.dim(p.command.join(' '))}` : '';
+    const tag = p.custom ? pc.cyan('custom ') : p.native ? pc.cyan('built-in ') : '';
+    process.stdout.write(`${mark} ${name}${tag}${info}${command}\n`);
+  }
+  if (selectError) process.stdout.write(`\n${pc.red(selectError)}\n`);
+}
+
+async function cmdVolume() {
+  const raw = process.argv[3];
+  if (raw === undefined) {
+    const { volume } = await readConfig();
+    process.stdout.write(`Master volume: ${isValidVolume(volume) ? volume : 100}%\n`);
+    return;
+  }
+
+  const volume = Number(raw);
+  if (!isValidVolume(volume)) fail(`Invalid volume: ${raw} (expected a whole number 0-100)`);
+  await saveConfig({ volume });
+  process.stdout.write(`Master volume set to ${volume}%\n`);
+}
+
+/** `policy set` flags for plain numeric policy fields. */
+const POLICY_FLAGS = {
+  '--min-interval': 'minIntervalMs',
+  '--collapse-window': 'collapseWindowMs',
+  '--max-concurrent': 'maxConcurrent'
+};
+
+/** `policy set` flags for quietHours fields other than from/to. */
+const QUIET_HOURS_FLAGS = { '--quiet-mode': 'mode', '--quiet-interval': 'reducedIntervalMs', '--quiet-volume': 'volume' };
+
+const POLICY_USAGE =
+  'Usage: claude-sound policy list [--json]\n' +
+  '       claude-sound policy set [--event <e>] [--min-interval <ms>] [--collapse-window <ms>] [--max-concurrent <n>]\n' +
+  '         [--quiet-hours <HH:MM-HH:MM>] [--quiet-mode silent|reduced] [--quiet-interval <ms>] [--quiet-volume <0-100>]\n' +
+  '       claude-sound policy unset [--event <e>] [--min-interval] [--collapse-window] [--max-concurrent] [--quiet-hours]';
+
+/**
+ * One-line summary of a policy, e.g. "min interval 2000ms, quiet 22:00-08:00 silent".
+ * @param {import('./policy.js').PlaybackPolicy} policy
+ * @returns {string}
+ */
+function formatPolicy(policy) {
+  const parts = [];
+  if (policy.minIntervalMs !== undefined) parts.push(`min interval ${policy.minIntervalMs}ms`);
+  if (policy.collapseWindowMs !== undefined) parts.push(`collapse window ${policy.collapseWindowMs}ms`);
+  if (policy.maxConcurrent !== undefined) parts.push(`max ${policy.maxConcurrent} at once`);
+  const quiet = policy.quietHours;
+  if (quiet) {
+    const reduced = quiet.mode === 'reduced' ? ` (every ${quiet.reducedIntervalMs ?? 60000}ms at ${quiet.volume ?? 100}%)` : '';
+    parts.push(`quiet ${quiet.from}-${quiet.to} ${quiet.mode ?? 'silent'}${reduced}`);
+  }
+  return parts.join(', ') || 'none';
+}
+
+/**
+ * The "policies" object from config.json, or {} when it is missing or malformed.
+ * @returns {Promise<Record<string, import('./policy.js').PlaybackPolicy>>}
+ */
+async function readPolicies() {
+  const { policies } = await readConfig();
+  return policies && typeof policies === 'object' && !Array.isArray(policies) ? policies : {};
+}
+
+/** --event for `policy set/unset`; defaults to "*" (every event). */
+function parsePolicyEvent() {
+  const eventName = parseArg('--event') ?? '*';
+  if (eventName !== '*' && !HOOK_EVENTS.includes(eventName)) {
+    fail(`Unknown event: ${eventName} (see claude-sound list-events)`);
+  }
+  return eventName;
+}
+
+async function cmdPolicyList() {
+  const policies = await readPolicies();
+  if (hasFlag('--json')) {
+    process.stdout.write(JSON.stringify(policies, null, 2) + '\n');
+    return;
+  }
+  const entries = Object.entries(policies);
+  if (entries.length === 0) {
+    process.stdout.write('No playback policies (add one with claude-sound policy set)\n');
+    return;
+  }
+  const width = Math.max(...entries.map(([eventName]) => eventName.length)) + 2;
+  for (const [eventName, policy] of entries) {
+    const valid = (eventName === '*' || HOOK_EVENTS.includes(eventName)) && !policyError(policy);
+    if (valid) process.stdout.write(`${eventName.padEnd(width)}${formatPolicy(policy)}\n`);
+  }
+  // Invalid policies are listed as errors instead; playback ignores their bad fields.
+  for (const error of policiesErrors(policies)) process.stdout.write(pc.yellow(`${error}\n`));
+}
+
+async function cmdPolicySet() {
+  const eventName = parsePolicyEvent();
+  const policies = await readPolicies();
+  const current = policies[eventName];
+  /** @type {Record<string, unknown>} */
+  const policy = current && typeof current === 'object' ? { ...current } : {};
+  let changed = false;
+
+  for (const [flag, key] of Object.entries(POLICY_FLAGS)) {
+    const raw = parseArg(flag);
+    if (raw === null) continue;
+    policy[key] = Number(raw);
+    changed = true;
+  }
+
+  const quiet = policy.quietHours && typeof policy.quietHours === 'object' ? { ...policy.quietHours } : {};
+  let quietChanged = false;
+  const hours = parseArg('--quiet-hours');
+  if (hours !== null) {
+    const [from, to] = hours.split('-');
+    Object.assign(quiet, { from, to });
+    quietChanged = true;
+  }
+  for (const [flag, key] of Object.entries(QUIET_HOURS_FLAGS)) {
+    const raw = parseArg(flag);
+    if (raw === null) continue;
+    quiet[key] = key === 'mode' ? raw : Number(raw);
+    quietChanged = true;
+  }
+  if (quietChanged) policy.quietHours = quiet;
+
+  if (!changed && !quietChanged) fail(POLICY_USAGE);
+  const error = policyError(policy);
+  if (error) fail(`Invalid policy for ${eventName}: ${error}`);
+
+  await saveConfig({ policies: { ...policies, [eventName]: policy } });
+  process.stdout.write(`Policy for ${eventName}: ${formatPolicy(policy)}\n`);
+}
+
+async function cmdPolicyUnset() {
+  const eventName = parsePolicyEvent();
+  const policies = await readPolicies();
+  if (!Object.hasOwn(policies, eventName)) fail(`No policy for ${eventName} in ${configFilePath()}`);
+
+  const fields = [...Object.entries(POLICY_FLAGS), ['--quiet-hours', 'quietHours']]
+    .filter(([flag]) => hasFlag(flag))
+    .map(([, key]) => key);
+  const { [eventName]: policy, ...rest } = policies;
+  const remaining =
+    fields.length > 0 && policy && typeof policy === 'object'
+      ? Object.fromEntries(Object.entries(policy).filter(([key]) => !fields.includes(key)))
+      : {};
+
+  if (Object.keys(remaining).length === 0) {
+    await saveConfig({ policies: rest });
+    process.stdout.write(`Removed the policy for ${eventName}\n`);
+    return;
+  }
+  await saveConfig({ policies: { ...rest, [eventName]: remaining } });
+  process.stdout.write(`Policy for ${eventName}: ${formatPolicy(remaining)}\n`);
+}
+
+async function cmdPolicy() {
+  const sub = process.argv[3];
+  if (sub === 'list') return cmdPolicyList();
+  if (sub === 'set') return cmdPolicySet();
+  if (sub === 'unset') return cmdPolicyUnset();
+  fail(POLICY_USAGE);
+}
+
+async function cmdRemoveAll() {
+  await editScopeMappings(() => ({}));
+}
+
+async function cmdApply() {
+  const filePath = process.argv[3];
+  if (!filePath || filePath.startsWith('--')) {
+    fail('Usage: claude-sound apply <mappings.json> [--scope <s>] [--dry-run]');
+  }
+
+  const res = await readJsonIfExists(filePath);
+  if (!res.ok) fail(`Could not read/parse JSON at ${filePath}: ${res.error?.message || res.error}`);
+  const raw = res.value;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw) || Object.keys(raw).length === 0) {
+    fail(`Expected an object of event -> sound in ${filePath}`);
+  }
+
+  const knownSounds = await mappableSoundIds();
+  // Accept { "Stop": "ring3", "PreToolUse": [{ "matcher": "Bash", "sound": "ring1", "volume": 40 }] };
+  // an entry with a "pool" may leave out "sound".
+  const input = {};
+  for (const [eventName, value] of Object.entries(raw)) {
+    if (!value || (typeof value !== 'string' && !Array.isArray(value))) continue; // normalizeMappings drops these
+    input[eventName] = (Array.isArray(value) ? value : [{ sound: value }]).map((e) => {
+      const entry = { matcher: e?.matcher ?? DEFAULT_MATCHER, ...pickPoolOptions(e), ...pickPlaybackOptions(e) };
+      const soundId = e?.sound ?? e?.soundId;
+      // Checked before expandPool() so a malformed pool fails with a message instead of a crash.
+      const error = validateMappingInput({ eventName, soundId, ...entry }, knownSounds);
+      if (error) fail(`${filePath}: ${error}`);
+      return { ...entry, soundId: soundId ?? (entry.pool && expandPool(entry.pool)[0]) };
+    });
+  }
+  const mappings = normalizeMappings(input);
+
+  for (const entries of Object.values(mappings)) {
+    for (const entry of entries) {
+      const error = await mappingCueError(entry);
+      if (error) fail(`${filePath}: ${error}`);
+    }
+  }
+
+  await editScopeMappings(() => mappings);
+}
+
+async function cmdProfileExport() {
+  const scope = parseScopeArg();
+  const out = parseArg('--out');
+
+  let profile;
+  try {
+    profile = await exportProfile({ scope, projectDir: process.cwd(), bundle: hasFlag('--bundle') });
+  } catch (err) {
+    fail(String(err?.message || err), EXIT_ERROR);
+  }
+
+  if (!out) {
+    process.stdout.write(JSON.stringify(profile, null, 2) + '\n');
+    return;
+  }
+  await writeJson(out, profile);
+  const bundled = profile.customSounds.filter((s) => s.data).length;
+  process.stdout.write(
+    `Exported ${Object.keys(profile.mappings).length} event(s), ${profile.customSounds.length} custom sound(s)` +
+      `${bundled ? ` (${bundled} bundled)` : ''} to ${out}\n`
+  );
+}
+
+async function cmdProfileApply() {
+  const filePath = process.argv[4];
+  if (!filePath || filePath.startsWith('--')) {
+    fail('Usage: claude-sound profile apply <profile.json> [--scope <s>] [--dry-run] [--skip-missing]');
+  }
+
+  const res = await readJsonIfExists(filePath);
+  if (!res.ok) fail(`Could not read/parse JSON at ${filePath}: ${res.error?.message || res.error}`);
+
+  let plan;
+  try {
+    plan = await planProfileApply(parseProfile(res.value), { projectDir: process.cwd() });
+  } catch (err) {
+    fail(`${filePath}: ${err?.message || err}`);
+  }
+
+  if (plan.unknown.length > 0) {
+    const packs = [...new Set(plan.unknown.map(packNameOf).filter(Boolean))];
+    const hint = packs.length > 0 ? `install pack(s) first: ${packs.join(', ')}` : 'see claude-sound list-sounds';
+    fail(`Unknown sound(s) in profile: ${plan.unknown.join(', ')} (${hint})`);
+  }
+  if (plan.missing.length > 0) {
+    process.stderr.write(
+      `Custom sound(s) not found locally and not bundled: ${plan.missing.join(', ')}\n` +
+        'Ask for a profile exported with --bundle, or import the files first.\n'
+    );
+    if (!hasFlag('--skip-missing')) process.exit(EXIT_ERROR);
+    plan = withoutMissing(plan);
+  }
+
+  const dryRun = hasFlag('--dry-run');
+  for (const w of plan.writes) {
+    const renamed = w.id !== w.fromId ? ` (as ${w.id}; name already taken)` : '';
+    process.stdout.write(`${dryRun ? 'Would add' : 'Adding'} custom sound ${w.fromId}${renamed}\n`);
+  }
+  for (const [from, to] of Object.entries(plan.remapped)) {
+    process.stdout.write(`Using local ${to} for ${from} (same content)\n`);
+  }
+
+  // Settings first: if they can't be edited, nothing else is written.
+  await editScopeMappings(() => plan.mappings);
+
+  if (!dryRun) {
+    try {
+      await writeProfileSounds(plan);
+    } catch (err) {
+      fail(`Could not write custom sounds: ${err?.message || err}`, EXIT_ERROR);
+    }
+  }
+
+  if (plan.cues.length > 0) {
+    const added = Object.fromEntries(plan.cues.map((c) => [c.id.slice(CUE_PREFIX.length), c.cue]));
+    for (const c of plan.cues.filter((c) => c.id !== c.fromId)) {
+      process.stdout.write(`Adding cue ${c.fromId} as ${c.id} (name already taken)\n`);
+    }
+    let result;
+    try {
+      result = await updateJsonFile(cuesPath(), (value) => ({ ...value, cues: { ...value?.cues, ...added } }), { dryRun });
+    } catch (err) {
+      fail(String(err?.message || err), EXIT_ERROR);
+    }
+    reportFileEdit(cuesPath(), result, dryRun);
+  }
+
+  if (plan.rules || plan.speech) {
+    const sidecarPath = sidecarPathForScope(parseScopeArg(), process.cwd());
+    let result;
+    try {
+      result = await updateJsonFile(
+        sidecarPath,
+        (sidecar) => ({
+          ...sidecar,
+          ...(plan.rules && { rules: plan.rules }),
+          ...(plan.speech && { speech: { ...sidecar.speech, ...plan.speech } })
+        }),
+        { dryRun }
+      );
+    } catch (err) {
+      fail(String(err?.message || err), EXIT_ERROR);
+    }
+    reportFileEdit(sidecarPath, result, dryRun);
+  }
+}
+
+async function cmdProfile() {
+  const sub = process.argv[3];
+  if (sub === 'export') return cmdProfileExport();
+  if (sub === 'apply') return cmdProfileApply();
+  fail(
+    'Usage: claude-sound profile export [--scope <s>] [--out <file>] [--bundle]\n' +
+      '       claude-sound profile apply <profile.json> [--scope <s>] [--dry-run] [--skip-missing]'
+  );
+}
+
+async function cmdPackInstall() {
+  const source = process.argv[4];
+  if (!source || source.startsWith('--')) fail('Usage: claude-sound pack install <dir|pack.tar|pack.tgz> [--force]');
+
+  let result;
+  try {
+    result = await installPack(source, { force: hasFlag('--force') });
+  } catch (err) {
+    fail(`Pack install failed: ${err?.message || err}`, err?.code ? EXIT_ERROR : EXIT_USAGE);
+  }
+  const { manifest, dir, replaced } = result;
+  process.stdout.write(
+    `${replaced ? 'Replaced' : 'Installed'} pack ${manifest.name}${manifest.version ? ` ${manifest.version}` : ''}` +
+      ` (${manifest.sounds.length} sound(s)) in ${dir}\n` +
+      `Sound ids: pack:${manifest.name}/<id>, e.g. pack:${manifest.name}/${manifest.sounds[0].id}\n`
+  );
+}
+
+async function cmdPackList() {
+  const packs = await readInstalledPacks();
+  if (hasFlag('--json')) {
+    process.stdout.write(JSON.stringify(packs.map((p) => ({ ...p.manifest, dir: p.dir })), null, 2) + '\n');
+    return;
+  }
+  if (packs.length === 0) {
+    process.stdout.write('No sound packs installed (claude-sound pack install <path>)\n');
+    return;
+  }
+  for (const { manifest } of packs) {
+    const details = [manifest.version, manifest.author && `by ${manifest.author}`, manifest.license]
+      .filter(Boolean)
+      .join(', ');
+    process.stdout.write(
+      `${manifest.name}  ${manifest.label ?? ''}${details ? pc.dim(` (${details})`) : ''}` +
+        `  ${manifest.sounds.length} sound(s)\n`
+    );
+  }
+}
+
+async function cmdPackRemove() {
+  const name = process.argv[4];
+  if (!name || name.startsWith('--')) fail('Usage: claude-sound pack remove <name>');
+  if (!(await removePack(name))) fail(`Pack not installed: ${name}`);
+  process.stdout.write(`Removed pack ${name}\n`);
+}
+
+async function cmdPack() {
+  const sub = process.argv[3];
+  if (sub === 'install') return cmdPackInstall();
+  if (sub === 'list') return cmdPackList();
+  if (sub === 'remove') return cmdPackRemove();
+  fail(
+    'Usage: claude-sound pack install <dir|pack.tar|pack.tgz> [--force]\n' +
+      '       claude-sound pack list [--json]\n' +
+      '       claude-sound pack remove <name>'
+  );
+}
+
+async function cmdCustomList() {
+  const { grouped, labels } = await listSoundsGrouped();
+  const ids = grouped.custom;
+  const entries = [];
+  for (const id of ids) {
+    entries.push({
+      id,
+      label: labels[id] ?? null,
+      path: resolveSoundPath(id),
+      ...(await readSoundMetadata(id)),
+      usedBy: await findSoundUsages(id, process.cwd())
+    });
+  }
+  if (hasFlag('--json')) {
+    process.stdout.write(JSON.stringify(entries, null, 2) + '\n');
+    return;
+  }
+  if (entries.length === 0) {
+    process.stdout.write('No custom sounds (create one in the setup UI, or claude-sound import <path>)\n');
+    return;
+  }
+  const width = Math.max(...ids.map((id) => id.length)) + 2;
+  for (const { id, label, usedBy, ...meta } of entries) {
+    const details = [label && `"${label}"`, describeMetadata(meta)].filter(Boolean).join('  ');
+    const used = usedBy.length > 0 ? pc.dim(`  used by ${usedBy.map(describeUsage).join(', ')}`) : '';
+    process.stdout.write(`${id.padEnd(width)}${details}${used}\n`);
+  }
+}
+
+async function cmdCustomRename() {
+  const [from, to] = process.argv.slice(4);
+  if (!from || !to || to.startsWith('--')) fail('Usage: claude-sound custom rename <id> <new-name>');
+  let result;
+  try {
+    result = await renameCustomSound(from, to, { projectDir: process.cwd() });
+  } catch (err) {
+    fail(String(err?.message || err));
+  }
+  process.stdout.write(`Renamed ${result.from} to ${result.to}\n`);
+  for (const file of result.updated) process.stdout.write(`Updated ${file}\n`);
+}
+
+async function cmdCustomLabel() {
+  const [id, label] = process.argv.slice(4);
+  if (!id || label === undefined) fail('Usage: claude-sound custom label <id> <label>   ("" clears the label)');
+  let soundId;
+  try {
+    soundId = await setCustomLabel(id, label);
+  } catch (err) {
+    fail(String(err?.message || err));
+  }
+  process.stdout.write(label.trim() ? `Labelled ${soundId} "${label.trim()}"\n` : `Cleared the label of ${soundId}\n`);
+}
+
+async function cmdCustomRemove() {
+  const id = process.argv[4];
+  if (!id || id.startsWith('--')) fail('Usage: claude-sound custom rm <id> [--force]');
+  const usages = await findSoundUsages(toCustomId(id), process.cwd());
+  if (usages.length > 0 && !hasFlag('--force')) {
+    process.stderr.write(
+      `${toCustomId(id)} is still used by:\n${usages.map((u) => `  ${describeUsage(u)}  ${pc.dim(u.file)}`).join('\n')}\n` +
+        'Remap those first, or pass --force to delete it anyway.\n'
+    );
+    process.exit(EXIT_ERROR);
+  }
+  let result;
+  try {
+    result = await deleteCustomSound(id);
+  } catch (err) {
+    fail(String(err?.message || err));
+  }
+  process.stdout.write(`Deleted ${result.id} (${result.filePath})\n`);
+}
+
+async function cmdCustom() {
+  const sub = process.argv[3];
+  if (sub === 'list') return cmdCustomList();
+  if (sub === 'rename') return cmdCustomRename();
+  if (sub === 'label') return cmdCustomLabel();
+  if (sub === 'rm') return cmdCustomRemove();
+  fail(
+    'Usage: claude-sound custom list [--json]\n' +
+      '       claude-sound custom rename <id> <new-name>\n' +
+      '       claude-sound custom label <id> <label>\n' +
+      '       claude-sound custom rm <id> [--force]'
+  );
+}
+
+/** Payload used to show what a speech template sounds like. */
+const SAMPLE_SPEECH_PAYLOAD = {
+  hook_event_name: 'PostToolUseFailure',
+  tool_name: 'Bash',
+  cwd: process.cwd(),
+  message: 'Claude needs your permission to use Bash'
+};
+
+async function cmdSpeechList() {
+  const templates = await loadSpeechTemplates(process.cwd());
+  const entries = [];
+  for (const [name, t] of Object.entries(templates)) {
+    const id = `${SPEECH_PREFIX}${name}`;
+    entries.push({ id, ...t, usedBy: await findSoundUsages(id, process.cwd()) });
+  }
+  if (hasFlag('--json')) {
+    process.stdout.write(JSON.stringify(entries, null, 2) + '\n');
+    return;
+  }
+  if (entries.length === 0) {
+    process.stdout.write('No speech templates (add one with claude-sound speech add <name> "<template>")\n');
+    return;
+  }
+  const width = Math.max(...entries.map((e) => e.id.length)) + 2;
+  for (const { id, template, fallback, usedBy } of entries) {
+    const used = usedBy.length > 0 ? pc.dim(`  used by ${usedBy.map(describeUsage).join(', ')}`) : '';
+    process.stdout.write(`${id.padEnd(width)}"${template}"${pc.dim(`  fallback ${fallback ?? DEFAULT_SPEECH_FALLBACK}`)}${used}\n`);
+  }
+}
+
+async function cmdSpeechAdd() {
+  const [name, template] = process.argv.slice(4);
+  if (!name || !template || template.startsWith('--')) {
+    fail(
+      'Usage: claude-sound speech add <name> "<template>" [--lang <code>] [--voice <name>] [--slow | --speed <0.5-2>]\n' +
+        '         [--provider <name>] [--fallback <sound>] [--scope <s>] [--dry-run]'
+    );
+  }
+  const nameError = customNameError(name);
+  if (nameError) fail(nameError);
+
+  const rawSpeed = parseArg('--speed');
+  /** @type {import('./speech.js').SpeechTemplate} */
+  const entry = { template };
+  for (const key of ['lang', 'voice', 'provider', 'fallback']) {
+    const value = parseArg(`--${key}`);
+    if (value !== null) entry[key] = value;
+  }
+  if (hasFlag('--slow')) entry.speed = SLOW_SPEED;
+  else if (rawSpeed !== null) entry.speed = Number(rawSpeed);
+  const error = speechTemplateError(entry);
+  if (error) fail(`Invalid speech template: ${error}`);
+  if (entry.fallback && !(await listSounds()).includes(entry.fallback)) {
+    fail(`Unknown sound: ${entry.fallback} (see claude-sound list-sounds)`);
+  }
+  // Catch a bad language, voice or speed now rather than at hook time.
+  try {
+    await prepareTts(renderSpeechTemplate(template, SAMPLE_SPEECH_PAYLOAD) || 'test', entry);
+  } catch (err) {
+    fail(String(err?.message || err));
+  }
+
+  const dryRun = hasFlag('--dry-run');
+  const sidecarPath = sidecarPathForScope(parseScopeArg(), process.cwd());
+  let result;
+  try {
+    result = await updateJsonFile(
+      sidecarPath,
+      (sidecar) => ({ ...sidecar, speech: { ...sidecar.speech, [name]: entry } }),
+      { dryRun }
+    );
+  } catch (err) {
+    fail(String(err?.message || err), EXIT_ERROR);
+  }
+  reportFileEdit(sidecarPath, result, dryRun);
+  if (!dryRun) {
+    process.stdout.write(
+      `Map it with: claude-sound set --event <e> --sound ${SPEECH_PREFIX}${name}\n` +
+        `Example: "${renderSpeechTemplate(template, SAMPLE_SPEECH_PAYLOAD)}"\n`
+    );
+  }
+}
+
+async function cmdSpeechRemove() {
+  const name = process.argv[4];
+  if (!name || name.startsWith('--')) fail('Usage: claude-sound speech rm <name> [--scope <s>] [--force] [--dry-run]');
+  const id = `${SPEECH_PREFIX}${name}`;
+  const sidecarPath = sidecarPathForScope(parseScopeArg(), process.cwd());
+  const res = await readJsonIfExists(sidecarPath);
+  if (!res.ok) fail(`Could not read/parse JSON at ${sidecarPath}: ${res.error?.message || res.error}`, EXIT_ERROR);
+  if (!res.value?.speech || !Object.hasOwn(res.value.speech, name)) fail(`No speech template ${name} in ${sidecarPath}`);
+
+  const usages = await findSoundUsages(id, process.cwd());
+  if (usages.length > 0 && !hasFlag('--force')) {
+    process.stderr.write(
+      `${id} is still used by:\n${usages.map((u) => `  ${describeUsage(u)}  ${pc.dim(u.file)}`).join('\n')}\n` +
+        `Remap those first, or pass --force to remove it anyway (they will play ${DEFAULT_SPEECH_FALLBACK} instead).\n`
+    );
+    process.exit(EXIT_ERROR);
+  }
+
+  const dryRun = hasFlag('--dry-run');
+  const result = await updateJsonFile(
+    sidecarPath,
+    (sidecar) => {
+      const { [name]: _removed, ...speech } = sidecar.speech;
+      return { ...sidecar, speech };
+    },
+    { dryRun }
+  );
+  reportFileEdit(sidecarPath, result, dryRun);
+}
+
+async function cmdSpeech() {
+  const sub = process.argv[3];
+  if (sub === 'list') return cmdSpeechList();
+  if (sub === 'add') return cmdSpeechAdd();
+  if (sub === 'rm') return cmdSpeechRemove();
+  fail(
+    'Usage: claude-sound speech list [--json]\n' +
+      '       claude-sound speech add <name> "<template>" [--lang <code>] [--voice <name>] [--slow | --speed <0.5-2>]\n' +
+      '         [--provider <name>] [--fallback <sound>] [--scope <s>] [--dry-run]\n' +
+      '       claude-sound speech rm <name> [--scope <s>] [--force] [--dry-run]'
+  );
+}
+
+async function cmdCueList() {
+  const { cues, errors } = await readCues();
+  const known = new Set(await listSounds());
+  const entries = [];
+  for (const [name, cue] of Object.entries(cues)) {
+    const id = `${CUE_PREFIX}${name}`;
+    entries.push({
+      id,
+      ...cue,
+      missing: cueSoundIds(cue).filter((s) => !known.has(s)),
+      tooLong: known.has(id) ? await cueLengthError(id) : null,
+      usedBy: await findSoundUsages(id, process.cwd())
+    });
+  }
+  if (hasFlag('--json')) {
+    process.stdout.write(JSON.stringify({ cues: entries, errors }, null, 2) + '\n');
+    return;
+  }
+  if (entries.length === 0 && Object.keys(errors).length === 0) {
+    process.stdout.write(`No cues (define them in ${cuesPath()})\n`);
+    return;
+  }
+  const width = Math.max(0, ...entries.map((e) => e.id.length)) + 2;
+  for (const { id, mode, sounds, gap, missing, tooLong, usedBy } of entries) {
+    const list = sounds.map((s) => (typeof s === 'number' ? pc.dim(`${s}s`) : s)).join(' ');
+    const details = [gap && `gap ${gap}s`, usedBy.length > 0 && `used by ${usedBy.map(describeUsage).join(', ')}`]
+      .filter(Boolean)
+      .join('  ');
+    process.stdout.write(`${id.padEnd(width)}${mode}: ${list}${details ? pc.dim(`  ${details}`) : ''}\n`);
+    if (missing.length > 0) {
+      process.stdout.write(pc.yellow(`${''.padEnd(width)}missing ${missing.join(', ')}; not playable\n`));
+    }
+    if (tooLong) process.stdout.write(pc.yellow(`${''.padEnd(width)}${tooLong}\n`));
+  }
+  for (const [name, error] of Object.entries(errors)) {
+    process.stdout.write(pc.yellow(name === '*' ? `${error}\n` : `${CUE_PREFIX}${name}: ${error}\n`));
+  }
+}
+
+async function cmdCue() {
+  const sub = process.argv[3];
+  if (sub === 'list') return cmdCueList();
+  fail('Usage: claude-sound cue list [--json]');
+}
+
+async function cmdDaemon() {
+  const sub = process.argv[3] ?? 'run';
+
+  if (sub === 'run') {
+    try {
+      await runDaemon({
+        log: (msg) => process.stdout.write(`[${new Date().toISOString()}] ${msg}\n`)
+      });
+    } catch (err) {
+      fail(String(err?.message || err), EXIT_ERROR);
+    }
+    return;
+  }
+
+  if (sub === 'status') {
+    const res = await sendToDaemon({ type: 'ping' });
+    if (res?.noReply) fail(`claude-sound daemon is not responding (${res.error}) on ${daemonSocketPath()}`, EXIT_ERROR);
+    if (!res?.ok) fail(`claude-sound daemon is not running (${daemonSocketPath()})`, EXIT_ERROR);
+    process.stdout.write(`claude-sound daemon running (pid ${res.pid}) on ${daemonSocketPath()}\n`);
+    return;
+  }
+
+  if (sub === 'stop') {
+    const res = await sendToDaemon({ type: 'stop' });
+    if (res?.noReply) fail(`claude-sound daemon is not responding (${res.error}) on ${daemonSocketPath()}`, EXIT_ERROR);
+    process.stdout.write(
+      res?.ok ? `Stopped claude-sound daemon (pid ${res.pid})\n` : 'claude-sound daemon is not running\n'
+    );
+    return;
+  }
+
+  if (sub === 'start') {
+    const running = await sendToDaemon({ type: 'ping' });
+    if (running?.ok) {
+      process.stdout.write(`claude-sound daemon already running (pid ${running.pid})\n`);
+      return;
+    }
+    if (running?.noReply) {
+      fail(`A claude-sound daemon is running but not responding (${running.error}) on ${daemonSocketPath()}`, EXIT_ERROR);
+    }
+
+    await fs.mkdir(path.dirname(daemonLogPath()), { recursive: true });
+    const logFd = openSync(daemonLogPath(), 'a');
+    // The daemon plays every sound, so it needs the same --player.
+    const playerFlag = parseArg('--player');
+    const args = [fileURLToPath(import.meta.url), 'daemon', 'run', ...(playerFlag ? ['--player', playerFlag] : [])];
+    const child = spawn(process.execPath, args, {
+      detached: true,
+      stdio: ['ignore', logFd, logFd],
+      windowsHide: true
+    });
+    child.unref();
+
+    // Wait for the socket to come up.
+    for (let i = 0; i < 30; i++) {
+      await new Promise((r) => setTimeout(r, 100));
+      const res = await sendToDaemon({ type: 'ping' });
+      if (res?.ok) {
+        process.stdout.write(`Started claude-sound daemon (pid ${res.pid}); log: ${daemonLogPath()}\n`);
+        return;
+      }
+    }
+    fail(`claude-sound daemon did not start; see ${daemonLogPath()}`, EXIT_ERROR);
+  }
+
+  fail('Usage: claude-sound daemon [run|start|stop|status]');
+}
+
+async function cmdMigrate() {
+  const { hookCommand = {} } = await readConfig();
+  /** @type {import('./hooks.js').CommandOptions} */
+  const commandOptions = { ...hookCommand };
+
+  const strategy = parseArg('--strategy');
+  if (strategy) {
+    if (!COMMAND_STRATEGIES.includes(strategy)) {
+      fail(`Invalid --strategy: ${strategy} (expected one of: ${COMMAND_STRATEGIES.join(', ')})`);
+    }
+    // Switching strategy drops options that belonged to the old one.
+    commandOptions.strategy = strategy;
+    delete commandOptions.version;
+    delete commandOptions.nodePath;
+    delete commandOptions.scriptPath;
+  }
+  if (parseArg('--version')) commandOptions.version = parseArg('--version');
+  if (parseArg('--node')) commandOptions.nodePath = parseArg('--node');
+  if (parseArg('--script')) commandOptions.scriptPath = parseArg('--script');
+  if (hasFlag('--client') || hasFlag('--no-client')) {
+    commandOptions.client = hasFlag('--client');
+    // The script differs between cli.js and client.js; re-derive unless given.
+    if (!parseArg('--script')) delete commandOptions.scriptPath;
+  }
+
+  // Pin defaults (e.g. this install's version/paths) so the config is explicit.
+  const resolved = resolveCommandOptions(commandOptions);
+  try {
+    validateCommandOptions(resolved);
+  } catch (err) {
+    fail(String(err?.message || err));
+  }
+
+  const dryRun = hasFlag('--dry-run');
+  const scopes = parseArg('--scope') ? [parseScopeArg()] : SCOPES;
+  // Saved first: if config.json can't be updated, no settings file has changed yet.
+  if (!dryRun) await saveConfig({ hookCommand: resolved });
+  process.stdout.write(`Hook command: ${describeCommandOptions(resolved)} play ...\n`);
+
+  for (const scope of scopes) {
+    const settingsPath = configPathForScope(scope, process.cwd());
+    let result;
+    try {
+      result = await updateManagedMappings(settingsPath, (m) => m, { dryRun, commandOptions: resolved });
+    } catch (err) {
+      fail(String(err?.message || err), EXIT_ERROR);
+    }
+    reportFileEdit(settingsPath, result, dryRun);
+  }
+}
+
+async function cmdListSounds() {
+  const sounds = await listSounds();
+  if (hasFlag('--json')) {
+    const { grouped, labels, tags } = await listSoundsGrouped();
+    const scopes = await readAllScopeMappings(process.cwd());
+    const out = [];
+    for (const [group, ids] of Object.entries(grouped)) {
+      for (const id of ids) {
+        const usedBy = scopes.flatMap(({ scope, mappings }) =>
+          Object.entries(mappings).flatMap(([event, entries]) =>
+            entries
+              .filter((e) => e.soundId === id || poolIncludes(e.pool, id))
+              .map((e) => ({ scope, event, matcher: e.matcher }))
+          )
+        );
+        out.push({
+          id,
+          group,
+          label: labels[id] ?? null,
+          tags: tags[id] ?? [],
+          path: resolveSoundPath(id),
+          source: soundSource(id),
+          ...(await readSoundMetadata(id)),
+          usedBy
+        });
+      }
+    }
+    process.stdout.write(JSON.stringify(out, null, 2) + '\n');
+    return;
+  }
+  if (hasFlag('--long')) {
+    const width = Math.max(0, ...sounds.map((s) => s.length)) + 2;
+    for (const id of sounds) {
+      process.stdout.write(`${id.padEnd(width)}${describeMetadata(await readSoundMetadata(id))}\n`);
+    }
+    return;
+  }
+  for (const s of sounds) process.stdout.write(s + '\n');
+}
+
+async function cmdListEvents() {
+  if (hasFlag('--json')) {
+    const scopes = await readAllScopeMappings(process.cwd());
+    const out = HOOK_EVENTS.map((event) => ({
+      event,
+      matchers: MATCHER_EVENTS.includes(event),
+      scopes: Object.fromEntries(
+        scopes.map(({ scope, settingsPath, mappings, error }) => [
+          scope,
+          error
+            ? { status: 'error', settingsPath, error }
+            : mappings[event]
+              ? { status: 'mapped', settingsPath, mappings: mappings[event] }
+              : { status: 'unmapped', settingsPath }
+        ])
+      )
+    }));
+    process.stdout.write(JSON.stringify(out, null, 2) + '\n');
+    return;
+  }
+  for (const e of HOOK_EVENTS) process.stdout.write(e + '\n');
+}
+
+/**
+ * Describe an event's mapping entries, e.g. "Ring / Ring 1" or "Bash: Ring / Ring 1 · Write|Edit: Common / Pop".
+ * @param {import('./hooks.js').MappingEntry[]} entries
+ * @param {Record<string, string>} labels
+ * @returns {string}
+ */
+function formatEntriesDisplay(entries, labels) {
+  return entries
+    .map((e) => {
+      const name = formatEntrySound(e, labels) + formatPlayback(e);
+      return e.matcher === DEFAULT_MATCHER ? name : `${e.matcher}: ${name}`;
+    })
+    .join(' · ');
+}
+
+/**
+ * What an entry plays: its pool, or its sound.
+ * @param {import('./hooks.js').MappingEntry} e
+ * @param {Record<string, string>} labels
+ * @returns {string}
+ */
+function formatEntrySound(e, labels) {
+  return e.pool ? formatPoolDisplay(e, labels) : formatSoundDisplay(e.soundId, labels);
+}
+
+/**
+ * Describe a pool, e.g. "Pool, shuffle: Ring 1, Ring 2, all Game".
+ * @param {import('./hooks.js').PoolOptions} e
+ * @param {Record<string, string>} labels
+ * @returns {string}
+ */
+function formatPoolDisplay({ pool = [], pick = DEFAULT_PICK }, labels) {
+  const names = pool.map((item) => {
+    if (!item.startsWith(POOL_GROUP_PREFIX)) return formatSoundDisplay(item, labels);
+    const group = item.slice(POOL_GROUP_PREFIX.length);
+    return `all ${soundGroups().find((g) => g.value === group)?.label ?? group}`;
+  });
+  const shown = names.length > 3 ? [...names.slice(0, 3), `+${names.length - 3} more`] : names;
+  return `Pool, ${pick}: ${shown.join(', ')}`;
+}
+
+/**
+ * Short summary of an entry's playback options, e.g. " (40%, 12s+4s, fade 1s)".
+ * @param {import('./hooks.js').PlaybackOptions} e
+ * @returns {string}
+ */
+function formatPlayback(e) {
+  const parts = [];
+  if (e.volume !== undefined) parts.push(`${e.volume}%`);
+  if (e.duration !== undefined) parts.push(`${e.start ?? 0}s+${e.duration}s`);
+  else if (e.start !== undefined) parts.push(`from ${e.start}s`);
+  if (e.fade !== undefined) parts.push(`fade ${e.fade}s`);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+/**
+ * Ask for a 0-100 volume. An empty answer means 100.
+ * @param {string} message
+ * @param {number | undefined} current
+ * @returns {Promise<number | null>} null if cancelled
+ */
+async function promptVolume(message, current) {
+  const input = await text({
+    message,
+    placeholder: '100',
+    initialValue: current === undefined ? '' : String(current),
+    validate: (v) => (v && v.trim() && !isValidVolume(Number(v)) ? 'Enter a whole number from 0 to 100' : undefined)
+  });
+  if (isCancel(input)) return null;
+  return input.trim() ? Number(input) : 100;
+}
+
+/**
+ * Ask for a number of seconds. An empty answer means "not set".
+ * @param {string} message
+ * @param {number | undefined} current
+ * @param {string} placeholder
+ * @returns {Promise<number | undefined | null>} null if cancelled
+ */
+async function promptSeconds(message, current, placeholder) {
+  const input = await text({
+    message,
+    placeholder,
+    initialValue: current === undefined ? '' : String(current),
+    validate: (v) => (v && v.trim() && !(Number(v) >= 0) ? 'Enter a number of seconds' : undefined)
+  });
+  if (isCancel(input)) return null;
+  return input.trim() ? Number(input) : undefined;
+}
+
+/**
+ * Why an entry's start/fade won't be heard with the current player, or null.
+ * Sounds must be loaded; cues and speech templates aren't checked.
+ * @param {import('./hooks.js').MappingEntry} entry
+ * @returns {string | null}
+ */
+function trimWarning(entry) {
+  if (isCueId(entry.soundId) || isSpeechId(entry.soundId)) return null;
+  let file;
+  try {
+    file = resolveSoundPath(entry.soundId);
+  } catch {
+    return null;
+  }
+  const dropped = unsupportedPlayOptions(file, pickPlaybackOptions(entry));
+  if (dropped.length === 0) return null;
+  return (
+    `the player can't apply ${dropped.join(' and ')} to ${entry.soundId}; ` +
+    'install ffmpeg (or ffplay/mpv) to trim it'
+  );
+}
+
+/**
+ * Ask for start/duration/fade, preview the result and confirm.
+ * @param {string} title - shown in the prompts
+ * @param {import('./hooks.js').MappingEntry} entry
+ * @returns {Promise<import('./hooks.js').MappingEntry | null>} updated entry, or null if cancelled
+ */
+async function promptTrim(title, entry) {
+  while (true) {
+    const start = await promptSeconds(`${title}: start at (seconds)`, entry.start, '0');
+    if (start === null) return null;
+    const duration = await promptSeconds(`${title}: play for (seconds)`, entry.duration, 'whole clip');
+    if (duration === null) return null;
+    let fade;
+    if (duration !== undefined) {
+      fade = await promptSeconds(`${title}: fade out over the last (seconds)`, entry.fade, 'no fade');
+      if (fade === null) return null;
+    }
+
+    const next = { ...entry, start: start || undefined, duration, fade };
+    for (const key of ['start', 'duration', 'fade']) {
+      if (next[key] === undefined) delete next[key];
+    }
+    const error = playbackOptionsError(pickPlaybackOptions(next));
+    if (error) {
+      note(error, 'Invalid trim');
+      continue;
+    }
+
+    const warning = trimWarning(next);
+    if (warning) note(warning, 'Trim');
+    try {
+      playSoundPreview(entry.soundId, { start: next.start, duration: next.duration, fade: next.fade });
+    } catch {
+      // No player; keep going without a preview.
+    }
+    const { volume, ...trim } = pickPlaybackOptions(next);
+    const ok = await confirm({ message: `Keep this trim?${pc.dim(formatPlayback(trim) || ' (whole clip)')}` });
+    stopPreview();
+    if (isCancel(ok)) return null;
+    if (ok) return next;
+  }
+}
+
+/**
+ * Just the volume of an entry, if it has one.
+ * @param {import('./hooks.js').MappingEntry | undefined} entry
+ * @returns {{ volume?: number }}
+ */
+function keepVolume(entry) {
+  return entry?.volume === undefined ? {} : { volume: entry.volume };
+}
+
+/**
+ * Menu options for an entry's volume and trim.
+ * @param {import('./hooks.js').MappingEntry} entry
+ * @returns {Array<{ value: string; label: string }>}
+ */
+function playbackMenuOptions(entry) {
+  const { volume, ...trim } = pickPlaybackOptions(entry);
+  return [
+    { value: 'volume', label: `Volume (${volume ?? 100}%)` },
+    { value: 'trim', label: `Trim / fade${pc.dim(formatPlayback(trim) || ' (whole clip)')}` }
+  ];
+}
+
+/**
+ * Run the "volume" or "trim" menu action for an entry.
+ * @param {'volume' | 'trim'} action
+ * @param {string} title
+ * @param {string} eventName
+ * @param {import('./hooks.js').MappingEntry} entry
+ * @param {import('./hooks.js').Mappings} mappings - updated in place
+ * @returns {Promise<void>}
+ */
+async function editPlaybackOptions(action, title, eventName, entry, mappings) {
+  if (action === 'trim') {
+    const next = await promptTrim(title, entry);
+    if (next) setMappingEntry(mappings, eventName, next);
+    return;
+  }
+
+  const volume = await promptVolume(`Volume for ${title} (0-100)`, entry.volume);
+  if (volume === null) return;
+  const next = { ...entry, volume };
+  if (volume === 100) delete next.volume;
+  setMappingEntry(mappings, eventName, next);
+}
+
+/**
+ * Let the user pick a sound for an event: from favorites, recently used
+ * sounds or a bundled/custom/pack group, by creating a TTS sound, or by
+ * importing a file; or a pool of sounds to pick from each time.
+ * @param {string} eventName
+ * @param {Record<string, string[]>} soundsGrouped - refreshed in place after create/import
+ * @param {Record<string, string>} soundLabels - refreshed in place after create/import
+ * @returns {Promise<({ soundId: string } & import('./hooks.js').PoolOptions) | null>}
+ *   chosen sound (a pool's fallback, with the pool), or null if the user backed out
+ */
+async function pickSound(eventName, soundsGrouped, soundLabels) {
+  while (true) {
+    // Favorites and history can change while picking, so rebuild each time.
+    const { favorites, tags } = await listSoundsGrouped();
+    const known = new Set(Object.values(soundsGrouped).flat());
+    /** @type {Record<string, string[]>} */
+    const pinned = {
+      __favorites__: favorites,
+      __recent__: (await readRecentSounds()).filter((id) => known.has(id))
+    };
+    const categoryOptions = [
+      { value: '__search__', label: 'Search all sounds' },
+      { value: '__favorites__', label: 'Favorites' },
+      { value: '__recent__', label: 'Recently used' },
+      ...soundGroups()
+    ].filter(
+      (g) =>
+        g.value === '__search__' ||
+        g.value === '__pool__' ||
+        g.value === '__create__' ||
+        g.value === '__tone__' ||
+        g.value === '__import__' ||
+        ((pinned[g.value] ?? soundsGrouped[g.value])?.length ?? 0) > 0
+    );
+
+    const category = await select({
+      message: `Pick a category for ${eventName}  ${pc.dim('(ESC to back)')}`,
+      options: categoryOptions
+    });
+
+    if (isCancel(category)) return null;
+
+    if (category === '__search__') {
+      const favoriteSet = new Set(favorites);
+      const soundId = await searchWithSoundPreview({
+        message: `Search sounds for ${eventName}  ${pc.dim('(ESC to back)')}`,
+        placeholder: 'name, id or tag',
+        options: [...known].map((id) => ({
+          value: id,
+          label: `${favoriteSet.has(id) ? '★ ' : ''}${formatSoundDisplay(id, soundLabels)}`,
+          hint: [id, ...(tags[id] ?? [])].join(' · '),
+          keywords: [...(tags[id] ?? []), ...(favoriteSet.has(id) ? ['favorite'] : [])]
+        }))
+      });
+      if (isCancel(soundId)) continue;
+      const cueError = await cueLengthError(soundId);
+      if (cueError) {
+        note(cueError, 'Cue too long');
+        continue;
+      }
+      return { soundId };
+    }
+
+    if (category === '__pool__') {
+      const choice = await pickPool(eventName, soundsGrouped, soundLabels);
+      if (!choice) continue;
+      const cueError = await mappingCueError(choice);
+      if (cueError) {
+        note(cueError, 'Cue too long');
+        continue;
+      }
+      return choice;
+    }
+
+    if (category === '__tone__') {
+      const soundId = await designTone(soundsGrouped, soundLabels);
+      if (!soundId) continue;
+      return { soundId };
+    }
+
+    if (category === '__import__') {
+      const pathInput = await text({
+        message: 'Path to an audio file (MP3, WAV, OGG, FLAC, M4A, AIFF)',
+        placeholder: './my-sound.mp3 or /path/to/sound.wav',
+        validate: (v) => {
+          if (!v?.trim()) return 'Path cannot be empty';
+          return undefined;
+        }
+      });
+
+      if (isCancel(pathInput)) continue;
+
+      const s = spinner();
+      s.start('Importing...');
+      try {
+        const { soundId: newSoundId, filePath: imported, format } = await importSound(pathInput);
+        invalidateSoundCache();
+        const refreshed = await listSoundsGrouped();
+        soundsGrouped.custom = refreshed.grouped.custom;
+        Object.assign(soundLabels, refreshed.labels);
+        s.stop('Done');
+        const warnings = await importWarnings(newSoundId, imported, format);
+        note([`Imported and selected: ${newSoundId}`, ...warnings.map((w) => pc.yellow(w))].join('\n'), 'Imported');
+        return { soundId: newSoundId };
+      } catch (err) {
+        s.stop('Failed');
+        note(String(err?.message ?? err), 'Error');
+        continue;
+      }
+    }
+
+    if (category === '__create__') {
+      const provider = await pickTtsProvider();
+      if (isCancel(provider)) continue;
+
+      const langChoice = await pickTtsLanguage(provider);
+      if (isCancel(langChoice)) continue;
+
+      let speed = 1;
+      if (getTtsProvider(provider).speed) {
+        const speedChoice = await select({
+          message: 'Speed',
+          options: [
+            { value: 1, label: 'Normal' },
+            { value: SLOW_SPEED, label: 'Slow' }
+          ]
+        });
+        if (isCancel(speedChoice)) continue;
+        speed = speedChoice;
+      }
+
+      const example = TTS_LANGUAGES.find((l) => l.code === langChoice)?.example ?? 'Claude is ready!';
+      const textInput = await text({
+        message: `Enter text to speak (e.g. "${example}")`,
+        placeholder: example,
+        validate: (v) => {
+          if (!v?.trim()) return 'Text cannot be empty';
+          if (v.length > 200) return 'Keep it under 200 characters';
+          return undefined;
+        }
+      });
+
+      if (isCancel(textInput)) continue;
+
+      const s = spinner();
+      s.start('Generating speech...');
+      try {
+        const { soundId: newSoundId, cached } = await generateTts(textInput, { lang: langChoice, speed, provider });
+        invalidateSoundCache();
+        const refreshed = await listSoundsGrouped();
+        soundsGrouped.custom = refreshed.grouped.custom;
+        soundLabels[newSoundId] = refreshed.labels[newSoundId] ?? textInput.trim().slice(0, 30);
+        await saveLabel(newSoundId, soundLabels[newSoundId]);
+        s.stop('Done');
+        note(
+          cached ? `Already generated; selected: ${newSoundId}` : `Created and selected: ${newSoundId}`,
+          cached ? 'Reused' : 'Created'
+        );
+        return { soundId: newSoundId };
+      } catch (err) {
+        s.stop('Failed');
+        note(String(err?.message ?? err), 'Error');
+        continue;
+      }
+    }
+
+    const ids = pinned[category] ?? soundsGrouped[category] ?? [];
+    let soundOptions = await buildSoundOptionsForGroup(ids, soundLabels);
+    // Pinned groups mix sounds from every group; show where each comes from.
+    if (pinned[category]) {
+      soundOptions = soundOptions.map((o) => ({ ...o, label: formatSoundDisplay(o.value, soundLabels) }));
+    }
+
+    const soundId = await selectWithSoundPreview({
+      message: `Pick a sound for ${eventName} (↑/↓ preview, F favorite)  ${pc.dim('(ESC to back)')}`,
+      options: soundOptions,
+      favorites: new Set(favorites),
+      onFavoriteToggle: (id, favorite) => {
+        setFavorite(id, favorite).catch((err) => note(String(err?.message ?? err), 'Could not save favorite'));
+      }
+    });
+
+    if (isCancel(soundId)) continue;
+    const cueError = await cueLengthError(soundId);
+    if (cueError) {
+      note(cueError, 'Cue too long');
+      continue;
+    }
+
+    return { soundId };
+  }
+}
+
+/**
+ * Compose a tone from notes, hearing each change, and save it as a custom sound.
+ * @param {Record<string, string[]>} soundsGrouped - refreshed in place after saving
+ * @param {Record<string, string>} soundLabels - refreshed in place after saving
+ * @returns {Promise<string | null>} the new sound id, or null if cancelled
+ */
+async function designTone(soundsGrouped, soundLabels) {
+  const previewFile = path.join(tmpdir(), `claude-sound-tone-${process.pid}.wav`);
+  /** @type {import('./synth.js').ToneSpec} */
+  let spec = { notes: [], ...TONE_DEFAULTS };
+  let notesText = '';
+  let action = 'notes';
+  try {
+    while (true) {
+      if (action === 'notes') {
+        const input = await text({
+          message: 'Notes: <pitch>[:<seconds>] ..., pitch in Hz or a note name; "-" is a rest',
+          placeholder: 'C6:0.12 -:0.04 G6:0.15',
+          initialValue: notesText,
+          validate: (v) => {
+            try {
+              return toneSpecError({ ...spec, notes: parseNotes(v) }) ?? undefined;
+            } catch (err) {
+              return String(err?.message ?? err);
+            }
+          }
+        });
+        if (isCancel(input)) {
+          if (!notesText) return null;
+        } else {
+          notesText = input.trim();
+          spec = { ...spec, notes: parseNotes(notesText) };
+        }
+      } else if (action === 'waveform') {
+        const waveform = await select({
+          message: 'Waveform',
+          initialValue: spec.waveform,
+          options: WAVEFORM_NAMES.map((w) => ({ value: w, label: w }))
+        });
+        if (!isCancel(waveform)) spec = { ...spec, waveform };
+      } else if (action === 'envelope') {
+        const attack = await promptSeconds('Attack: fade in over (seconds)', spec.attack, String(TONE_DEFAULTS.attack));
+        const release =
+          attack === null
+            ? null
+            : await promptSeconds('Release: fade out over (seconds)', spec.release, String(TONE_DEFAULTS.release));
+        if (attack !== null && release !== null) {
+          const next = { ...spec, attack: attack ?? TONE_DEFAULTS.attack, release: release ?? TONE_DEFAULTS.release };
+          const error = toneSpecError(next);
+          if (error) note(error, 'Invalid envelope');
+          else spec = next;
+        }
+      } else if (action === 'gap') {
+        const gap = await promptSeconds('Silence between notes (seconds)', spec.gap, String(TONE_DEFAULTS.gap));
+        if (gap !== null) {
+          const next = { ...spec, gap: gap ?? TONE_DEFAULTS.gap };
+          const error = toneSpecError(next);
+          if (error) note(error, 'Invalid gap');
+          else spec = next;
+        }
+      } else if (action === 'save') {
+        const name = await text({
+          message: 'Name (empty for an automatic one)',
+          placeholder: 'my-chime',
+          validate: (v) => (v?.trim() ? customNameError(v.trim()) ?? undefined : undefined)
+        });
+        if (!isCancel(name)) {
+          const outId = name.trim() || undefined;
+          const taken = outId !== undefined && (soundsGrouped.custom ?? []).includes(`${CUSTOM_PREFIX}${outId}`);
+          const replace = taken
+            ? await confirm({ message: `${CUSTOM_PREFIX}${outId} already exists. Replace it?`, initialValue: false })
+            : false;
+          if (!taken || replace === true) {
+            try {
+              const { soundId, existed } = await saveTone(spec, { outId, force: replace });
+              invalidateSoundCache();
+              const refreshed = await listSoundsGrouped();
+              soundsGrouped.custom = refreshed.grouped.custom;
+              if (!existed || !refreshed.labels[soundId]) {
+                soundLabels[soundId] = toneLabel(notesText);
+                await saveLabel(soundId, soundLabels[soundId]);
+              }
+              note(existed ? `Already saved; selected: ${soundId}` : `Saved and selected: ${soundId}`, 'Tone');
+              return soundId;
+            } catch (err) {
+              note(String(err?.message ?? err), 'Error');
+            }
+          }
+        }
+      }
+
+      try {
+        await fs.writeFile(previewFile, renderTone(spec));
+        playFilePreview(previewFile);
+      } catch {
+        // No player; keep designing without a preview.
+      }
+
+      const next = await select({
+        message: `Tone: ${notesText} ${pc.dim(`(${formatDuration(toneDuration(spec))})  (ESC to back)`)}`,
+        options: [
+          { value: 'save', label: 'Save as a custom sound' },
+          { value: 'play', label: 'Play again' },
+          { value: 'notes', label: 'Edit notes' },
+          { value: 'waveform', label: `Waveform: ${spec.waveform}` },
+          { value: 'envelope', label: `Envelope: attack ${spec.attack}s, release ${spec.release}s` },
+          { value: 'gap', label: `Gap between notes: ${spec.gap}s` }
+        ]
+      });
+      stopPreview();
+      if (isCancel(next)) return null;
+      action = next;
+    }
+  } finally {
+    stopPreview();
+    await fs.rm(previewFile, { force: true });
+  }
 }
 
-const SOUND_GROUPS = [
-  { value: 'common', label: 'Common' },
-  { value: 'game', label: 'Game' },
-  { value: 'ring', label: 'Ring' },
-  { value: 'custom', label: 'Custom (TTS & imported)' },
-  { value: '__create__', label: 'Create my own (text-to-speech)' },
-  { value: '__import__', label: 'Import from file (MP3/WAV)' }
-];
+/**
+ * Build a pool: every sound of a group, or sounds picked one by one, and how
+ * to choose among them.
+ * @param {string} eventName
+ * @param {Record<string, string[]>} soundsGrouped
+ * @param {Record<string, string>} soundLabels
+ * @returns {Promise<({ soundId: string } & import('./hooks.js').PoolOptions) | null>} null if cancelled
+ */
+async function pickPool(eventName, soundsGrouped, soundLabels) {
+  const groups = soundGroups().filter((g) => !g.value.startsWith('__') && (soundsGrouped[g.value]?.length ?? 0) > 1);
+  const source = await select({
+    message: `Pool for ${eventName}  ${pc.dim('(ESC to back)')}`,
+    options: [
+      ...groups.map((g) => ({
+        value: `${POOL_GROUP_PREFIX}${g.value}`,
+        label: `Every ${g.label} sound`,
+        hint: `${soundsGrouped[g.value].length} sounds, including ones added later`
+      })),
+      { value: '__choose__', label: 'Choose sounds…' }
+    ]
+  });
+  if (isCancel(source)) return null;
+
+  let pool = [source];
+  if (source === '__choose__') {
+    const all = Object.values(soundsGrouped).flat();
+    const chosen = await multiselect({
+      message: `Sounds for ${eventName} (space to select, enter to confirm)`,
+      options: all.map((id) => ({ value: id, label: formatSoundDisplay(id, soundLabels) })),
+      required: true
+    });
+    if (isCancel(chosen)) return null;
+    pool = chosen;
+  }
+
+  const pick = await select({
+    message: 'Which sound plays each time',
+    initialValue: DEFAULT_PICK,
+    options: [
+      { value: 'shuffle', label: 'Shuffle', hint: 'each sound once in random order, then again' },
+      { value: 'random', label: 'Random', hint: 'any sound each time; repeats can happen' },
+      { value: 'rotate', label: 'Rotate', hint: 'in order, wrapping around' }
+    ]
+  });
+  if (isCancel(pick)) return null;
+
+  return { soundId: expandPool(pool)[0], pool, pick };
+}
 
 /**
- * Get display string for a sound: "Group / label" for grouped sounds, "label" for ring.
- * @param {string} soundId
- * @param {Record<string, string>} labels
- * @returns {string}
+ * Ask which text-to-speech provider to use; the choice is remembered in config.json.
+ * Providers that aren't installed are listed but disabled. The mock provider
+ * is only offered once chosen via CLAUDE_SOUND_TTS or config.
+ * @returns {Promise<string | symbol>} provider name, or a cancel symbol
  */
-function formatSoundDisplay(soundId, labels) {
-  const displayName = labels[soundId] ?? (soundId.includes('/') ? soundId.split('/')[1] : soundId);
-  const group = SOUND_GROUPS.find(
-    (g) =>
-      (g.value !== '__create__' && soundId.startsWith(g.value + '/')) ||
-      (g.value === 'ring' && !soundId.includes('/'))
-  );
-  return group ? `${group.label} / ${displayName}` : displayName;
+async function pickTtsProvider() {
+  const preferred = preferredTtsProvider(await readConfig());
+  let initialValue = preferred;
+  if (!initialValue) {
+    try {
+      initialValue = getTtsProvider().name;
+    } catch {
+      // nothing available; the list shows why
+    }
+  }
+  const providers = detectTtsProviders().filter((p) => p.name !== 'mock' || preferred === 'mock');
+  const choice = await select({
+    message: 'Text-to-speech engine',
+    initialValue,
+    options: providers.map((p) => ({
+      value: p.name,
+      label: p.label,
+      hint: p.available ? (p.local ? 'offline' : 'online, sends the text to Google') : 'not installed',
+      disabled: !p.available
+    }))
+  });
+  if (!isCancel(choice) && choice !== preferred && !process.env.CLAUDE_SOUND_TTS) {
+    try {
+      await updateConfig({ tts: choice });
+    } catch (err) {
+      note(`${err?.message || err}\nUsing ${choice} this time only.`, 'Not saved');
+    }
+  }
+  return choice;
 }
 
 /**
- * Build options for a single sound group.
- * @param {string[]} ids
- * @param {Record<string, string>} labels
- * @returns {Array<{ value: string; label: string }>}
+ * Ask for the language to speak: the languages the provider can speak, searchable,
+ * or any other code.
+ * @param {string} providerName
+ * @returns {Promise<string | symbol>} language code, or a cancel symbol
  */
-function buildSoundOptionsForGroup(ids, labels) {
-  return ids.map((id) => {
-    const displayName = labels[id] ?? (id.includes('/') ? id.split('/')[1] : id);
-    return { value: id, label: displayName };
+async function pickTtsLanguage(providerName) {
+  const provider = getTtsProvider(providerName);
+  const languages = TTS_LANGUAGES.filter((l) => !provider.langError(l.code));
+  const choice = await autocomplete({
+    message: 'Language for speech (type to search)',
+    initialValue: 'en',
+    maxItems: 10,
+    options: [
+      ...languages.map((l) => ({ value: l.code, label: l.label, hint: l.code })),
+      { value: '__other__', label: 'Other language code…' }
+    ]
+  });
+  if (choice !== '__other__') return choice;
+  const code = await text({
+    message: 'Language code (e.g. "sw", "fil", "es-MX")',
+    validate: (v) => {
+      const code = v?.trim() ?? '';
+      if (!/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(code)) return 'Use a code like "sw" or "es-MX"';
+      return provider.langError(code) ?? undefined;
+    }
   });
+  return isCancel(code) ? code : code.trim();
 }
 
-async function cmdPlay() {
-  const soundId = parseArg('--sound');
-  if (!soundId) {
-    process.stderr.write('Missing --sound <id>\n');
-    process.exit(1);
+/**
+ * Edit the matcher → sound entries of an event that supports matchers
+ * (e.g. PreToolUse on "Bash" vs "Write|Edit"). Mutates mappings.
+ * @param {string} eventName
+ * @param {import('./hooks.js').Mappings} mappings
+ * @param {Record<string, string[]>} soundsGrouped
+ * @param {Record<string, string>} soundLabels
+ * @returns {Promise<void>}
+ */
+async function editMatcherEntries(eventName, mappings, soundsGrouped, soundLabels) {
+  while (true) {
+    const entries = mappings[eventName] ?? [];
+    const options = entries.map((e) => ({
+      value: `entry:${e.matcher}`,
+      label: `${e.matcher}  ${pc.dim('→')}  ${pc.cyan(formatEntrySound(e, soundLabels))}${pc.dim(formatPlayback(e))}`
+    }));
+    options.push({ value: 'add', label: 'Add sound for a matcher (e.g. Bash, Write|Edit, *)' });
+    if (entries.length > 0) options.push({ value: 'disable', label: 'Disable (remove all mappings)' });
+    options.push({ value: 'back', label: 'Back' });
+
+    const overlapping = matchersOverlappingCatchAll(entries);
+    const overlapNote =
+      overlapping.length > 0
+        ? `\n${pc.yellow(`* also plays for ${overlapping.join(', ')}, so two sounds play at once (it is not a fallback)`)}`
+        : '';
+    const action = await select({
+      message: `Event: ${eventName}  ${pc.dim('(ESC to back)')}${overlapNote}`,
+      options
+    });
+
+    if (isCancel(action) || action === 'back') return;
+
+    if (action === 'disable') {
+      removeMappingEntry(mappings, eventName);
+      return;
+    }
+
+    if (action === 'add') {
+      const matcherInput = await text({
+        message: `Matcher for ${eventName} (tool name or regex, * for all)`,
+        placeholder: '*',
+        defaultValue: DEFAULT_MATCHER,
+        validate: (v) => {
+          if (v && !isValidMatcher(v)) return 'Matcher must be a single line under 200 characters';
+          return undefined;
+        }
+      });
+
+      if (isCancel(matcherInput)) continue;
+
+      const matcher = matcherInput.trim() || DEFAULT_MATCHER;
+      const picked = await pickSound(eventName, soundsGrouped, soundLabels);
+      if (picked) {
+        setMappingEntry(mappings, eventName, { matcher, ...picked });
+        if (!picked.pool) await recordRecentSound(picked.soundId);
+      }
+      continue;
+    }
+
+    const matcher = String(action).slice('entry:'.length);
+    const entry = entries.find((e) => e.matcher === matcher);
+    if (!entry) continue;
+    const entryAction = await select({
+      message: `${eventName} · ${matcher}  ${pc.dim('(ESC to back)')}`,
+      options: [
+        { value: 'change', label: 'Change sound' },
+        ...playbackMenuOptions(entry),
+        { value: 'remove', label: 'Remove this matcher' },
+        { value: 'back', label: 'Back' }
+      ]
+    });
+
+    if (isCancel(entryAction) || entryAction === 'back') continue;
+
+    if (entryAction === 'remove') {
+      removeMappingEntry(mappings, eventName, matcher);
+      continue;
+    }
+
+    if (entryAction === 'volume' || entryAction === 'trim') {
+      await editPlaybackOptions(entryAction, `${eventName} · ${matcher}`, eventName, entry, mappings);
+      continue;
+    }
+
+    const picked = await pickSound(eventName, soundsGrouped, soundLabels);
+    if (!picked) continue;
+    // Keep the volume; a trim belongs to the old clip.
+    setMappingEntry(mappings, eventName, { ...keepVolume(entry), matcher, ...picked });
+    if (!picked.pool) await recordRecentSound(picked.soundId);
   }
+}
 
-  await ensureSoundsLoaded();
+/**
+ * Reload sound groups and labels in place (after custom sounds change).
+ * @param {Record<string, string[]>} soundsGrouped
+ * @param {Record<string, string>} soundLabels
+ * @returns {Promise<void>}
+ */
+async function refreshSounds(soundsGrouped, soundLabels) {
+  invalidateSoundCache();
+  const refreshed = await listSoundsGrouped();
+  for (const key of Object.keys(soundLabels)) delete soundLabels[key];
+  Object.assign(soundsGrouped, refreshed.grouped);
+  Object.assign(soundLabels, refreshed.labels);
+}
 
-  try {
-    await playSound(soundId);
-  } catch (err) {
-    process.stderr.write(`Failed to play sound '${soundId}': ${err?.message || err}\n`);
-    process.exit(1);
+/**
+ * Rename, relabel, preview or delete custom sounds. Renames are written to
+ * every settings file right away and applied to the unsaved `mappings` too.
+ * @param {import('./hooks.js').Mappings[]} openMappings - mappings being edited (mutated on rename)
+ * @param {Record<string, string[]>} soundsGrouped
+ * @param {Record<string, string>} soundLabels
+ * @returns {Promise<void>}
+ */
+async function manageCustomSounds(openMappings, soundsGrouped, soundLabels) {
+  const unsavedUses = (id) =>
+    openMappings.some((m) =>
+      Object.values(m).some((entries) => entries.some((e) => e.soundId === id || poolIncludes(e.pool, id)))
+    );
+
+  while (true) {
+    const ids = soundsGrouped.custom ?? [];
+    if (ids.length === 0) {
+      note('No custom sounds yet. Create or import one when picking a sound.', 'Custom sounds');
+      return;
+    }
+    const options = await buildSoundOptionsForGroup(ids, soundLabels);
+    const soundId = await selectWithSoundPreview({
+      message: `Custom sounds (↑/↓ preview)  ${pc.dim('(ESC to back)')}`,
+      options: options.map((o) => ({ ...o, hint: [o.value, o.hint].filter(Boolean).join(' · ') }))
+    });
+    if (isCancel(soundId)) return;
+
+    const label = soundLabels[soundId];
+    const action = await select({
+      message: `${label ?? soundId}  ${pc.dim('(ESC to back)')}`,
+      options: [
+        { value: 'label', label: label ? 'Change label' : 'Set label' },
+        { value: 'rename', label: 'Rename', hint: soundId },
+        { value: 'delete', label: 'Delete' },
+        { value: 'back', label: 'Back' }
+      ]
+    });
+    if (isCancel(action) || action === 'back') continue;
+
+    try {
+      if (action === 'label') {
+        const next = await text({
+          message: 'Label (empty to clear)',
+          initialValue: label ?? '',
+          validate: (v) => ((v ?? '').length > 80 ? 'Keep it under 80 characters' : undefined)
+        });
+        if (isCancel(next)) continue;
+        await setCustomLabel(soundId, next ?? '');
+      }
+
+      if (action === 'rename') {
+        const name = await text({
+          message: 'New name (lowercase letters, digits, _ and -)',
+          initialValue: soundId.slice(CUSTOM_PREFIX.length)
+        });
+        if (isCancel(name)) continue;
+        const { from, to, updated } = await renameCustomSound(soundId, name.trim(), { projectDir: process.cwd() });
+        for (const m of openMappings) renameInMappings(m, from, to);
+        note([`Renamed ${from} to ${to}`, ...updated.map((f) => `Updated ${f}`)].join('\n'), 'Renamed');
+      }
+
+      if (action === 'delete') {
+        const usages = (await findSoundUsages(soundId, process.cwd())).map(describeUsage);
+        if (usages.length === 0 && unsavedUses(soundId)) usages.push('the mappings being edited (not saved yet)');
+        if (usages.length > 0) {
+          note(`${soundId} is still used by:\n${usages.join('\n')}`, 'In use');
+        }
+        const ok = await confirm({
+          message: usages.length > 0 ? `Delete ${soundId} anyway? Those hooks will fail to play.` : `Delete ${soundId}?`,
+          initialValue: usages.length === 0
+        });
+        if (isCancel(ok) || !ok) continue;
+        await deleteCustomSound(soundId);
+      }
+    } catch (err) {
+      note(String(err?.message ?? err), 'Error');
+    }
+    await refreshSounds(soundsGrouped, soundLabels);
   }
 }
 
-async function cmdImport() {
-  const filePath = parseArg('--file') ?? process.argv[3];
-  if (!filePath) {
-    process.stderr.write('Missing path. Usage: claude-sound import <path-to-mp3-or-wav>\n');
-    process.exit(1);
+/**
+ * Ask how hook commands should run claude-sound.
+ * @param {import('./hooks.js').CommandOptions} current
+ * @returns {Promise<import('./hooks.js').CommandOptions | null>} null if cancelled
+ */
+async function promptCommandOptions(current) {
+  const resolved = resolveCommandOptions(current);
+  const version = packageVersion();
+
+  const strategy = await select({
+    message: 'How should hooks run claude-sound?',
+    initialValue: resolved.strategy,
+    options: [
+      { value: 'npx', label: 'npx claude-sound@latest', hint: 'no install; always newest; needs network' },
+      { value: 'pinned', label: `npx claude-sound@${version}`, hint: 'pinned version; works offline once cached' },
+      { value: 'global', label: 'claude-sound from PATH', hint: 'npm i -g claude-sound' },
+      { value: 'path', label: 'Absolute node + script path', hint: 'no npm at hook time' }
+    ]
+  });
+  if (isCancel(strategy)) return null;
+
+  /** @type {import('./hooks.js').CommandOptions} */
+  const next = { strategy, client: resolved.client };
+  if (strategy === 'pinned') next.version = version;
+
+  if (strategy === 'path') {
+    const defaults = resolveCommandOptions({ strategy: 'path', client: resolved.client });
+    const nodePath = await text({
+      message: 'Absolute path to node',
+      initialValue: resolved.nodePath ?? defaults.nodePath
+    });
+    if (isCancel(nodePath)) return null;
+    next.nodePath = nodePath.trim();
+    // scriptPath is derived from client below unless the user changes it.
+  }
+
+  const client = await confirm({
+    message: 'Hand playback to `claude-sound daemon` (claude-sound-client)? Faster on busy hooks.',
+    initialValue: resolved.client
+  });
+  if (isCancel(client)) return null;
+  next.client = client;
+
+  if (strategy === 'path') {
+    const defaults = resolveCommandOptions({ strategy: 'path', client });
+    const scriptPath = await text({
+      message: `Absolute path to ${client ? 'client.js' : 'cli.js'}`,
+      initialValue: defaults.scriptPath
+    });
+    if (isCancel(scriptPath)) return null;
+    next.scriptPath = scriptPath.trim();
   }
 
   try {
-    const { soundId } = await importSound(filePath);
-    process.stdout.write(`Imported: ${soundId}\n`);
+    validateCommandOptions(next);
   } catch (err) {
-    process.stderr.write(`Import failed: ${err?.message || err}\n`);
-    process.exit(1);
+    note(String(err?.message ?? err), 'Error');
+    return null;
   }
-}
-
-async function cmdListSounds() {
-  const sounds = await listSounds();
-  for (const s of sounds) process.stdout.write(s + '\n');
-}
-
-async function cmdListEvents() {
-  for (const e of HOOK_EVENTS) process.stdout.write(e + '\n');
+  return next;
 }
 
 async function interactiveSetup() {
@@ -140,11 +2417,11 @@ async function interactiveSetup() {
   let settings = existingRes.value;
 
   // Load existing mappings we previously wrote.
-  /** @type {Record<string, string>} */
+  /** @type {import('./hooks.js').Mappings} */
   let mappings = getExistingManagedMappings(settings);
 
   // When editing project scope, load inherited mappings and their source.
-  /** @type {Record<string, string>} */
+  /** @type {import('./hooks.js').Mappings} */
   let inheritedMappings = {};
   /** @type {Record<string, 'global' | 'project'>} */
   let inheritedFrom = {};
@@ -153,8 +2430,8 @@ async function interactiveSetup() {
     const globalRes = await readJsonIfExists(globalPath);
     if (globalRes.ok) {
       const global = getExistingManagedMappings(globalRes.value);
-      for (const [ev, id] of Object.entries(global)) {
-        inheritedMappings[ev] = id;
+      for (const [ev, entries] of Object.entries(global)) {
+        inheritedMappings[ev] = entries;
         inheritedFrom[ev] = 'global';
       }
     }
@@ -163,8 +2440,8 @@ async function interactiveSetup() {
       const projectRes = await readJsonIfExists(projectPath);
       if (projectRes.ok) {
         const project = getExistingManagedMappings(projectRes.value);
-        for (const [ev, id] of Object.entries(project)) {
-          inheritedMappings[ev] = id;
+        for (const [ev, entries] of Object.entries(project)) {
+          inheritedMappings[ev] = entries;
           inheritedFrom[ev] = 'project';
         }
       }
@@ -179,27 +2456,36 @@ async function interactiveSetup() {
 
   const { grouped: soundsGrouped, labels: soundLabels } = await listSoundsGrouped();
 
+  const config = await readConfig();
+  /** @type {import('./hooks.js').CommandOptions} */
+  let commandOptions = config.hookCommand ?? {};
+  let masterVolume = isValidVolume(config.volume) ? config.volume : 100;
+
   // main loop
   while (true) {
     const options = HOOK_EVENTS.map((eventName) => {
-      const soundId = mappings[eventName];
-      const inheritedSoundId = inheritedMappings[eventName];
+      const entries = mappings[eventName] ?? [];
+      const inheritedEntries = inheritedMappings[eventName] ?? [];
       const source = inheritedFrom[eventName];
-      const displayName = soundId ? formatSoundDisplay(soundId, soundLabels) : '';
-      const inheritedDisplay = inheritedSoundId
-        ? formatSoundDisplay(inheritedSoundId, soundLabels)
-        : '';
+      const displayName = formatEntriesDisplay(entries, soundLabels);
+      const inheritedDisplay = formatEntriesDisplay(inheritedEntries, soundLabels);
 
       let label = eventName;
-      if (soundId) {
+      if (entries.length > 0) {
         label += `  ${pc.dim('→')}  ${pc.cyan(displayName)}`;
-      } else if (inheritedSoundId) {
+      } else if (inheritedEntries.length > 0) {
         const fromLabel = source === 'project' ? '(from project)' : '(from global)';
         label += `  ${pc.dim('→')}  ${pc.gray(inheritedDisplay)}  ${pc.dim(fromLabel)}`;
       }
       return { value: eventName, label };
     });
 
+    options.push({ value: '__custom__', label: 'Manage custom sounds' });
+    options.push({ value: '__volume__', label: `Master volume: ${pc.dim(`${masterVolume}%`)}` });
+    options.push({
+      value: '__runner__',
+      label: `Hook command: ${pc.dim(describeCommandOptions(commandOptions))}`
+    });
     options.push({ value: '__apply__', label: 'Apply (write settings)' });
     options.push({ value: '__remove_all__', label: 'Remove all claude-sound hooks' });
     options.push({ value: '__exit__', label: 'Exit (no changes)' });
@@ -220,10 +2506,34 @@ async function interactiveSetup() {
       continue;
     }
 
+    if (choice === '__custom__') {
+      await manageCustomSounds([mappings, inheritedMappings], soundsGrouped, soundLabels);
+      continue;
+    }
+
+    if (choice === '__volume__') {
+      const volume = await promptVolume('Master volume for all hook sounds (0-100)', masterVolume);
+      if (volume !== null) masterVolume = volume;
+      continue;
+    }
+
+    if (choice === '__runner__') {
+      const next = await promptCommandOptions(commandOptions);
+      if (next) commandOptions = next;
+      continue;
+    }
+
     if (choice === '__apply__') {
       const s = spinner();
       s.start('Writing settings...');
-      settings = applyMappingsToSettings(settings, mappings);
+      try {
+        await updateConfig({ hookCommand: commandOptions, volume: masterVolume });
+      } catch (err) {
+        s.stop('Nothing written');
+        note(String(err?.message || err), 'Error');
+        continue;
+      }
+      settings = applyMappingsToSettings(settings, mappings, commandOptions);
       await writeJson(settingsPath, settings);
       s.stop('Done');
       outro(`Saved hooks to ${settingsPath}`);
@@ -232,10 +2542,17 @@ async function interactiveSetup() {
 
     const eventName = choice;
 
+    if (MATCHER_EVENTS.includes(eventName)) {
+      await editMatcherEntries(eventName, mappings, soundsGrouped, soundLabels);
+      continue;
+    }
+
+    const current = mappings[eventName]?.find((e) => e.matcher === DEFAULT_MATCHER);
     const action = await select({
       message: `Event: ${eventName}  ${pc.dim('(ESC to back)')}`,
       options: [
         { value: 'enable', label: mappings[eventName] ? 'Change sound' : 'Enable & choose sound' },
+        ...(current ? playbackMenuOptions(current) : []),
         { value: 'disable', label: 'Disable (remove mapping)' },
         { value: 'back', label: 'Back' }
       ]
@@ -244,133 +2561,131 @@ async function interactiveSetup() {
     if (isCancel(action) || action === 'back') continue;
 
     if (action === 'disable') {
-      delete mappings[eventName];
+      removeMappingEntry(mappings, eventName);
       continue;
     }
 
-    const categoryOptions = SOUND_GROUPS.filter(
-      (g) =>
-        g.value === '__create__' ||
-        g.value === '__import__' ||
-        (soundsGrouped[g.value]?.length ?? 0) > 0
-    );
+    if ((action === 'volume' || action === 'trim') && current) {
+      await editPlaybackOptions(action, eventName, eventName, current, mappings);
+      continue;
+    }
 
-    while (true) {
-      const category = await select({
-        message: `Pick a category for ${eventName}  ${pc.dim('(ESC to back)')}`,
-        options: categoryOptions
-      });
+    const picked = await pickSound(eventName, soundsGrouped, soundLabels);
+    if (!picked) continue;
+    setMappingEntry(mappings, eventName, { ...keepVolume(current), matcher: DEFAULT_MATCHER, ...picked });
+    if (!picked.pool) await recordRecentSound(picked.soundId);
+  }
+}
 
-      if (isCancel(category)) break;
+async function main() {
+  const args = process.argv.slice(2);
 
-      if (category === '__import__') {
-        const pathInput = await text({
-          message: 'Path to MP3 or WAV file',
-          placeholder: './my-sound.mp3 or /path/to/sound.wav',
-          validate: (v) => {
-            if (!v?.trim()) return 'Path cannot be empty';
-            return undefined;
-          }
-        });
+  if (args.includes('-h') || args.includes('--help')) usage(0);
 
-        if (isCancel(pathInput)) continue;
-
-        const s = spinner();
-        s.start('Importing...');
-        try {
-          const { soundId: newSoundId } = await importSound(pathInput);
-          invalidateSoundCache();
-          const refreshed = await listSoundsGrouped();
-          soundsGrouped.custom = refreshed.grouped.custom;
-          Object.assign(soundLabels, refreshed.labels);
-          s.stop('Done');
-          mappings[eventName] = newSoundId;
-          note(`Imported and selected: ${newSoundId}`, 'Imported');
-          break;
-        } catch (err) {
-          s.stop('Failed');
-          note(String(err?.message ?? err), 'Error');
-          continue;
-        }
-      }
+  configurePlayers(await readConfig());
+  const playerFlag = parseArg('--player');
+  if (playerFlag !== null) setPlayerOverride(playerFlag);
 
-      if (category === '__create__') {
-        const langChoice = await select({
-          message: 'Language for speech',
-          options: [
-            { value: 'en', label: 'English (default)' },
-            { value: 'ko', label: 'Korean (한국어)' }
-          ]
-        });
+  // `claude-sound --player <name>` alone runs the interactive setup.
+  const cmd = args[0] === '--player' ? args[2] : args[0];
 
-        if (isCancel(langChoice)) continue;
+  if (!cmd) {
+    await interactiveSetup();
+    return;
+  }
 
-        const textInput = await text({
-          message: `Enter text to speak${langChoice === 'ko' ? ' (e.g. "클로드가 준비됐어요!")' : ' (e.g. "Claude is ready!")'}`,
-          placeholder: langChoice === 'ko' ? '클로드가 준비됐어요!' : 'Claude is ready!',
-          validate: (v) => {
-            if (!v?.trim()) return 'Text cannot be empty';
-            if (v.length > 200) return 'Keep it under 200 characters';
-            return undefined;
-          }
-        });
+  if (cmd === 'play') {
+    await cmdPlay();
+    return;
+  }
 
-        if (isCancel(textInput)) continue;
-
-        const s = spinner();
-        s.start('Generating speech...');
-        try {
-          const { soundId: newSoundId } = await generateTts(textInput, { lang: langChoice });
-          invalidateSoundCache();
-          const refreshed = await listSoundsGrouped();
-          soundsGrouped.custom = refreshed.grouped.custom;
-          soundLabels[newSoundId] = refreshed.labels[newSoundId] ?? textInput.trim().slice(0, 30);
-          s.stop('Done');
-          mappings[eventName] = newSoundId;
-          note(`Created and selected: ${newSoundId}`, 'Created');
-          break;
-        } catch (err) {
-          s.stop('Failed');
-          note(String(err?.message ?? err), 'Error');
-          continue;
-        }
-      }
+  if (cmd === 'import') {
+    await cmdImport();
+    return;
+  }
 
-      const ids = soundsGrouped[category] ?? [];
-      const soundOptions = buildSoundOptionsForGroup(ids, soundLabels);
+  if (cmd === 'tts') {
+    await cmdTts();
+    return;
+  }
 
-      const soundId = await selectWithSoundPreview({
-        message: `Pick a sound for ${eventName} (↑/↓ preview)  ${pc.dim('(ESC to back)')}`,
-        options: soundOptions
-      });
+  if (cmd === 'synth') {
+    await cmdSynth();
+    return;
+  }
 
-      if (isCancel(soundId)) continue;
+  if (cmd === 'set') {
+    await cmdSet();
+    return;
+  }
 
-      mappings[eventName] = soundId;
-      break;
-    }
+  if (cmd === 'unset') {
+    await cmdUnset();
+    return;
   }
-}
 
-async function main() {
-  const args = process.argv.slice(2);
+  if (cmd === 'doctor') {
+    await cmdDoctor();
+    return;
+  }
 
-  if (args.includes('-h') || args.includes('--help')) usage(0);
+  if (cmd === 'list-players') {
+    await cmdListPlayers();
+    return;
+  }
 
-  const cmd = args[0];
+  if (cmd === 'volume') {
+    await cmdVolume();
+    return;
+  }
 
-  if (!cmd) {
-    await interactiveSetup();
+  if (cmd === 'policy') {
+    await cmdPolicy();
     return;
   }
 
-  if (cmd === 'play') {
-    await cmdPlay();
+  if (cmd === 'remove-all') {
+    await cmdRemoveAll();
     return;
   }
 
-  if (cmd === 'import') {
-    await cmdImport();
+  if (cmd === 'apply') {
+    await cmdApply();
+    return;
+  }
+
+  if (cmd === 'profile') {
+    await cmdProfile();
+    return;
+  }
+
+  if (cmd === 'pack') {
+    await cmdPack();
+    return;
+  }
+
+  if (cmd === 'custom') {
+    await cmdCustom();
+    return;
+  }
+
+  if (cmd === 'speech') {
+    await cmdSpeech();
+    return;
+  }
+
+  if (cmd === 'cue') {
+    await cmdCue();
+    return;
+  }
+
+  if (cmd === 'migrate') {
+    await cmdMigrate();
+    return;
+  }
+
+  if (cmd === 'daemon') {
+    await cmdDaemon();
     return;
   }
 
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+// Lightweight hook entry point: hands the request to a running
+// `claude-sound daemon` and exits. Falls back to playing directly when the
+// daemon isn't running. Keep imports minimal; this runs on every hook event.
+
+import process from 'node:process';
+import { readHookPayload } from './rules.js';
+import { sendToDaemon } from './daemon-client.js';
+import { parsePlaybackFlags, parsePoolFlags } from './hooks.js';
+
+function parseArg(flag) {
+  const idx = process.argv.indexOf(flag);
+  if (idx === -1) return null;
+  return process.argv[idx + 1] ?? null;
+}
+
+async function main() {
+  const soundId = parseArg('--sound');
+  if (!soundId) {
+    process.stderr.write('Missing --sound <id>\n');
+    process.exit(1);
+  }
+  const eventName = parseArg('--event');
+  const opts = { ...parsePoolFlags(parseArg), ...parsePlaybackFlags(parseArg) };
+
+  const payload = await readHookPayload();
+  // The daemon runs elsewhere; rules need the project dir.
+  if (typeof payload.cwd !== 'string') payload.cwd = process.cwd();
+
+  const res = await sendToDaemon({ type: 'play', eventName, soundId, payload, ...opts });
+  if (res?.ok) return;
+  if (res?.noReply) {
+    // It may be playing already; playing here too could sound twice.
+    process.stderr.write(`claude-sound daemon did not answer (${res.error}); not playing directly\n`);
+    return;
+  }
+  if (res) {
+    process.stderr.write(`claude-sound daemon refused request: ${res.error || 'unknown error'}\n`);
+    process.exit(1);
+  }
+
+  // Daemon not running: play directly.
+  const { playForHook } = await import('./hook-play.js');
+  try {
+    await playForHook({ eventName, soundId, payload, ...opts });
+  } catch (err) {
+    process.stderr.write(`Failed to play sound '${soundId}': ${err?.message || err}\n`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  process.stderr.write(String(err?.stack || err) + '\n');
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { readJsonIfExists } from './hooks.js';
+import { writeFileAtomic } from './state-file.js';
+
+/**
+ * User-level claude-sound config: ~/.claude-sound/config.json.
+ * Holds machine preferences that don't belong in Claude's settings
+ * (e.g. how hook commands invoke claude-sound, master volume, audio player,
+ * text-to-speech provider).
+ *
+ * @typedef {{
+ *   hookCommand?: import('./hooks.js').CommandOptions;
+ *   volume?: number;
+ *   player?: string;
+ *   players?: Record<string, string[]>;
+ *   tts?: string;
+ *   policies?: Record<string, import('./policy.js').PlaybackPolicy>;
+ * }} UserConfig
+ */
+
+/**
+ * Directory for claude-sound's own files (config, custom sounds, daemon socket).
+ * @returns {string}
+ */
+export function dataDir() {
+  return path.join(os.homedir(), '.claude-sound');
+}
+
+/** @returns {string} */
+export function configFilePath() {
+  return path.join(dataDir(), 'config.json');
+}
+
+/**
+ * Read the user config. Missing or invalid files yield {} so playback never
+ * breaks because of a bad config.
+ * @returns {Promise<UserConfig>}
+ */
+export async function readConfig() {
+  try {
+    const raw = await fs.readFile(configFilePath(), 'utf-8');
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Master volume as a factor 0..1 (config `volume` is a percentage, default 100).
+ * @param {UserConfig} config
+ * @returns {number}
+ */
+export function masterVolume(config) {
+  const v = config?.volume;
+  return typeof v === 'number' && Number.isFinite(v) ? Math.min(100, Math.max(0, v)) / 100 : 1;
+}
+
+/**
+ * Shallow-merge a patch into the user config and write it (temp file +
+ * rename, so readers never see a half-written file). Unlike readConfig, a
+ * file that doesn't parse is an error: writing over it would drop the rest
+ * of the user's settings.
+ * @param {Partial<UserConfig>} patch
+ * @returns {Promise<UserConfig>}
+ * @throws {Error} if config.json exists but is not a JSON object
+ */
+export async function updateConfig(patch) {
+  const file = configFilePath();
+  const res = await readJsonIfExists(file);
+  const current = res.ok ? res.value : null;
+  if (!current || typeof current !== 'object' || Array.isArray(current)) {
+    const reason = res.ok ? 'not a JSON object' : res.error?.message || res.error;
+    throw new Error(`Could not read/parse JSON at ${file}: ${reason} (fix or delete it first)`);
+  }
+  const next = { ...current, ...patch };
+  await writeFileAtomic(file, JSON.stringify(next, null, 2) + '\n');
+  return next;
+}
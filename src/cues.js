@@ -0,0 +1,150 @@
+import path from 'node:path';
+import { dataDir } from './config.js';
+import { readJsonIfExists, isValidSoundId, HOOK_TIMEOUT_S } from './hooks.js';
+import { pickIndex } from './rotation.js';
+
+/**
+ * Cues: composite sounds defined in ~/.claude-sound/cues.json and mapped
+ * like any sound, as cue/<name>:
+ *
+ *   {
+ *     "cues": {
+ *       "deploy-done": { "mode": "sequence", "sounds": ["ring1", 0.3, "custom/deploy-done"] },
+ *       "alarm": { "mode": "layer", "sounds": ["ring4", "common/error"] },
+ *       "scv": { "mode": "random", "sounds": ["game/starcraft-scv-good-to-go", "game/starcraft-scv-reporting-for-duty"] },
+ *       "bells": { "mode": "round-robin", "sounds": ["ring1", "ring2", "ring3"], "label": "Bells" }
+ *     }
+ *   }
+ *
+ * - sequence: play the sounds in order; a number is a pause in seconds, and
+ *   "gap" (seconds) pauses between every two sounds. The whole sequence has
+ *   to fit in MAX_CUE_S
+ * - layer: play all sounds at once
+ * - random: play one sound, picked at random
+ * - round-robin: play the next sound each time (see rotation.js)
+ *
+ * Sounds are plain sound ids; cues can't contain cues or speech templates.
+ *
+ * @typedef {'sequence' | 'layer' | 'random' | 'round-robin'} CueMode
+ * @typedef {{ mode: CueMode; sounds: Array<string | number>; gap?: number; label?: string }} Cue
+ * @typedef {{ pause: number } | { sounds: string[] }} CueStep
+ *   one step of playback: a pause, or sounds started together
+ */
+
+export const CUE_PREFIX = 'cue/';
+
+export const CUE_MODES = ['sequence', 'layer', 'random', 'round-robin'];
+
+/** Longest a cue may play, in seconds: hooks are stopped after HOOK_TIMEOUT_S. */
+export const MAX_CUE_S = HOOK_TIMEOUT_S;
+
+const MAX_CUE_SOUNDS = 20;
+
+/**
+ * @param {string} soundId
+ * @returns {boolean}
+ */
+export function isCueId(soundId) {
+  return soundId.startsWith(CUE_PREFIX);
+}
+
+/** @returns {string} */
+export function cuesPath() {
+  return path.join(dataDir(), 'cues.json');
+}
+
+/**
+ * Why a cue definition is invalid, or null. Whether its sounds exist is
+ * checked when sounds are loaded.
+ * @param {unknown} cue
+ * @returns {string | null}
+ */
+export function cueError(cue) {
+  if (!cue || typeof cue !== 'object') return 'must be an object with "mode" and "sounds"';
+  const { mode, sounds, gap, label } = /** @type {Record<string, unknown>} */ (cue);
+  if (!CUE_MODES.includes(/** @type {string} */ (mode))) return `"mode" must be one of: ${CUE_MODES.join(', ')}`;
+  if (!Array.isArray(sounds) || sounds.length === 0) return '"sounds" must be a non-empty list';
+  if (sounds.length > MAX_CUE_SOUNDS) return `"sounds" can hold at most ${MAX_CUE_SOUNDS} entries`;
+  for (const s of sounds) {
+    if (typeof s === 'number') {
+      if (mode !== 'sequence') return 'pauses (numbers) only work in a sequence';
+      if (!(s >= 0 && s <= MAX_CUE_S)) return `pauses must be 0-${MAX_CUE_S} seconds`;
+    } else if (!isValidSoundId(s)) {
+      return `invalid sound id ${JSON.stringify(s)}`;
+    } else if (isCueId(s) || s.startsWith('speech/')) {
+      return `${s}: cues can't contain cues or speech templates`;
+    }
+  }
+  if (gap !== undefined && !(typeof gap === 'number' && gap >= 0 && gap <= MAX_CUE_S)) {
+    return `"gap" must be 0-${MAX_CUE_S} seconds`;
+  }
+  if (mode === 'sequence') {
+    const soundCount = sounds.filter((s) => typeof s === 'string').length;
+    const pauses = sounds.reduce((sum, s) => sum + (typeof s === 'number' ? s : 0), 0) + (gap ?? 0) * Math.max(0, soundCount - 1);
+    if (pauses >= MAX_CUE_S) return `pauses add up to ${pauses}s; a cue has to finish within ${MAX_CUE_S}s`;
+  }
+  if (label !== undefined && typeof label !== 'string') return '"label" must be a string';
+  return null;
+}
+
+/**
+ * The sound ids a cue plays (pauses left out).
+ * @param {Cue} cue
+ * @returns {string[]}
+ */
+export function cueSoundIds(cue) {
+  return cue.sounds.filter((s) => typeof s === 'string');
+}
+
+/**
+ * Read the cue file. Invalid cues are reported rather than thrown, so one
+ * typo doesn't take down the others.
+ * @returns {Promise<{ cues: Record<string, Cue>; errors: Record<string, string> }>}
+ */
+export async function readCues() {
+  /** @type {Record<string, Cue>} */
+  const cues = {};
+  /** @type {Record<string, string>} */
+  const errors = {};
+  const res = await readJsonIfExists(cuesPath());
+  const raw = res.ok ? res.value?.cues : null;
+  if (!res.ok) errors['*'] = `Could not read/parse JSON at ${cuesPath()}: ${res.error?.message || res.error}`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { cues, errors };
+
+  for (const [name, cue] of Object.entries(raw)) {
+    const error = isValidSoundId(`${CUE_PREFIX}${name}`) ? cueError(cue) : 'invalid name (letters, digits, _ - : /)';
+    if (error) errors[name] = error;
+    else cues[name] = cue;
+  }
+  return { cues, errors };
+}
+
+/**
+ * What to play for a cue this time: the whole list for sequence and layer,
+ * one sound (picked now) for random and round-robin.
+ * @param {string} cueId - cue/<name>, the rotation key
+ * @param {Cue} cue
+ * @param {object} [opts]
+ * @param {boolean} [opts.persist] - false: don't advance round-robin (previews)
+ * @returns {Promise<CueStep[]>}
+ */
+export async function cueSteps(cueId, cue, { persist = true } = {}) {
+  const ids = cueSoundIds(cue);
+  if (cue.mode === 'layer') return [{ sounds: ids }];
+  if (cue.mode === 'random' || cue.mode === 'round-robin') {
+    const index = await pickIndex(cueId, ids.length, cue.mode === 'random' ? 'random' : 'rotate', { persist });
+    return [{ sounds: [ids[index]] }];
+  }
+
+  /** @type {CueStep[]} */
+  const steps = [];
+  for (const s of cue.sounds) {
+    if (typeof s === 'number') {
+      steps.push({ pause: s });
+      continue;
+    }
+    if (cue.gap && steps.some((step) => 'sounds' in step)) steps.push({ pause: cue.gap });
+    steps.push({ sounds: [s] });
+  }
+  return steps;
+}
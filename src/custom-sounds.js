@@ -0,0 +1,326 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  SCOPES,
+  configPathForScope,
+  sidecarPathForScope,
+  readJsonIfExists,
+  updateJsonFile,
+  updateManagedMappings,
+  readAllScopeMappings
+} from './hooks.js';
+import { readConfig } from './config.js';
+import { CUE_PREFIX, cuesPath } from './cues.js';
+import { customNameError } from './tts.js';
+import {
+  listSounds,
+  resolveSoundPath,
+  invalidateSoundCache,
+  userOrderPath,
+  updateUserOrder,
+  poolIncludes
+} from './sounds.js';
+
+/**
+ * Management of the user's own sounds (TTS and imported files in
+ * ~/.claude-sound/sounds/, ids custom/<name>): labels, renames and deletion.
+ *
+ * Labels live in the user order.json (see userOrderPath), under "custom":
+ *
+ *   { "custom": [{ "id": "custom/hello-from-claude-1tcuau", "label": "Hello" }] }
+ *
+ * @typedef {{
+ *   scope: string;
+ *   file: string;
+ *   kind: 'hook' | 'rule' | 'cue';
+ *   event: string;
+ *   matcher?: string;
+ * }} SoundUsage
+ *   for a cue, scope is "user" and event the cue id
+ */
+
+export const CUSTOM_PREFIX = 'custom/';
+
+const MAX_LABEL_LENGTH = 80;
+
+/**
+ * Accept "custom/<name>" or a bare "<name>".
+ * @param {string} idOrName
+ * @returns {string}
+ */
+export function toCustomId(idOrName) {
+  return idOrName.startsWith(CUSTOM_PREFIX) ? idOrName : `${CUSTOM_PREFIX}${idOrName}`;
+}
+
+/**
+ * Resolve an existing custom sound.
+ * @param {string} idOrName
+ * @returns {Promise<{ id: string; filePath: string }>}
+ * @throws {Error} if it isn't an installed custom sound
+ */
+async function requireCustomSound(idOrName) {
+  const id = toCustomId(idOrName);
+  if (!(await listSounds()).includes(id)) throw new Error(`No custom sound ${id} (see claude-sound custom list)`);
+  return { id, filePath: resolveSoundPath(id) };
+}
+
+/**
+ * Names of the cues in cues.json whose sounds include a sound id. Invalid
+ * cues count too, so a rename or delete doesn't break them further.
+ * @param {string} soundId
+ * @returns {Promise<string[]>}
+ */
+async function cuesUsing(soundId) {
+  const res = await readJsonIfExists(cuesPath());
+  const cues = res.ok ? res.value?.cues : null;
+  if (!cues || typeof cues !== 'object' || Array.isArray(cues)) return [];
+  return Object.entries(cues)
+    .filter(([, cue]) => Array.isArray(cue?.sounds) && cue.sounds.includes(soundId))
+    .map(([name]) => name);
+}
+
+/**
+ * Where a sound is used: managed hooks (or their pools) in any scope of the
+ * project, payload rules in the sidecar files, and cues.
+ * @param {string} soundId
+ * @param {string} projectDir
+ * @returns {Promise<SoundUsage[]>}
+ */
+export async function findSoundUsages(soundId, projectDir) {
+  /** @type {SoundUsage[]} */
+  const usages = [];
+  for (const { scope, settingsPath, mappings } of await readAllScopeMappings(projectDir)) {
+    for (const [event, entries] of Object.entries(mappings)) {
+      for (const e of entries) {
+        if (e.soundId === soundId || poolIncludes(e.pool, soundId)) {
+          usages.push({ scope, file: settingsPath, kind: 'hook', event, matcher: e.matcher });
+        }
+      }
+    }
+  }
+  for (const scope of SCOPES) {
+    const sidecarPath = sidecarPathForScope(scope, projectDir);
+    const res = await readJsonIfExists(sidecarPath);
+    const rules = res.ok && Array.isArray(res.value?.rules) ? res.value.rules : [];
+    for (const r of rules) {
+      if (r?.sound !== soundId) continue;
+      const event = Array.isArray(r.event) ? r.event.join('|') : typeof r.event === 'string' ? r.event : '*';
+      usages.push({ scope, file: sidecarPath, kind: 'rule', event });
+    }
+  }
+  for (const name of await cuesUsing(soundId)) {
+    usages.push({ scope: 'user', file: cuesPath(), kind: 'cue', event: `${CUE_PREFIX}${name}` });
+  }
+  return usages;
+}
+
+/**
+ * One line per usage, e.g. "project: Stop" or "global: rule for PostToolUseFailure".
+ * @param {SoundUsage} u
+ * @returns {string}
+ */
+export function describeUsage(u) {
+  if (u.kind === 'rule') return `${u.scope}: rule for ${u.event}`;
+  if (u.kind === 'cue') return u.event;
+  return `${u.scope}: ${u.event}${u.matcher && u.matcher !== '*' ? ` (${u.matcher})` : ''}`;
+}
+
+/**
+ * Set (or with an empty label, clear) the display label of custom sounds.
+ * @param {Record<string, string>} labels - sound id -> label
+ * @returns {Promise<void>}
+ * @throws {Error} for labels that are too long or an unreadable order.json
+ */
+export async function setCustomLabels(labels) {
+  for (const label of Object.values(labels)) {
+    if (label.length > MAX_LABEL_LENGTH) throw new Error(`Label must be ${MAX_LABEL_LENGTH} characters or less`);
+  }
+  await updateUserOrder((order) => {
+    const list = Array.isArray(order.custom) ? [...order.custom] : [];
+    for (const [id, raw] of Object.entries(labels)) {
+      const label = raw.trim();
+      const entry = label ? { id, label } : id;
+      const i = list.findIndex((e) => (typeof e === 'string' ? e : e?.id) === id);
+      if (i === -1) {
+        if (label) list.push(entry);
+      } else {
+        list[i] = entry;
+      }
+    }
+    return { ...order, custom: list };
+  });
+}
+
+/**
+ * Set (or with an empty label, clear) a custom sound's display label.
+ * @param {string} idOrName
+ * @param {string} label
+ * @returns {Promise<string>} the sound id
+ * @throws {Error}
+ */
+export async function setCustomLabel(idOrName, label) {
+  const { id } = await requireCustomSound(idOrName);
+  await setCustomLabels({ [id]: label });
+  return id;
+}
+
+/**
+ * Replace (or with `to` null, drop) a sound id in every list of the user order.json.
+ * @param {string} from
+ * @param {string | null} to
+ * @returns {Promise<void>}
+ */
+async function replaceInUserOrder(from, to) {
+  const res = await readJsonIfExists(userOrderPath());
+  if (!res.ok || !res.value || typeof res.value !== 'object') return;
+  const mentions = Object.values(res.value).some(
+    (list) => Array.isArray(list) && list.some((e) => (typeof e === 'string' ? e : e?.id) === from)
+  );
+  if (!mentions) return;
+
+  await updateUserOrder((order) => {
+    const out = { ...order };
+    for (const [key, list] of Object.entries(order)) {
+      if (!Array.isArray(list)) continue;
+      out[key] = list.flatMap((e) => {
+        const id = typeof e === 'string' ? e : e?.id;
+        if (id !== from) return [e];
+        if (to === null) return [];
+        return [typeof e === 'string' ? to : { ...e, id: to }];
+      });
+    }
+    return out;
+  });
+}
+
+/**
+ * Point mappings (and their pools) that use a sound id at another one, in place.
+ * @param {import('./hooks.js').Mappings} mappings
+ * @param {string} from
+ * @param {string} to
+ * @returns {void}
+ */
+export function renameInMappings(mappings, from, to) {
+  for (const entries of Object.values(mappings)) {
+    for (const e of entries) {
+      if (e.soundId === from) e.soundId = to;
+      if (e.pool) e.pool = e.pool.map((item) => (item === from ? to : item));
+    }
+  }
+}
+
+/**
+ * Point the hooks, rules and cues in `usages` at another sound id.
+ * @param {SoundUsage[]} usages - from findSoundUsages(from)
+ * @param {string} from
+ * @param {string} to
+ * @param {{ commandOptions: import('./hooks.js').CommandOptions }} opts
+ * @returns {Promise<string[]>} files that changed
+ * @throws {Error} if one of the files exists but is not valid JSON
+ */
+async function rewriteSoundUsages(usages, from, to, { commandOptions }) {
+  const filesOf = (kind) => new Set(usages.filter((u) => u.kind === kind).map((u) => u.file));
+  const updated = [];
+  for (const file of filesOf('hook')) {
+    const { changed } = await updateManagedMappings(
+      file,
+      (mappings) => renameInMappings(mappings, from, to),
+      { commandOptions }
+    );
+    // A pool of the whole @custom group needs no change.
+    if (changed) updated.push(file);
+  }
+  for (const file of filesOf('rule')) {
+    const { changed } = await updateJsonFile(
+      file,
+      (sidecar) => ({
+        ...sidecar,
+        rules: sidecar.rules.map((r) => (r?.sound === from ? { ...r, sound: to } : r))
+      })
+    );
+    if (changed) updated.push(file);
+  }
+  for (const file of filesOf('cue')) {
+    const { changed } = await updateJsonFile(
+      file,
+      (value) => ({
+        ...value,
+        cues: Object.fromEntries(
+          Object.entries(value.cues).map(([name, cue]) => [
+            name,
+            Array.isArray(cue?.sounds) ? { ...cue, sounds: cue.sounds.map((s) => (s === from ? to : s)) } : cue
+          ])
+        )
+      })
+    );
+    if (changed) updated.push(file);
+  }
+  return updated;
+}
+
+/**
+ * Rename a custom sound's file and rewrite every hook, rule and cue that uses
+ * it. Only the global scope and `projectDir`'s scopes are searched: other
+ * projects' settings and sidecars that use the sound keep the old id.
+ *
+ * Nothing changes while one of those files doesn't parse; if a rewrite still
+ * fails part way, the file is renamed back and finished rewrites are undone.
+ * @param {string} idOrName - current id or name
+ * @param {string} newName - new name (custom/ prefix optional)
+ * @param {object} opts
+ * @param {string} opts.projectDir - project whose scopes are rewritten (plus global)
+ * @returns {Promise<{ from: string; to: string; filePath: string; updated: string[] }>}
+ *   `updated` lists the settings/sidecar/cue files that were rewritten
+ * @throws {Error} for an invalid or taken name, or a settings, sidecar or
+ *   cues file that can't be read
+ */
+export async function renameCustomSound(idOrName, newName, { projectDir }) {
+  const { id: from, filePath } = await requireCustomSound(idOrName);
+  const name = newName.startsWith(CUSTOM_PREFIX) ? newName.slice(CUSTOM_PREFIX.length) : newName;
+  const nameError = customNameError(name);
+  if (nameError) throw new Error(nameError);
+  const to = `${CUSTOM_PREFIX}${name}`;
+  if (to === from) return { from, to, filePath, updated: [] };
+  if ((await listSounds()).includes(to)) throw new Error(`${to} already exists`);
+
+  // findSoundUsages can't see into a file that doesn't parse, which may still use the sound.
+  const files = SCOPES.flatMap((scope) => [configPathForScope(scope, projectDir), sidecarPathForScope(scope, projectDir)]);
+  for (const file of [...files, cuesPath()]) {
+    const res = await readJsonIfExists(file);
+    if (!res.ok) throw new Error(`Could not read/parse JSON at ${file}: ${res.error?.message || res.error} (fix it first)`);
+  }
+
+  const usages = await findSoundUsages(from, projectDir);
+  const { hookCommand: commandOptions = {} } = await readConfig();
+
+  const target = path.join(path.dirname(filePath), `${name}${path.extname(filePath)}`);
+  await fs.rename(filePath, target);
+  invalidateSoundCache();
+
+  let updated;
+  try {
+    updated = await rewriteSoundUsages(usages, from, to, { commandOptions });
+  } catch (err) {
+    await fs.rename(target, filePath);
+    invalidateSoundCache();
+    await rewriteSoundUsages(usages, to, from, { commandOptions }).catch(() => {});
+    throw err;
+  }
+  await replaceInUserOrder(from, to);
+  return { from, to, filePath: target, updated };
+}
+
+/**
+ * Delete a custom sound's file and its label. Hooks that use it are left
+ * alone; check findSoundUsages first.
+ * @param {string} idOrName
+ * @returns {Promise<{ id: string; filePath: string }>}
+ * @throws {Error} if it isn't an installed custom sound
+ */
+export async function deleteCustomSound(idOrName) {
+  const { id, filePath } = await requireCustomSound(idOrName);
+  await fs.rm(filePath);
+  invalidateSoundCache();
+  await replaceInUserOrder(id, null);
+  return { id, filePath };
+}
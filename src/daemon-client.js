@@ -0,0 +1,76 @@
+import net from 'node:net';
+import path from 'node:path';
+import os from 'node:os';
+import { dataDir } from './config.js';
+
+/**
+ * Socket the daemon listens on: a Unix socket under ~/.claude-sound/,
+ * or a per-user named pipe on Windows.
+ * @returns {string}
+ */
+export function daemonSocketPath() {
+  if (process.platform === 'win32') {
+    const user = (os.userInfo().username || 'user').replace(/[^A-Za-z0-9_-]/g, '_');
+    return `\\\\.\\pipe\\claude-sound-${user}`;
+  }
+  return path.join(dataDir(), 'daemon.sock');
+}
+
+/**
+ * @typedef {({ type: 'play'; eventName?: string | null; soundId: string; payload?: Record<string, unknown> }
+ *     & import('./hooks.js').PlaybackOptions)
+ *   | { type: 'ping' }
+ *   | { type: 'stop' }} DaemonRequest
+ * @typedef {{ ok: boolean; error?: string; pid?: number; noReply?: boolean }} DaemonResponse
+ */
+
+/** Connect errors meaning no daemon is listening; anything else may reach one. */
+const NOT_RUNNING_CODES = ['ECONNREFUSED', 'ENOENT'];
+
+/**
+ * Send one request to the daemon (newline-delimited JSON).
+ * Resolves null only when no daemon is listening (connection refused or no
+ * socket), so callers can fall back to direct playback. A daemon that took
+ * the request but didn't answer in time may still play it: that resolves
+ * { ok: false, noReply: true } and callers must not play it again.
+ * @param {DaemonRequest} request
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs]
+ * @returns {Promise<DaemonResponse | null>}
+ */
+export function sendToDaemon(request, { timeoutMs = 500 } = {}) {
+  return new Promise((resolve) => {
+    let buf = '';
+    let settled = false;
+    const done = (value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      resolve(value);
+    };
+    /** @param {string} reason */
+    const noReply = (reason) => done({ ok: false, noReply: true, error: reason });
+
+    const socket = net.createConnection(daemonSocketPath());
+    const timer = setTimeout(() => noReply(`no reply within ${timeoutMs}ms`), timeoutMs);
+
+    socket.setEncoding('utf-8');
+    socket.on('connect', () => socket.write(JSON.stringify(request) + '\n'));
+    socket.on('data', (chunk) => {
+      buf += chunk;
+      const nl = buf.indexOf('\n');
+      if (nl === -1) return;
+      try {
+        done(JSON.parse(buf.slice(0, nl)));
+      } catch {
+        noReply('unreadable reply');
+      }
+    });
+    socket.on('error', (err) => {
+      if (NOT_RUNNING_CODES.includes(err?.code)) done(null);
+      else noReply(String(err?.message || err));
+    });
+    socket.on('close', () => noReply('connection closed without a reply'));
+  });
+}
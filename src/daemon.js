@@ -0,0 +1,169 @@
+import net from 'node:net';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { dataDir } from './config.js';
+import { daemonSocketPath, sendToDaemon } from './daemon-client.js';
+import { isValidSoundId, parsePlaybackFlags, parsePoolFlags } from './hooks.js';
+import { ensureSoundsLoaded, invalidateSoundCache } from './sounds.js';
+import { customSoundsDir } from './tts.js';
+import { warmPlayer } from './play.js';
+import { playForHook } from './hook-play.js';
+
+/** Max bytes per request line; hook payloads are small. */
+const MAX_REQUEST_BYTES = 1024 * 1024;
+
+/** @returns {string} */
+export function daemonPidPath() {
+  return path.join(dataDir(), 'daemon.pid');
+}
+
+/** @returns {string} */
+export function daemonLogPath() {
+  return path.join(dataDir(), 'daemon.log');
+}
+
+/**
+ * mtime of the custom sounds dir, used to notice imports/TTS made while
+ * the daemon is running.
+ * @returns {Promise<number>}
+ */
+async function customSoundsMtime() {
+  try {
+    return (await fs.stat(customSoundsDir())).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Run the playback daemon until stopped (SIGINT/SIGTERM or a "stop" request).
+ * Keeps the sound path cache and resolved player warm between hook events.
+ * @param {object} [opts]
+ * @param {(msg: string) => void} [opts.log]
+ * @returns {Promise<void>} resolves after shutdown
+ * @throws {Error} if a daemon is already running or the socket can't be bound
+ */
+export async function runDaemon({ log = () => {} } = {}) {
+  const socketPath = daemonSocketPath();
+  if (await sendToDaemon({ type: 'ping' })) {
+    throw new Error(`claude-sound daemon already running on ${socketPath}`);
+  }
+
+  await fs.mkdir(dataDir(), { recursive: true });
+  if (process.platform !== 'win32') {
+    // Stale socket from a crashed daemon.
+    await fs.rm(socketPath, { force: true });
+  }
+
+  await ensureSoundsLoaded();
+  let soundsMtime = await customSoundsMtime();
+  try {
+    warmPlayer();
+  } catch (err) {
+    log(`warning: ${err?.message || err}`);
+  }
+
+  /** @type {() => void} */
+  let shutdown = () => {};
+
+  const play = async (req) => {
+    const mtime = await customSoundsMtime();
+    if (mtime !== soundsMtime) {
+      soundsMtime = mtime;
+      invalidateSoundCache();
+    }
+    try {
+      const { soundId, skipped, speechError } = await playForHook(req);
+      const event = req.eventName ? ` (${req.eventName})` : '';
+      if (speechError) log(`speech ${req.soundId}${event} fell back: ${speechError}`);
+      log(skipped ? `skipped ${soundId}${event}: ${skipped}` : `played ${soundId}${event}`);
+    } catch (err) {
+      log(`failed ${req.soundId}: ${err?.message || err}`);
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let buf = '';
+    // One request per connection; anything after the reply is ignored.
+    let replied = false;
+    socket.setEncoding('utf-8');
+    const reply = (res) => {
+      replied = true;
+      socket.end(JSON.stringify(res) + '\n');
+    };
+
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      if (replied) return;
+      buf += chunk;
+      if (buf.length > MAX_REQUEST_BYTES) {
+        reply({ ok: false, error: 'Request too large' });
+        return;
+      }
+      const nl = buf.indexOf('\n');
+      if (nl === -1) return;
+
+      let req;
+      try {
+        req = JSON.parse(buf.slice(0, nl));
+      } catch {
+        reply({ ok: false, error: 'Invalid JSON' });
+        return;
+      }
+
+      if (req?.type === 'ping') {
+        reply({ ok: true, pid: process.pid });
+        return;
+      }
+      if (req?.type === 'stop') {
+        reply({ ok: true, pid: process.pid });
+        shutdown();
+        return;
+      }
+      if (req?.type === 'play' && isValidSoundId(req.soundId)) {
+        // Answer right away; the client exits and playback continues here.
+        reply({ ok: true });
+        const payload = req.payload && typeof req.payload === 'object' ? req.payload : {};
+        // Same validation as the flags on the command line.
+        const opts = parsePlaybackFlags((flag) => {
+          const value = req[flag.slice(2)];
+          return typeof value === 'number' ? String(value) : null;
+        });
+        const pool = parsePoolFlags((flag) => {
+          const value = req[flag.slice(2)];
+          if (Array.isArray(value)) return value.join(',');
+          return typeof value === 'string' ? value : null;
+        });
+        play({ eventName: req.eventName ?? null, soundId: req.soundId, payload, ...pool, ...opts });
+        return;
+      }
+      reply({ ok: false, error: 'Invalid request' });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      server.removeListener('error', reject);
+      resolve(undefined);
+    });
+  });
+  if (process.platform !== 'win32') await fs.chmod(socketPath, 0o600);
+  await fs.writeFile(daemonPidPath(), String(process.pid));
+  log(`listening on ${socketPath} (pid ${process.pid})`);
+
+  await new Promise((resolve) => {
+    let stopping = false;
+    shutdown = () => {
+      if (stopping) return;
+      stopping = true;
+      server.close(async () => {
+        await fs.rm(daemonPidPath(), { force: true });
+        log('stopped');
+        resolve(undefined);
+      });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  });
+}
@@ -0,0 +1,85 @@
+/**
+ * Minimal line diff for showing settings changes (--dry-run).
+ * Settings files are small, so a plain LCS table is fine.
+ */
+
+/**
+ * @typedef {{ type: ' ' | '-' | '+'; line: string }} DiffLine
+ */
+
+/**
+ * Diff two texts line by line.
+ * @param {string} a
+ * @param {string} b
+ * @returns {DiffLine[]}
+ */
+export function diffLines(a, b) {
+  const x = a.split('\n');
+  const y = b.split('\n');
+  const n = x.length;
+  const m = y.length;
+
+  // lcs[i][j] = length of LCS of x[i..] and y[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  /** @type {DiffLine[]} */
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (x[i] === y[j]) {
+      out.push({ type: ' ', line: x[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: '-', line: x[i++] });
+    } else {
+      out.push({ type: '+', line: y[j++] });
+    }
+  }
+  while (i < n) out.push({ type: '-', line: x[i++] });
+  while (j < m) out.push({ type: '+', line: y[j++] });
+  return out;
+}
+
+/**
+ * Format a diff with a few lines of context around each change.
+ * Returns an empty string when the texts are identical.
+ * @param {string} a
+ * @param {string} b
+ * @param {object} [opts]
+ * @param {number} [opts.context]
+ * @param {(line: DiffLine) => string} [opts.style]
+ * @returns {string}
+ */
+export function formatDiff(a, b, { context = 3, style = (d) => `${d.type} ${d.line}` } = {}) {
+  const lines = diffLines(a, b);
+  if (!lines.some((d) => d.type !== ' ')) return '';
+
+  const keep = new Array(lines.length).fill(false);
+  lines.forEach((d, idx) => {
+    if (d.type === ' ') return;
+    for (let k = Math.max(0, idx - context); k <= Math.min(lines.length - 1, idx + context); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const out = [];
+  let skipped = false;
+  lines.forEach((d, idx) => {
+    if (!keep[idx]) {
+      skipped = true;
+      return;
+    }
+    if (skipped) out.push('  ...');
+    skipped = false;
+    out.push(style(d));
+  });
+  if (skipped) out.push('  ...');
+  return out.join('\n');
+}
@@ -0,0 +1,415 @@
+import fs from 'node:fs/promises';
+import {
+  SCOPES,
+  configPathForScope,
+  sidecarPathForScope,
+  readJsonIfExists,
+  getExistingManagedMappings,
+  isManagedCommand,
+  matchersOverlappingCatchAll
+} from './hooks.js';
+import { normalizeRules, rulesErrors } from './rules.js';
+import { ensureSoundsLoaded, resolveSoundPath } from './sounds.js';
+import {
+  detectPlayers,
+  findExecutable,
+  playSound,
+  warmPlayer,
+  preferredPlayerName,
+  playerForFormat
+} from './play.js';
+import { AUDIO_FORMATS, formatForFile } from './audio-format.js';
+import { isCueId, MAX_CUE_S } from './cues.js';
+import { readSoundMetadata, formatDuration } from './metadata.js';
+import { configFilePath } from './config.js';
+import { nullSinkLogPath } from './native-sinks.js';
+import { inQuietHours, policiesErrors } from './policy.js';
+import { sendToDaemon } from './daemon-client.js';
+
+/**
+ * Checks behind `claude-sound doctor`. Each returns one or more results;
+ * anything not "ok" carries a hint on what to do about it.
+ *
+ * @typedef {'ok' | 'warn' | 'fail'} CheckStatus
+ * @typedef {{ status: CheckStatus; title: string; details?: string[]; hint?: string }} CheckResult
+ */
+
+/** Longest a test playback may run, in seconds. */
+const TEST_PLAYBACK_SECONDS = 3;
+
+/**
+ * Which player playback would use, and which others are installed.
+ * @returns {CheckResult}
+ */
+export function checkPlayers() {
+  const players = detectPlayers();
+  const available = players.filter((p) => p.available).map((p) => p.name);
+  const preferred = preferredPlayerName();
+  let chosen;
+  try {
+    chosen = warmPlayer();
+  } catch (err) {
+    if (preferred) {
+      return {
+        status: 'fail',
+        title: String(err?.message || err),
+        details: available.length > 0 ? [`Available: ${available.join(', ')}`] : [],
+        hint: `Pick another player ("player" in ${configFilePath()} or --player), or remove the setting to auto-detect.`
+      };
+    }
+    return {
+      status: 'fail',
+      title: 'No audio player found',
+      details: [`Looked for: ${players.map((p) => p.name).join(', ')}`],
+      hint: 'Install ffmpeg (ffplay) or mpv and make sure it is on PATH.'
+    };
+  }
+  // The null sink is always "available"; only worth mentioning when chosen.
+  const others = available.filter((name) => name !== chosen && name !== 'null');
+  if (chosen === 'null') {
+    return {
+      status: 'warn',
+      title: 'Player: null (nothing is played)',
+      details: [`Sounds that would have played are logged to ${nullSinkLogPath()}`],
+      hint: 'Meant for headless testing. Pick a real player to hear sounds.'
+    };
+  }
+  return {
+    status: 'ok',
+    title:
+      `Player: ${chosen}${preferred ? ' (chosen)' : ''}` +
+      `${others.length > 0 ? ` (also available: ${others.join(', ')})` : ''}`
+  };
+}
+
+/**
+ * Custom player templates in the config that can't be used.
+ * @returns {CheckResult | null}
+ */
+function checkCustomPlayers() {
+  const invalid = detectPlayers().filter((p) => p.custom && p.error);
+  if (invalid.length === 0) return null;
+  return {
+    status: 'warn',
+    title: `${invalid.length} custom player(s) in ${configFilePath()} are invalid`,
+    details: invalid.map((p) => `${p.name}: ${p.error}`),
+    hint: 'Templates look like ["pw-play", "--volume={volume}", "{file}"] (see README).'
+  };
+}
+
+/**
+ * Why a sound id doesn't play, or null if it resolves to a readable file.
+ * @param {string} soundId
+ * @returns {Promise<string | null>}
+ */
+async function soundProblem(soundId) {
+  let filePath;
+  try {
+    filePath = resolveSoundPath(soundId);
+  } catch {
+    return soundId.startsWith('custom/') ? 'custom sound file is missing' : 'unknown sound id';
+  }
+  try {
+    await fs.access(filePath);
+  } catch {
+    return `file not readable: ${filePath}`;
+  }
+  const format = formatForFile(filePath);
+  if (format && !playerForFormat(format)) return `no available player can play ${AUDIO_FORMATS[format].label} files`;
+  if (isCueId(soundId)) {
+    const { duration } = await readSoundMetadata(soundId);
+    if (duration !== undefined && duration > MAX_CUE_S) return `cue plays for ${formatDuration(duration)}; hooks stop after ${MAX_CUE_S}s`;
+  }
+  return null;
+}
+
+/**
+ * Problems with the runner part of a managed command (before ` play `):
+ * quoted paths that don't exist, or an executable that isn't on PATH.
+ * @param {string} command
+ * @returns {Promise<string | null>}
+ */
+async function runnerProblem(command) {
+  const at = command.search(/\splay\s/);
+  const runner = at === -1 ? command : command.slice(0, at);
+
+  const quoted = [...runner.matchAll(/"([^"]+)"/g)].map((m) => m[1]);
+  for (const p of quoted) {
+    try {
+      await fs.access(p);
+    } catch {
+      return `${p} does not exist`;
+    }
+  }
+  if (quoted.length > 0) return null;
+
+  const exe = runner.trim().split(/\s+/)[0];
+  if (!/^[\w.-]+$/.test(exe) || findExecutable(exe)) return null;
+  return `${exe} is not on PATH`;
+}
+
+/**
+ * Settings, mappings and rules of one scope.
+ * @param {string} scope
+ * @param {string} projectDir
+ * @returns {Promise<{ results: CheckResult[]; events: string[]; usesClient: boolean }>}
+ */
+async function checkScope(scope, projectDir) {
+  const settingsPath = configPathForScope(scope, projectDir);
+  /** @type {CheckResult[]} */
+  const results = [];
+
+  const res = await readJsonIfExists(settingsPath);
+  if (!res.ok) {
+    results.push({
+      status: 'fail',
+      title: `${scope}: cannot read ${settingsPath}`,
+      details: [String(res.error?.message || res.error)],
+      hint: 'Fix the JSON; neither Claude Code nor claude-sound can use its hooks until it parses.'
+    });
+    return { results, events: [], usesClient: false };
+  }
+
+  const settings = res.value;
+  const mappings = getExistingManagedMappings(settings);
+  const events = Object.keys(mappings);
+
+  if (settings?.disableAllHooks === true) {
+    results.push({
+      status: 'fail',
+      title: `${scope}: "disableAllHooks": true in ${settingsPath}`,
+      hint: 'Remove it, or no hook (including claude-sound) runs.'
+    });
+  }
+
+  /** @type {string[]} */
+  const problems = [];
+  for (const [eventName, entries] of Object.entries(mappings)) {
+    for (const { matcher, soundId } of entries) {
+      const problem = await soundProblem(soundId);
+      if (problem) problems.push(`${eventName} [${matcher}] → ${soundId}: ${problem}`);
+    }
+  }
+
+  let usesClient = false;
+  /** @type {Set<string>} */
+  const runnerProblems = new Set();
+  for (const groups of Object.values(settings?.hooks ?? {})) {
+    for (const g of Array.isArray(groups) ? groups : []) {
+      for (const h of Array.isArray(g?.hooks) ? g.hooks : []) {
+        if (!isManagedCommand(h?.command)) continue;
+        if (h.command.includes('claude-sound-client')) usesClient = true;
+        const problem = await runnerProblem(h.command);
+        if (problem) runnerProblems.add(problem);
+      }
+    }
+  }
+
+  if (events.length === 0) {
+    results.push({ status: 'ok', title: `${scope}: no claude-sound hooks in ${settingsPath}` });
+  } else if (problems.length > 0) {
+    results.push({
+      status: 'fail',
+      title: `${scope}: ${problems.length} mapping(s) won't play`,
+      details: problems,
+      hint: `Pick another sound (claude-sound set --scope ${scope} --event <e> --sound <id>), re-import missing custom sounds, or apply a bundled profile.`
+    });
+  } else {
+    const count = Object.values(mappings).reduce((n, entries) => n + entries.length, 0);
+    results.push({ status: 'ok', title: `${scope}: ${count} mapping(s) resolve (${settingsPath})` });
+  }
+
+  const overlaps = Object.entries(mappings).flatMap(([eventName, entries]) => {
+    const matchers = matchersOverlappingCatchAll(entries);
+    return matchers.length > 0 ? [`${eventName}: * plays together with ${matchers.join(', ')}`] : [];
+  });
+  if (overlaps.length > 0) {
+    results.push({
+      status: 'warn',
+      title: `${scope}: "*" mappings next to specific matchers`,
+      details: overlaps,
+      hint: '"*" matches everything, so both sounds play at once. Remove the "*" entry if you meant it as a fallback.'
+    });
+  }
+
+  if (runnerProblems.size > 0) {
+    results.push({
+      status: 'fail',
+      title: `${scope}: hook command can't start`,
+      details: [...runnerProblems],
+      hint: `Rewrite the hooks with a working command form: claude-sound migrate --scope ${scope} --strategy <npx|pinned|global|path>`
+    });
+  }
+
+  const sidecarPath = sidecarPathForScope(scope, projectDir);
+  const sidecar = await readJsonIfExists(sidecarPath);
+  if (!sidecar.ok) {
+    results.push({
+      status: 'fail',
+      title: `${scope}: cannot read rules in ${sidecarPath}`,
+      details: [String(sidecar.error?.message || sidecar.error)],
+      hint: 'Fix the JSON; until then no rules apply and hook sounds play unchanged.'
+    });
+  } else {
+    const invalidRules = rulesErrors(sidecar.value?.rules);
+    if (invalidRules.length > 0) {
+      results.push({
+        status: 'warn',
+        title: `${scope}: ${invalidRules.length} rule(s) in ${sidecarPath} are invalid and never apply`,
+        details: invalidRules,
+        hint: 'Fix those rules; the others still apply.'
+      });
+    }
+    const ruleProblems = [];
+    for (const rule of normalizeRules(sidecar.value?.rules)) {
+      const problem = await soundProblem(rule.sound);
+      if (problem) ruleProblems.push(`rule → ${rule.sound}: ${problem}`);
+    }
+    if (ruleProblems.length > 0) {
+      results.push({
+        status: 'fail',
+        title: `${scope}: ${ruleProblems.length} rule(s) point at sounds that won't play`,
+        details: ruleProblems,
+        hint: `Edit the "sound" of those rules in ${sidecarPath}.`
+      });
+    }
+  }
+
+  return { results, events, usesClient };
+}
+
+/**
+ * User config: parse errors, master volume 0, invalid policies, quiet hours in effect.
+ * @returns {Promise<CheckResult[]>}
+ */
+async function checkConfig() {
+  const file = configFilePath();
+  const res = await readJsonIfExists(file);
+  if (!res.ok) {
+    return [
+      {
+        status: 'warn',
+        title: `Cannot read ${file}`,
+        details: [String(res.error?.message || res.error)],
+        hint: 'Fix or delete it; until then the master volume, policies and hook command settings are ignored.'
+      }
+    ];
+  }
+
+  /** @type {CheckResult[]} */
+  const results = [];
+  const config = res.value ?? {};
+  if (config.volume === 0) {
+    results.push({ status: 'warn', title: 'Master volume is 0%', hint: 'Raise it: claude-sound volume 100' });
+  }
+
+  const policyProblems = policiesErrors(config.policies);
+  if (policyProblems.length > 0) {
+    results.push({
+      status: 'warn',
+      title: 'Invalid playback policies (playback ignores what it cannot use)',
+      details: policyProblems,
+      hint: `Fix "policies" in ${file}, or reset them with claude-sound policy unset --event <e>.`
+    });
+  }
+
+  const now = new Date();
+  const quiet = Object.entries(config.policies ?? {})
+    .filter(([, policy]) => policy && inQuietHours(policy.quietHours, now))
+    .map(([event, policy]) => `${event}: ${policy.quietHours.mode === 'reduced' ? 'reduced' : 'silent'}`);
+  if (quiet.length > 0) {
+    results.push({
+      status: 'warn',
+      title: 'Quiet hours are in effect',
+      details: quiet,
+      hint: `Adjust "policies" in ${file} if this is unexpected.`
+    });
+  }
+  return results;
+}
+
+/**
+ * Play a sound (capped to a few seconds) through the chosen player.
+ * @param {string} soundId
+ * @returns {Promise<CheckResult>}
+ */
+export async function checkTestPlayback(soundId) {
+  const problem = await soundProblem(soundId);
+  if (problem) {
+    return { status: 'fail', title: `Test playback of ${soundId}: ${problem}`, hint: 'See claude-sound list-sounds.' };
+  }
+  try {
+    await playSound(soundId, { duration: TEST_PLAYBACK_SECONDS });
+    const heard = warmPlayer() === 'null' ? `logged to ${nullSinkLogPath()}` : 'did you hear it?';
+    return { status: 'ok', title: `Test playback of ${soundId} finished (${heard})` };
+  } catch (err) {
+    return {
+      status: 'fail',
+      title: `Test playback of ${soundId} failed`,
+      details: [String(err?.message || err).trim()],
+      hint: 'Check that the player works on its own and that an output device is available.'
+    };
+  }
+}
+
+/**
+ * Run every check.
+ * @param {object} opts
+ * @param {string} opts.projectDir
+ * @param {string} [opts.soundId] - sound for the test playback
+ * @param {boolean} [opts.play] - false to skip the test playback
+ * @returns {Promise<CheckResult[]>}
+ */
+export async function runDoctor({ projectDir, soundId = 'ring1', play = true }) {
+  await ensureSoundsLoaded();
+
+  const player = checkPlayers();
+  /** @type {CheckResult[]} */
+  const results = [player];
+  const custom = checkCustomPlayers();
+  if (custom) results.push(custom);
+
+  /** @type {Record<string, string[]>} event -> scopes mapping it */
+  const scopesByEvent = {};
+  let usesClient = false;
+  for (const scope of SCOPES) {
+    const scoped = await checkScope(scope, projectDir);
+    results.push(...scoped.results);
+    usesClient ||= scoped.usesClient;
+    for (const eventName of scoped.events) (scopesByEvent[eventName] ??= []).push(scope);
+  }
+
+  const overlapping = Object.entries(scopesByEvent)
+    .filter(([, scopes]) => scopes.length > 1)
+    .map(([eventName, scopes]) => `${eventName}: ${scopes.join(', ')}`);
+  if (overlapping.length > 0) {
+    results.push({
+      status: 'warn',
+      title: 'Events mapped in more than one scope',
+      details: overlapping,
+      hint: 'Claude Code runs the hooks of every scope, so these can play several sounds at once. Unset the ones you do not want.'
+    });
+  }
+
+  results.push(...(await checkConfig()));
+
+  const daemon = usesClient ? await sendToDaemon({ type: 'ping' }) : undefined;
+  if (daemon === null) {
+    results.push({
+      status: 'warn',
+      title: 'Hooks use claude-sound-client but the daemon is not running',
+      hint: 'Sounds still play (slower). Start it with: claude-sound daemon start'
+    });
+  } else if (daemon?.noReply) {
+    results.push({
+      status: 'warn',
+      title: 'Hooks use claude-sound-client but the daemon is not responding',
+      details: [daemon.error],
+      hint: 'Hooks skip their sound rather than risk playing it twice. If it stays stuck, end the pid logged in daemon.log and run claude-sound daemon start.'
+    });
+  }
+
+  // Also after a player warning (e.g. the null player); only without a player is there nothing to test.
+  if (play && player.status !== 'fail') results.push(await checkTestPlayback(soundId));
+  return results;
+}
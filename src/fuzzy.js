@@ -0,0 +1,57 @@
+/**
+ * Small fuzzy matcher for type-ahead search: query characters must appear
+ * in order; consecutive runs, word starts and prefixes score higher.
+ */
+
+/** Characters that start a new word in ids and labels. */
+const WORD_SEPARATORS = new Set([' ', '/', '-', '_', ':', '.', '(', ')']);
+
+/**
+ * Score one query term against a text, or -1 if it doesn't match.
+ * @param {string} term - lowercase, no spaces
+ * @param {string} text
+ * @returns {number}
+ */
+export function fuzzyScore(term, text) {
+  const haystack = text.toLowerCase();
+  if (!term) return 0;
+
+  const exact = haystack.indexOf(term);
+  if (exact !== -1) {
+    // Substrings beat scattered matches; prefixes and word starts beat both.
+    const atWord = exact === 0 || WORD_SEPARATORS.has(haystack[exact - 1]);
+    return 100 + term.length * 4 + (exact === 0 ? 30 : atWord ? 15 : 0);
+  }
+
+  let score = 0;
+  let pos = 0;
+  let prev = -2;
+  for (const ch of term) {
+    const i = haystack.indexOf(ch, pos);
+    if (i === -1) return -1;
+    score += 1;
+    if (i === prev + 1) score += 3;
+    if (i === 0 || WORD_SEPARATORS.has(haystack[i - 1])) score += 2;
+    prev = i;
+    pos = i + 1;
+  }
+  return score;
+}
+
+/**
+ * Score a query against several fields (id, label, tags, ...). Every
+ * whitespace-separated term has to match some field; the best field counts.
+ * @param {string} query
+ * @param {string[]} fields
+ * @returns {number} -1 if any term matches nothing
+ */
+export function fuzzyMatch(query, fields) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  let total = 0;
+  for (const term of terms) {
+    const best = Math.max(-1, ...fields.map((f) => fuzzyScore(term, f)));
+    if (best < 0) return -1;
+    total += best;
+  }
+  return total;
+}
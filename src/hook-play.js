@@ -0,0 +1,90 @@
+import { HOOK_EVENTS, isValidVolume, DEFAULT_PICK } from './hooks.js';
+import { ensureSoundsLoaded, expandPool } from './sounds.js';
+import { playSound, playSoundFile, configurePlayers } from './play.js';
+import { loadRules, selectSoundForPayload, projectDirForPayload } from './rules.js';
+import { readConfig, masterVolume } from './config.js';
+import { policyForEvent, admitPlayback, policyVolume } from './policy.js';
+import { isSpeechId, resolveSpeech } from './speech.js';
+import { pickIndex } from './rotation.js';
+
+/**
+ * @typedef {{
+ *   eventName?: string | null;
+ *   soundId: string;
+ *   payload?: Record<string, unknown>;
+ * } & import('./hooks.js').PlaybackOptions & import('./hooks.js').PoolOptions} HookPlayRequest
+ *   playback and pool options are the mapping's own; soundId is a pool's fallback
+ */
+
+/**
+ * Resolve the event name from --event, falling back to the payload's hook_event_name.
+ * @param {string | null | undefined} eventArg
+ * @param {Record<string, unknown>} payload
+ * @returns {string | null}
+ */
+export function resolveEventName(eventArg, payload) {
+  if (eventArg && HOOK_EVENTS.includes(eventArg)) return eventArg;
+  const fromPayload = payload?.hook_event_name;
+  if (typeof fromPayload === 'string' && HOOK_EVENTS.includes(fromPayload)) return fromPayload;
+  return null;
+}
+
+/**
+ * Pick this time's sound from a pool. Pools with the same entries share
+ * their rotation state, wherever they are mapped.
+ * @param {string[]} pool
+ * @param {import('./hooks.js').PickMode} pick
+ * @param {string} fallback - played when none of the pool's sounds exist
+ * @returns {Promise<string>}
+ */
+async function pickFromPool(pool, pick, fallback) {
+  await ensureSoundsLoaded();
+  const ids = expandPool(pool);
+  if (ids.length === 0) return fallback;
+  return ids[await pickIndex(`pool:${pool.join(',')}`, ids.length, pick)];
+}
+
+/**
+ * Play the sound for a hook invocation, applying payload rules,
+ * playback policies (throttling, quiet hours, ...) and volume
+ * (master x mapping x quiet hours). A pool picks its sound unless a rule
+ * matches. Speech templates (speech/<name>) are
+ * rendered from the payload and spoken, or replaced by their fallback sound.
+ * @param {HookPlayRequest} req
+ * @returns {Promise<{ soundId: string; skipped: string | null; speechError?: string }>}
+ *   skipped = policy reason; speechError = why a speech template fell back
+ */
+export async function playForHook({ eventName = null, soundId, payload = {}, pool, pick = DEFAULT_PICK, ...opts }) {
+  const event = resolveEventName(eventName, payload);
+  const projectDir = projectDirForPayload(payload);
+  const rules = await loadRules(projectDir);
+  const chosen =
+    selectSoundForPayload(rules, event, payload, null) ?? (pool ? await pickFromPool(pool, pick, soundId) : soundId);
+
+  const config = await readConfig();
+  configurePlayers(config);
+  const policy = policyForEvent(config.policies, event);
+  const { skipped, release } = await admitPlayback(policy, { eventName: event, soundId: chosen });
+  if (skipped) return { soundId: chosen, skipped };
+
+  const { volume, start, duration, fade } = opts;
+  const own = isValidVolume(volume) ? volume / 100 : 1;
+  const playOpts = { volume: masterVolume(config) * own * policyVolume(policy, new Date()), start, duration, fade };
+  try {
+    await ensureSoundsLoaded();
+    if (isSpeechId(chosen)) {
+      const speech = await resolveSpeech(chosen, payload, { projectDir });
+      if ('file' in speech) {
+        await playSoundFile(speech.file, chosen, playOpts);
+      } else {
+        await playSound(speech.fallback, playOpts);
+        return { soundId: speech.fallback, skipped: null, speechError: speech.error };
+      }
+    } else {
+      await playSound(chosen, playOpts);
+    }
+  } finally {
+    await release();
+  }
+  return { soundId: chosen, skipped: null };
+}
@@ -1,6 +1,10 @@
 import fs from 'node:fs/promises';
+import { readFileSync } from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export const HOOK_EVENTS = [
   'SessionStart',
@@ -19,6 +23,9 @@ export const HOOK_EVENTS = [
   'SessionEnd'
 ];
 
+/** Settings scopes, from most shared to most specific. */
+export const SCOPES = ['global', 'project', 'projectLocal'];
+
 export function configPathForScope(scope, projectDir) {
   if (scope === 'global') return path.join(os.homedir(), '.claude', 'settings.json');
   if (scope === 'project') return path.join(projectDir, '.claude', 'settings.json');
@@ -26,6 +33,17 @@ export function configPathForScope(scope, projectDir) {
   throw new Error(`Unknown scope: ${scope}`);
 }
 
+/**
+ * Path of the claude-sound sidecar file for a scope (rules and other
+ * claude-sound options that don't belong in Claude's own settings).
+ */
+export function sidecarPathForScope(scope, projectDir) {
+  if (scope === 'global') return path.join(os.homedir(), '.claude', 'claude-sound.json');
+  if (scope === 'project') return path.join(projectDir, '.claude', 'claude-sound.json');
+  if (scope === 'projectLocal') return path.join(projectDir, '.claude', 'claude-sound.local.json');
+  throw new Error(`Unknown scope: ${scope}`);
+}
+
 export async function readJsonIfExists(filePath) {
   try {
     const raw = await fs.readFile(filePath, 'utf-8');
@@ -46,8 +64,8 @@ export async function writeJson(filePath, obj) {
 
 const MANAGED_TOKEN = '--managed-by claude-sound';
 
-/** Alphanumeric, slash, hyphen, underscore only (e.g. ring1, common/pop, custom/hello-abc123). */
-const SAFE_SOUND_ID = /^[a-zA-Z0-9/_-]+$/;
+/** Alphanumeric, slash, hyphen, underscore, colon only (e.g. ring1, common/pop, custom/hello-abc123, pack:retro/coin). */
+const SAFE_SOUND_ID = /^[a-zA-Z0-9/_:-]+$/;
 
 /** Validate event name to prevent command injection. */
 function validateEventName(eventName) {
@@ -56,9 +74,14 @@ function validateEventName(eventName) {
   }
 }
 
+/** True if soundId is safe to embed in a hook command. */
+export function isValidSoundId(soundId) {
+  return typeof soundId === 'string' && SAFE_SOUND_ID.test(soundId) && soundId.length <= 120;
+}
+
 /** Validate sound id to prevent command injection. */
 function validateSoundId(soundId) {
-  if (typeof soundId !== 'string' || !SAFE_SOUND_ID.test(soundId) || soundId.length > 120) {
+  if (!isValidSoundId(soundId)) {
     throw new Error(`Invalid sound id: ${JSON.stringify(soundId)}`);
   }
 }
@@ -67,21 +90,479 @@ export function isManagedCommand(command) {
   return typeof command === 'string' && command.includes(MANAGED_TOKEN);
 }
 
-export function buildManagedCommand({ eventName, soundId }) {
+/**
+ * How hook commands invoke claude-sound (the user config's hookCommand).
+ * - strategy:
+ *   - npx:    npx --yes claude-sound@latest (default; always newest, needs network)
+ *   - pinned: npx --yes claude-sound@<version> (reproducible; works offline once cached)
+ *   - global: claude-sound from PATH (npm i -g claude-sound)
+ *   - path:   "<nodePath>" "<scriptPath>" (absolute paths; no npm involved)
+ * - client: run claude-sound-client instead, which hands playback to a
+ *   running `claude-sound daemon`
+ * @typedef {{
+ *   strategy?: 'npx' | 'pinned' | 'global' | 'path';
+ *   version?: string;
+ *   nodePath?: string;
+ *   scriptPath?: string;
+ *   client?: boolean;
+ * }} CommandOptions
+ */
+
+export const COMMAND_STRATEGIES = ['npx', 'pinned', 'global', 'path'];
+
+/** npm version for pinned commands: semver with optional prerelease tag. */
+const SAFE_VERSION = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+
+/** Characters that would break out of a double-quoted shell word. */
+const UNSAFE_PATH_CHARS = /["$`\\!%\r\n]/;
+
+/**
+ * Version of this claude-sound install (default for the pinned strategy).
+ * @returns {string}
+ */
+export function packageVersion() {
+  const pkg = JSON.parse(readFileSync(path.resolve(__dirname, '..', 'package.json'), 'utf-8'));
+  return pkg.version;
+}
+
+/**
+ * Script paths of this install (defaults for the path strategy).
+ * @returns {{ cli: string; client: string }}
+ */
+export function installedScriptPaths() {
+  return { cli: path.join(__dirname, 'cli.js'), client: path.join(__dirname, 'client.js') };
+}
+
+/**
+ * Fill in defaults. Configs written before strategies existed only had
+ * `client`, which meant the globally installed claude-sound-client.
+ * @param {CommandOptions} [commandOptions]
+ * @returns {Required<Pick<CommandOptions, 'strategy' | 'client'>> & CommandOptions}
+ */
+export function resolveCommandOptions(commandOptions = {}) {
+  const client = Boolean(commandOptions.client);
+  const strategy = commandOptions.strategy ?? (client ? 'global' : 'npx');
+  const out = { ...commandOptions, strategy, client };
+  if (strategy === 'pinned' && !out.version) out.version = packageVersion();
+  if (strategy === 'path') {
+    out.nodePath ??= process.execPath;
+    out.scriptPath ??= client ? installedScriptPaths().client : installedScriptPaths().cli;
+  }
+  return out;
+}
+
+/**
+ * Normalize an absolute path for embedding in a hook command. Backslashes
+ * become forward slashes (Node accepts both on Windows).
+ * @param {string} p
+ * @param {string} what
+ * @returns {string}
+ */
+function commandPath(p, what) {
+  if (typeof p !== 'string' || !path.isAbsolute(p)) {
+    throw new Error(`${what} must be an absolute path: ${JSON.stringify(p)}`);
+  }
+  const normalized = p.replace(/\\/g, '/');
+  if (UNSAFE_PATH_CHARS.test(normalized)) {
+    throw new Error(`${what} contains characters not allowed in a hook command: ${JSON.stringify(p)}`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate command options; throws with a user-facing message.
+ * @param {CommandOptions} commandOptions
+ * @returns {void}
+ */
+export function validateCommandOptions(commandOptions) {
+  buildRunner(commandOptions);
+}
+
+/**
+ * The part of the hook command before `play ...`.
+ * @param {CommandOptions} [commandOptions]
+ * @returns {string}
+ */
+function buildRunner(commandOptions) {
+  const opts = resolveCommandOptions(commandOptions);
+  const bin = opts.client ? 'claude-sound-client' : 'claude-sound';
+
+  switch (opts.strategy) {
+    case 'npx':
+    case 'pinned': {
+      const tag = opts.strategy === 'npx' ? 'latest' : opts.version;
+      if (!SAFE_VERSION.test(tag) && tag !== 'latest') {
+        throw new Error(`Invalid version: ${JSON.stringify(tag)}`);
+      }
+      // Use --yes to avoid prompts in hook context.
+      return opts.client
+        ? `npx --yes -p claude-sound@${tag} ${bin}`
+        : `npx --yes claude-sound@${tag}`;
+    }
+    case 'global':
+      return bin;
+    case 'path':
+      return `"${commandPath(opts.nodePath, 'Node path')}" "${commandPath(opts.scriptPath, 'Script path')}"`;
+    default:
+      throw new Error(`Unknown hook command strategy: ${JSON.stringify(opts.strategy)}`);
+  }
+}
+
+/**
+ * One-line description of command options, for menus and messages.
+ * @param {CommandOptions} [commandOptions]
+ * @returns {string}
+ */
+export function describeCommandOptions(commandOptions) {
+  try {
+    return buildRunner(commandOptions);
+  } catch (err) {
+    return `invalid (${err?.message || err})`;
+  }
+}
+
+/**
+ * True if volume is a whole percentage 0-100.
+ * @param {unknown} volume
+ * @returns {boolean}
+ */
+export function isValidVolume(volume) {
+  return Number.isInteger(volume) && volume >= 0 && volume <= 100;
+}
+
+/** Longest start offset or duration accepted, in seconds. */
+const MAX_SECONDS = 3600;
+
+/**
+ * Per-mapping playback options, stored as `play` flags in the hook command:
+ * - volume: percent 0-100
+ * - start: seconds to skip at the beginning
+ * - duration: seconds to play (from start)
+ * - fade: seconds of fade-out at the end of duration
+ * @typedef {{ volume?: number; start?: number; duration?: number; fade?: number }} PlaybackOptions
+ */
+
+/** Playback option keys, in the order they appear in the command. */
+export const PLAYBACK_OPTION_KEYS = ['volume', 'start', 'duration', 'fade'];
+
+/**
+ * @param {unknown} n
+ * @returns {boolean}
+ */
+function isSeconds(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n >= 0 && n <= MAX_SECONDS;
+}
+
+/**
+ * Check playback options.
+ * @param {PlaybackOptions} opts
+ * @returns {string | null} error message, or null if valid
+ */
+export function playbackOptionsError({ volume, start, duration, fade }) {
+  if (volume !== undefined && !isValidVolume(volume)) return `Invalid volume: ${volume} (expected 0-100)`;
+  if (start !== undefined && !isSeconds(start)) return `Invalid start: ${start} (expected 0-${MAX_SECONDS} seconds)`;
+  if (duration !== undefined && !(isSeconds(duration) && duration > 0)) {
+    return `Invalid duration: ${duration} (expected 0-${MAX_SECONDS} seconds, above 0)`;
+  }
+  if (fade !== undefined) {
+    if (!(isSeconds(fade) && fade > 0)) return `Invalid fade: ${fade} (expected seconds above 0)`;
+    if (duration === undefined) return 'fade needs a duration';
+    if (fade > duration) return `fade (${fade}s) is longer than duration (${duration}s)`;
+  }
+  return null;
+}
+
+/**
+ * The playback options set on an entry (undefined fields dropped).
+ * @param {PlaybackOptions} entry
+ * @returns {PlaybackOptions}
+ */
+export function pickPlaybackOptions(entry) {
+  /** @type {PlaybackOptions} */
+  const out = {};
+  for (const key of PLAYBACK_OPTION_KEYS) {
+    if (entry?.[key] !== undefined) out[key] = entry[key];
+  }
+  return out;
+}
+
+/**
+ * Sound pools: a mapping may play one of several sounds, picked each time it
+ * plays (see rotation.js). Stored as `--pool a,b,@game --pick shuffle` in the
+ * hook command; `--sound` stays as the fallback, for older versions and for
+ * pools whose sounds are all gone.
+ * - pool: sound ids, or @<group> for every sound of a group (@game, @custom,
+ *   @pack:retro), expanded when playing
+ * - pick: how to choose (default shuffle)
+ * @typedef {'random' | 'shuffle' | 'rotate'} PickMode
+ *   random: any item, independently each time;
+ *   shuffle: every item once in random order, then reshuffle (no immediate repeat);
+ *   rotate: items in order, wrapping around
+ * @typedef {{ pool?: string[]; pick?: PickMode }} PoolOptions
+ */
+
+export const PICK_MODES = ['random', 'shuffle', 'rotate'];
+
+export const DEFAULT_PICK = 'shuffle';
+
+/** Prefix of a whole group in a pool. */
+export const POOL_GROUP_PREFIX = '@';
+
+const MAX_POOL_ITEMS = 50;
+
+/**
+ * True if item is a sound id or @<group>, safe to embed in a hook command.
+ * @param {unknown} item
+ * @returns {boolean}
+ */
+export function isValidPoolItem(item) {
+  return typeof item === 'string' && isValidSoundId(item.startsWith(POOL_GROUP_PREFIX) ? item.slice(1) : item);
+}
+
+/**
+ * Check pool options. Whether the sounds exist is up to the caller.
+ * @param {PoolOptions} opts
+ * @returns {string | null} error message, or null if valid
+ */
+export function poolOptionsError({ pool, pick }) {
+  if (pool === undefined) return pick === undefined ? null : 'pick needs a pool';
+  if (!Array.isArray(pool) || pool.length === 0) return 'pool must be a non-empty list';
+  if (pool.length > MAX_POOL_ITEMS) return `pool can hold at most ${MAX_POOL_ITEMS} entries`;
+  const bad = pool.find((item) => !isValidPoolItem(item));
+  if (bad !== undefined) return `Invalid pool entry: ${JSON.stringify(bad)}`;
+  if (pick !== undefined && !PICK_MODES.includes(pick)) {
+    return `Invalid pick: ${JSON.stringify(pick)} (expected ${PICK_MODES.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * The pool options set on an entry (undefined fields dropped).
+ * @param {PoolOptions} entry
+ * @returns {PoolOptions}
+ */
+export function pickPoolOptions(entry) {
+  /** @type {PoolOptions} */
+  const out = {};
+  if (entry?.pool !== undefined) out.pool = entry.pool;
+  if (entry?.pick !== undefined) out.pick = entry.pick;
+  return out;
+}
+
+/**
+ * @param {{ eventName: string; soundId: string } & PlaybackOptions & PoolOptions} mapping
+ * @param {CommandOptions} [commandOptions]
+ * @returns {string}
+ */
+export function buildManagedCommand({ eventName, soundId, ...rest }, commandOptions = {}) {
   validateEventName(eventName);
   validateSoundId(soundId);
-  // Use --yes to avoid prompts in hook context.
-  // Keep args stable so we can parse back.
-  return `npx --yes claude-sound@latest play --event ${eventName} --sound ${soundId} ${MANAGED_TOKEN}`;
+  const opts = pickPlaybackOptions(rest);
+  const error = playbackOptionsError(opts);
+  if (error) throw new Error(error);
+  const { pool, pick } = pickPoolOptions(rest);
+  const poolError = poolOptionsError({ pool, pick });
+  if (poolError) throw new Error(poolError);
+  // Keep args stable so we can parse back, whatever the runner.
+  const poolArgs = pool ? ` --pool ${pool.join(',')} --pick ${pick ?? DEFAULT_PICK}` : '';
+  const extra = Object.entries(opts)
+    .map(([key, value]) => ` --${key} ${value}`)
+    .join('');
+  return `${buildRunner(commandOptions)} play --event ${eventName} --sound ${soundId}${poolArgs}${extra} ${MANAGED_TOKEN}`;
 }
 
-export function extractManagedSoundId(command) {
-  const m = /--sound\s+([^\s]+)/.exec(command || '');
+/**
+ * Value of a `play` flag in a managed command. Only looks after the `play`
+ * subcommand so quoted runner paths can't confuse it.
+ * @param {string} command
+ * @param {string} flag
+ * @returns {string | null}
+ */
+function managedFlag(command, flag) {
+  const m = new RegExp(`\\splay\\s(?:.*\\s)?${flag}\\s+([^\\s]+)`).exec(command || '');
   return m ? m[1] : null;
 }
 
+/**
+ * Sound id of a managed command, for every runner form (npx, pinned,
+ * global, absolute path, client).
+ * @param {string} command
+ * @returns {string | null}
+ */
+export function extractManagedSoundId(command) {
+  return managedFlag(command, '--sound');
+}
+
+/**
+ * Parse playback flags (--volume, --start, ...) from argv-style or command
+ * text. Invalid combinations are dropped rather than reported: playback
+ * should still happen with whatever is usable.
+ * @param {(flag: string) => string | null} getFlag
+ * @returns {PlaybackOptions}
+ */
+export function parsePlaybackFlags(getFlag) {
+  /** @type {PlaybackOptions} */
+  const opts = {};
+  for (const key of PLAYBACK_OPTION_KEYS) {
+    const raw = getFlag(`--${key}`);
+    if (raw !== null && raw.trim() !== '') opts[key] = Number(raw);
+  }
+  for (const key of ['volume', 'start', 'duration']) {
+    if (opts[key] !== undefined && playbackOptionsError({ [key]: opts[key] })) delete opts[key];
+  }
+  if (opts.fade !== undefined && playbackOptionsError({ duration: opts.duration, fade: opts.fade })) {
+    delete opts.fade;
+  }
+  return opts;
+}
+
+/**
+ * Playback options of a managed command.
+ * @param {string} command
+ * @returns {PlaybackOptions}
+ */
+export function extractManagedPlaybackOptions(command) {
+  return parsePlaybackFlags((flag) => managedFlag(command, flag));
+}
+
+/**
+ * Parse --pool (comma-separated) and --pick, like parsePlaybackFlags. An
+ * invalid pool is dropped, so the --sound fallback plays.
+ * @param {(flag: string) => string | null} getFlag
+ * @returns {PoolOptions}
+ */
+export function parsePoolFlags(getFlag) {
+  const rawPool = getFlag('--pool');
+  if (rawPool === null) return {};
+  const pool = rawPool.split(',').filter(Boolean);
+  const pick = getFlag('--pick') ?? DEFAULT_PICK;
+  if (poolOptionsError({ pool })) return {};
+  return { pool, pick: PICK_MODES.includes(pick) ? /** @type {PickMode} */ (pick) : DEFAULT_PICK };
+}
+
+/**
+ * Pool options of a managed command.
+ * @param {string} command
+ * @returns {PoolOptions}
+ */
+export function extractManagedPoolOptions(command) {
+  return parsePoolFlags((flag) => managedFlag(command, flag));
+}
+
+/** Matcher used when an event's sound applies to everything. */
+export const DEFAULT_MATCHER = '*';
+
+/**
+ * Events whose hook groups are filtered by a matcher (tool name, notification
+ * type, session source, ...). Other events ignore the matcher.
+ */
+export const MATCHER_EVENTS = [
+  'PreToolUse',
+  'PermissionRequest',
+  'PostToolUse',
+  'PostToolUseFailure',
+  'Notification',
+  'SessionStart',
+  'SubagentStart',
+  'SubagentStop',
+  'PreCompact',
+  'SessionEnd'
+];
+
+/**
+ * Matchers that sit next to a "*" entry of the same event. "*" is a
+ * catch-all, not a fallback: Claude Code runs every group that matches, so
+ * for these both sounds play at once. Empty without a "*" entry.
+ * @param {MappingEntry[]} entries
+ * @returns {string[]}
+ */
+export function matchersOverlappingCatchAll(entries) {
+  const isCatchAll = (m) => m === DEFAULT_MATCHER || m === '';
+  if (!entries.some((e) => isCatchAll(e.matcher))) return [];
+  return entries.map((e) => e.matcher).filter((m) => !isCatchAll(m));
+}
+
+/**
+ * @typedef {{ matcher: string; soundId: string } & PlaybackOptions & PoolOptions} MappingEntry
+ *   soundId: the sound, or a pool's fallback
+ * @typedef {Record<string, MappingEntry[]>} Mappings
+ */
+
+/** True if matcher is a usable hook matcher string. */
+export function isValidMatcher(matcher) {
+  return (
+    typeof matcher === 'string' &&
+    matcher.trim().length > 0 &&
+    matcher.length <= 200 &&
+    !/[\r\n]/.test(matcher)
+  );
+}
+
+/**
+ * Normalize mappings to event -> MappingEntry[].
+ * Accepts the older event -> soundId shape for convenience.
+ * @param {Record<string, string | MappingEntry[] | null | undefined>} mappings
+ * @returns {Mappings}
+ */
+export function normalizeMappings(mappings) {
+  /** @type {Mappings} */
+  const out = {};
+  for (const [eventName, value] of Object.entries(mappings || {})) {
+    if (!value) continue;
+    const entries = typeof value === 'string' ? [{ matcher: DEFAULT_MATCHER, soundId: value }] : value;
+    if (!Array.isArray(entries)) continue;
+    for (const entry of entries) {
+      if (!entry?.soundId) continue;
+      setMappingEntry(out, eventName, {
+        ...entry,
+        matcher: entry.matcher || DEFAULT_MATCHER
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Add or replace the entry for (event, matcher). Mutates mappings.
+ * @param {Mappings} mappings
+ * @param {string} eventName
+ * @param {MappingEntry} entry
+ * @returns {Mappings}
+ */
+export function setMappingEntry(mappings, eventName, entry) {
+  const list = (mappings[eventName] ?? []).filter((e) => e.matcher !== entry.matcher);
+  list.push(entry);
+  mappings[eventName] = list;
+  return mappings;
+}
+
+/**
+ * Remove the entry for (event, matcher), or all entries for the event when
+ * matcher is omitted. Mutates mappings.
+ * @param {Mappings} mappings
+ * @param {string} eventName
+ * @param {string} [matcher]
+ * @returns {Mappings}
+ */
+export function removeMappingEntry(mappings, eventName, matcher) {
+  if (matcher === undefined) {
+    delete mappings[eventName];
+    return mappings;
+  }
+  const list = (mappings[eventName] ?? []).filter((e) => e.matcher !== matcher);
+  if (list.length > 0) mappings[eventName] = list;
+  else delete mappings[eventName];
+  return mappings;
+}
+
+/**
+ * Read the mappings claude-sound previously wrote into settings.
+ * Each managed handler becomes one entry, keyed by its group's matcher.
+ * @param {object} settings
+ * @returns {Mappings}
+ */
 export function getExistingManagedMappings(settings) {
-  /** @type {Record<string, string>} */
+  /** @type {Mappings} */
   const map = {};
   const hooks = settings?.hooks;
   if (!hooks || typeof hooks !== 'object') return map;
@@ -91,12 +572,18 @@ export function getExistingManagedMappings(settings) {
     for (const g of groups) {
       const handlers = g?.hooks;
       if (!Array.isArray(handlers)) continue;
+      const matcher = isValidMatcher(g?.matcher) ? g.matcher : DEFAULT_MATCHER;
       for (const h of handlers) {
         const cmd = h?.command;
         if (isManagedCommand(cmd)) {
           const soundId = extractManagedSoundId(cmd);
-          if (soundId && SAFE_SOUND_ID.test(soundId) && soundId.length <= 120) {
-            map[eventName] = soundId;
+          if (isValidSoundId(soundId)) {
+            setMappingEntry(map, eventName, {
+              matcher,
+              soundId,
+              ...extractManagedPoolOptions(cmd),
+              ...extractManagedPlaybackOptions(cmd)
+            });
           }
         }
       }
@@ -106,7 +593,50 @@ export function getExistingManagedMappings(settings) {
   return map;
 }
 
-export function applyMappingsToSettings(settings, mappings) {
+/**
+ * @typedef {{ scope: string; settingsPath: string; mappings: Mappings; error?: string }} ScopeMappings
+ */
+
+/**
+ * Managed mappings of every scope for a project; `error` when a settings
+ * file can't be read.
+ * @param {string} projectDir
+ * @returns {Promise<ScopeMappings[]>}
+ */
+export async function readAllScopeMappings(projectDir) {
+  const out = [];
+  for (const scope of SCOPES) {
+    const settingsPath = configPathForScope(scope, projectDir);
+    const res = await readJsonIfExists(settingsPath);
+    out.push(
+      res.ok
+        ? { scope, settingsPath, mappings: getExistingManagedMappings(res.value) }
+        : { scope, settingsPath, mappings: {}, error: String(res.error?.message || res.error) }
+    );
+  }
+  return out;
+}
+
+/** Hook timeout (seconds) for untrimmed sounds. */
+export const HOOK_TIMEOUT_S = 5;
+
+/**
+ * Hook timeout for a mapping: long enough for a trimmed clip to finish.
+ * @param {PlaybackOptions} opts
+ * @returns {number}
+ */
+function hookTimeoutFor(opts) {
+  return opts.duration === undefined ? HOOK_TIMEOUT_S : Math.max(HOOK_TIMEOUT_S, Math.ceil(opts.duration) + 2);
+}
+
+/**
+ * Replace all managed handlers in settings with the given mappings.
+ * @param {object} settings
+ * @param {Mappings | Record<string, string>} mappings
+ * @param {CommandOptions} [commandOptions]
+ * @returns {object}
+ */
+export function applyMappingsToSettings(settings, mappings, commandOptions = {}) {
   const out = { ...(settings || {}) };
   out.hooks = { ...(out.hooks || {}) };
 
@@ -127,25 +657,30 @@ export function applyMappingsToSettings(settings, mappings) {
     else delete out.hooks[eventName];
   }
 
-  // Then: add current mappings.
+  // Then: add current mappings, one group per matcher.
   // IMPORTANT: do not clobber other user-defined hook groups for the same event.
-  for (const [eventName, soundId] of Object.entries(mappings)) {
-    if (!soundId) continue;
+  for (const [eventName, entries] of Object.entries(normalizeMappings(mappings))) {
+    for (const { matcher, soundId, ...rest } of entries) {
+      if (!isValidMatcher(matcher)) {
+        throw new Error(`Invalid matcher for ${eventName}: ${JSON.stringify(matcher)}`);
+      }
 
-    const handler = {
-      type: 'command',
-      command: buildManagedCommand({ eventName, soundId }),
-      async: true,
-      timeout: 5
-    };
+      const opts = pickPlaybackOptions(rest);
+      const handler = {
+        type: 'command',
+        command: buildManagedCommand({ eventName, soundId, ...pickPoolOptions(rest), ...opts }, commandOptions),
+        async: true,
+        timeout: hookTimeoutFor(opts)
+      };
 
-    const group = {
-      matcher: '*',
-      hooks: [handler]
-    };
+      const group = {
+        matcher,
+        hooks: [handler]
+      };
 
-    const existingGroups = Array.isArray(out.hooks[eventName]) ? out.hooks[eventName] : [];
-    out.hooks[eventName] = [...existingGroups, group];
+      const existingGroups = Array.isArray(out.hooks[eventName]) ? out.hooks[eventName] : [];
+      out.hooks[eventName] = [...existingGroups, group];
+    }
   }
 
   // Clean up if hooks is now empty
@@ -155,3 +690,51 @@ export function applyMappingsToSettings(settings, mappings) {
 
   return out;
 }
+
+/**
+ * Read a JSON file (missing = {}), transform it and write it back.
+ * With dryRun, nothing is written.
+ * @param {string} filePath
+ * @param {(value: object) => object} update - must return the new value
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun]
+ * @returns {Promise<{ before: object; after: object; changed: boolean }>}
+ * @throws {Error} if the file exists but is not valid JSON
+ */
+export async function updateJsonFile(filePath, update, { dryRun = false } = {}) {
+  const res = await readJsonIfExists(filePath);
+  if (!res.ok) {
+    throw new Error(`Could not read/parse JSON at ${filePath}: ${res.error?.message || res.error}`);
+  }
+  const before = res.value;
+  const after = update(before);
+  const changed = JSON.stringify(before) !== JSON.stringify(after);
+  if (changed && !dryRun) await writeJson(filePath, after);
+  return { before, after, changed };
+}
+
+/**
+ * Read a settings file, transform its managed mappings and write it back.
+ * With dryRun, nothing is written; callers can diff before/after.
+ * @param {string} settingsPath
+ * @param {(mappings: Mappings) => Mappings | void} update - may mutate and/or return mappings
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun]
+ * @param {CommandOptions} [opts.commandOptions]
+ * @returns {Promise<{ before: object; after: object; changed: boolean }>}
+ * @throws {Error} if the settings file exists but is not valid JSON
+ */
+export async function updateManagedMappings(
+  settingsPath,
+  update,
+  { dryRun = false, commandOptions = {} } = {}
+) {
+  return updateJsonFile(
+    settingsPath,
+    (settings) => {
+      const mappings = getExistingManagedMappings(settings);
+      return applyMappingsToSettings(settings, update(mappings) ?? mappings, commandOptions);
+    },
+    { dryRun }
+  );
+}
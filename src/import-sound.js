@@ -2,9 +2,7 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import os from 'node:os';
 import { customSoundsDir } from './tts.js';
-
-/** Allowed extensions for import (lowercase). */
-const ALLOWED_EXT = ['.mp3', '.wav'];
+import { AUDIO_EXTENSIONS, formatForFile, sniffAudioFile, mismatchError } from './audio-format.js';
 
 /** Max file size in bytes (5MB) to prevent DoS. */
 const MAX_FILE_SIZE = 5 * 1024 * 1024;
@@ -30,7 +28,12 @@ function shortHash(s) {
 /**
  * Resolve and validate source path for import.
  * @param {string} inputPath - User-provided path (relative or absolute)
- * @returns {Promise<{ resolvedPath: string; ext: string; baseName: string }>}
+ * @returns {Promise<{
+ *   resolvedPath: string;
+ *   ext: string;
+ *   baseName: string;
+ *   format: import('./audio-format.js').AudioFormat;
+ * }>}
  */
 async function validateSourcePath(inputPath) {
   if (typeof inputPath !== 'string' || !inputPath.trim()) {
@@ -52,8 +55,9 @@ async function validateSourcePath(inputPath) {
   }
 
   const ext = path.extname(resolvedPath).toLowerCase();
-  if (!ALLOWED_EXT.includes(ext)) {
-    throw new Error(`Only .mp3 and .wav files are supported, got ${ext || '(no extension)'}`);
+  const format = formatForFile(resolvedPath);
+  if (!format) {
+    throw new Error(`Unsupported file type ${ext || '(no extension)'} (expected one of: ${AUDIO_EXTENSIONS.join(', ')})`);
   }
 
   const stat = await fs.stat(resolvedPath);
@@ -69,19 +73,24 @@ async function validateSourcePath(inputPath) {
     throw new Error('File is empty');
   }
 
+  const mismatch = mismatchError(format, await sniffAudioFile(resolvedPath));
+  if (mismatch) {
+    throw new Error(`Not a valid ${path.basename(resolvedPath)}: ${mismatch}`);
+  }
+
   const baseName = path.basename(resolvedPath, ext);
-  return { resolvedPath, ext, baseName };
+  return { resolvedPath, ext, baseName, format };
 }
 
 /**
  * Import an audio file into custom sounds directory.
  * Performs validation to prevent path traversal and DoS.
  *
- * @param {string} sourcePath - Path to MP3 or WAV file (relative or absolute)
- * @returns {Promise<{ soundId: string; filePath: string }>}
+ * @param {string} sourcePath - Path to an audio file (relative or absolute)
+ * @returns {Promise<{ soundId: string; filePath: string; format: import('./audio-format.js').AudioFormat }>}
  */
 export async function importSound(sourcePath) {
-  const { resolvedPath, ext, baseName } = await validateSourcePath(sourcePath);
+  const { resolvedPath, ext, baseName, format } = await validateSourcePath(sourcePath);
 
   const dir = customSoundsDir();
   await fs.mkdir(dir, { recursive: true });
@@ -109,5 +118,5 @@ export async function importSound(sourcePath) {
   await fs.writeFile(destPath, buffer);
 
   const soundId = `custom/${path.basename(destName, ext)}`;
-  return { soundId, filePath: destPath };
+  return { soundId, filePath: destPath, format };
 }
@@ -0,0 +1,319 @@
+import fs from 'node:fs/promises';
+import { parseWav } from './wav.js';
+import { formatForFile, id3TagSize, AUDIO_FORMATS } from './audio-format.js';
+import { resolveSoundPath, getCue } from './sounds.js';
+import { isCueId, cueSteps } from './cues.js';
+
+/**
+ * Duration, sample rate, channels and bitrate of a sound, read from its
+ * headers in plain JS: WAV fmt/data chunks, MP3 frame headers plus the
+ * Xing/Info or VBRI tag of VBR files, FLAC STREAMINFO and AIFF COMM.
+ * OGG and M4A only report their format. Results are cached per file
+ * (path, mtime and size).
+ *
+ * @typedef {{
+ *   format: import('./audio-format.js').AudioFormat | null;
+ *   duration?: number;
+ *   sampleRate?: number;
+ *   channels?: number;
+ *   bitrate?: number;
+ * }} AudioMetadata - duration in seconds, bitrate in kbit/s
+ */
+
+/** Bytes read from the start of a file; enough for any header we parse. */
+const HEAD_BYTES = 64 * 1024;
+
+/** @type {Map<string, { mtimeMs: number; size: number; meta: AudioMetadata }>} */
+const _cache = new Map();
+
+/** kbit/s by [MPEG-1 ? 0 : 1][layer 1-3][index]. */
+const MP3_BITRATES = [
+  [
+    [],
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  ],
+  [
+    [],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  ]
+];
+
+/** Hz by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1) and index. */
+const MP3_SAMPLE_RATES = { 0: [11025, 12000, 8000], 2: [22050, 24000, 16000], 3: [44100, 48000, 32000] };
+
+/**
+ * Round to milliseconds.
+ * @param {number} n
+ * @returns {number}
+ */
+const ms = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * @param {Buffer} head
+ * @param {number} fileSize
+ * @returns {Omit<AudioMetadata, 'format'>}
+ */
+function wavMetadata(head, fileSize) {
+  const info = parseWav(head);
+  if (!info) return {};
+  // Only the head was read: take the data size from the chunk header, bounded by the file.
+  const dataLength = Math.min(head.readUInt32LE(info.dataOffset - 4), fileSize - info.dataOffset);
+  const bytesPerSecond = info.blockAlign * info.sampleRate;
+  return {
+    duration: bytesPerSecond > 0 ? ms(dataLength / bytesPerSecond) : undefined,
+    sampleRate: info.sampleRate,
+    channels: info.channels,
+    bitrate: Math.round((bytesPerSecond * 8) / 1000)
+  };
+}
+
+/**
+ * Parse an MPEG audio frame header.
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @returns {{ version: number; layer: number; bitrate: number; sampleRate: number; channels: number; padding: number } | null}
+ */
+function mp3FrameHeader(buf, pos) {
+  if (pos + 4 > buf.length || buf[pos] !== 0xff || (buf[pos + 1] & 0xe0) !== 0xe0) return null;
+  const version = (buf[pos + 1] >> 3) & 0x03;
+  const layer = 4 - ((buf[pos + 1] >> 1) & 0x03);
+  const bitrateIndex = buf[pos + 2] >> 4;
+  const rateIndex = (buf[pos + 2] >> 2) & 0x03;
+  if (version === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 0x0f || rateIndex === 3) return null;
+  return {
+    version,
+    layer,
+    bitrate: MP3_BITRATES[version === 3 ? 0 : 1][layer][bitrateIndex],
+    sampleRate: MP3_SAMPLE_RATES[version][rateIndex],
+    channels: buf[pos + 3] >> 6 === 3 ? 1 : 2,
+    padding: (buf[pos + 2] >> 1) & 0x01
+  };
+}
+
+/**
+ * Length of an MPEG audio frame in bytes.
+ * @param {NonNullable<ReturnType<typeof mp3FrameHeader>>} f
+ * @returns {number}
+ */
+function mp3FrameSize(f) {
+  if (f.layer === 1) return (Math.floor((12 * f.bitrate * 1000) / f.sampleRate) + f.padding) * 4;
+  const coefficient = f.layer === 3 && f.version !== 3 ? 72 : 144;
+  return Math.floor((coefficient * f.bitrate * 1000) / f.sampleRate) + f.padding;
+}
+
+/**
+ * @param {Buffer} head
+ * @param {number} fileSize
+ * @returns {Omit<AudioMetadata, 'format'>}
+ */
+function mp3Metadata(head, fileSize) {
+  let pos = id3TagSize(head);
+  let frame = null;
+  // Skip padding or junk between the tag and the first frame, and require
+  // the next frame to line up so stray 0xFF bytes aren't taken for a header.
+  for (; pos + 4 <= head.length; pos++) {
+    frame = mp3FrameHeader(head, pos);
+    if (!frame) continue;
+    const size = mp3FrameSize(frame);
+    if (pos + size + 4 > head.length || mp3FrameHeader(head, pos + size)) break;
+    frame = null;
+  }
+  if (!frame) return {};
+
+  const mpeg1 = frame.version === 3;
+  const samplesPerFrame = frame.layer === 1 ? 384 : frame.layer === 3 && !mpeg1 ? 576 : 1152;
+  const sideInfo = mpeg1 ? (frame.channels === 1 ? 17 : 32) : frame.channels === 1 ? 9 : 17;
+
+  /** @type {{ frames: number; bytes?: number } | null} */
+  let vbr = null;
+  const xing = pos + 4 + sideInfo;
+  const tag = head.toString('latin1', xing, xing + 4);
+  if ((tag === 'Xing' || tag === 'Info') && xing + 16 <= head.length) {
+    const flags = head.readUInt32BE(xing + 4);
+    if (flags & 0x01) {
+      vbr = { frames: head.readUInt32BE(xing + 8) };
+      if (flags & 0x02) vbr.bytes = head.readUInt32BE(xing + 12);
+    }
+  } else if (head.toString('latin1', pos + 36, pos + 40) === 'VBRI' && pos + 54 <= head.length) {
+    vbr = { bytes: head.readUInt32BE(pos + 46), frames: head.readUInt32BE(pos + 50) };
+  }
+
+  const meta = { sampleRate: frame.sampleRate, channels: frame.channels, bitrate: frame.bitrate, duration: undefined };
+  if (vbr && vbr.frames > 0) {
+    const duration = (vbr.frames * samplesPerFrame) / frame.sampleRate;
+    meta.duration = ms(duration);
+    if (vbr.bytes) meta.bitrate = Math.round((vbr.bytes * 8) / duration / 1000);
+  } else {
+    meta.duration = ms(((fileSize - pos) * 8) / (frame.bitrate * 1000));
+  }
+  return meta;
+}
+
+/**
+ * @param {Buffer} head
+ * @param {number} fileSize
+ * @returns {Omit<AudioMetadata, 'format'>}
+ */
+function flacMetadata(head, fileSize) {
+  const start = id3TagSize(head);
+  // STREAMINFO is always the first metadata block.
+  const info = start + 8;
+  if (head.toString('latin1', start, start + 4) !== 'fLaC' || info + 18 > head.length) return {};
+  const sampleRate = head.readUIntBE(info + 10, 3) >> 4;
+  const channels = ((head[info + 12] >> 1) & 0x07) + 1;
+  const totalSamples = (head[info + 13] & 0x0f) * 2 ** 32 + head.readUInt32BE(info + 14);
+  const duration = sampleRate > 0 && totalSamples > 0 ? totalSamples / sampleRate : undefined;
+  return {
+    duration: duration === undefined ? undefined : ms(duration),
+    sampleRate,
+    channels,
+    bitrate: duration ? Math.round((fileSize * 8) / duration / 1000) : undefined
+  };
+}
+
+/**
+ * @param {Buffer} head
+ * @returns {Omit<AudioMetadata, 'format'>}
+ */
+function aiffMetadata(head) {
+  for (let pos = 12; pos + 8 <= head.length; ) {
+    const id = head.toString('latin1', pos, pos + 4);
+    const size = head.readUInt32BE(pos + 4);
+    if (id === 'COMM' && pos + 26 <= head.length) {
+      const channels = head.readUInt16BE(pos + 8);
+      const frames = head.readUInt32BE(pos + 10);
+      const bits = head.readUInt16BE(pos + 14);
+      // 80-bit IEEE extended float.
+      const exponent = (head.readUInt16BE(pos + 16) & 0x7fff) - 16383;
+      const sampleRate = Math.round(head.readUInt32BE(pos + 18) * 2 ** (exponent - 31));
+      return {
+        duration: sampleRate > 0 ? ms(frames / sampleRate) : undefined,
+        sampleRate,
+        channels,
+        bitrate: Math.round((sampleRate * channels * bits) / 1000)
+      };
+    }
+    pos += 8 + size + (size % 2);
+  }
+  return {};
+}
+
+/**
+ * Read a sound file's metadata (cached until the file changes). Never
+ * throws for unreadable or unparsable files; fields are just missing.
+ * @param {string} filePath
+ * @returns {Promise<AudioMetadata>}
+ */
+export async function readAudioMetadata(filePath) {
+  const format = formatForFile(filePath);
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch {
+    return { format };
+  }
+  const cached = _cache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.meta;
+
+  let head;
+  try {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buf = Buffer.alloc(Math.min(HEAD_BYTES, stat.size));
+      const { bytesRead } = await handle.read(buf, 0, buf.length, 0);
+      head = buf.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  } catch {
+    return { format };
+  }
+
+  let fields = {};
+  try {
+    if (format === 'wav') fields = wavMetadata(head, stat.size);
+    else if (format === 'mp3') fields = mp3Metadata(head, stat.size);
+    else if (format === 'flac') fields = flacMetadata(head, stat.size);
+    else if (format === 'aiff') fields = aiffMetadata(head);
+  } catch {
+    // Truncated or odd header: report what we know.
+  }
+
+  /** @type {AudioMetadata} */
+  const meta = { format };
+  for (const [key, value] of Object.entries(fields)) {
+    if (typeof value === 'number' && Number.isFinite(value)) meta[key] = value;
+  }
+  _cache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, meta });
+  return meta;
+}
+
+/**
+ * Short duration for display, e.g. "0.4s", "2.3s", "1m05s".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds < 10 ? seconds.toFixed(1) : Math.round(seconds)}s`;
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}m${String(total % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Metadata of a cue: the total length of a sequence or layer, when every
+ * part's length is known. Random and round-robin cues vary, so have none.
+ * @param {string} cueId
+ * @returns {Promise<AudioMetadata>}
+ */
+async function readCueMetadata(cueId) {
+  const cue = getCue(cueId);
+  if (cue.mode !== 'sequence' && cue.mode !== 'layer') return { format: null };
+  let duration = 0;
+  for (const step of await cueSteps(cueId, cue)) {
+    if ('pause' in step) {
+      duration += step.pause;
+      continue;
+    }
+    const lengths = await Promise.all(step.sounds.map(async (id) => (await readSoundMetadata(id)).duration));
+    if (lengths.some((d) => d === undefined)) return { format: null };
+    duration += Math.max(...lengths);
+  }
+  return { format: null, duration };
+}
+
+/**
+ * Metadata of a sound id; empty for unknown ids.
+ * @param {string} soundId
+ * @returns {Promise<AudioMetadata>}
+ */
+export async function readSoundMetadata(soundId) {
+  if (isCueId(soundId)) return readCueMetadata(soundId).catch(() => ({ format: null }));
+  let filePath;
+  try {
+    filePath = resolveSoundPath(soundId);
+  } catch {
+    return { format: null };
+  }
+  return readAudioMetadata(filePath);
+}
+
+/**
+ * One-line summary, e.g. "2.7s  MP3  48 kHz stereo  194 kbps".
+ * @param {AudioMetadata} meta
+ * @returns {string}
+ */
+export function describeMetadata(meta) {
+  const parts = [];
+  if (meta.duration !== undefined) parts.push(formatDuration(meta.duration));
+  if (meta.format) parts.push(AUDIO_FORMATS[meta.format].label);
+  if (meta.sampleRate !== undefined) {
+    const channels = meta.channels === 1 ? ' mono' : meta.channels === 2 ? ' stereo' : meta.channels ? ` ${meta.channels}ch` : '';
+    parts.push(`${meta.sampleRate / 1000} kHz${channels}`);
+  }
+  if (meta.bitrate !== undefined) parts.push(`${meta.bitrate} kbps`);
+  return parts.join('  ');
+}
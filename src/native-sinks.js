@@ -0,0 +1,162 @@
+import fs from 'node:fs/promises';
+import { accessSync, readFileSync, constants as fsConstants } from 'node:fs';
+import path from 'node:path';
+import { dataDir } from './config.js';
+import { parseWav, renderWav, decodeWav, toMono, resampleMono, encodeS16LE, encodeU8 } from './wav.js';
+import { playOnPulse, pulseAvailable } from './pulse.js';
+
+/**
+ * Built-in sinks that play without an external program, for minimal
+ * containers and CI boxes:
+ * - pulse-native: PulseAudio/PipeWire native socket (WAV only)
+ * - dsp: OSS-style /dev/dsp, 8 kHz unsigned 8-bit mono (WAV only)
+ * - null: plays nothing, appends what would have played to a log
+ *
+ * pulse-native and dsp are auto-detected after the external players; null
+ * is only used when chosen ("player": "null", --player null or
+ * CLAUDE_SOUND_PLAYER=null).
+ *
+ * @typedef {import('./pulse.js').NativePlayback} NativePlayback
+ * @typedef {{
+ *   name: string;
+ *   auto: boolean;
+ *   formats?: import('./audio-format.js').AudioFormat[];
+ *   check: () => boolean;
+ *   play: (file: string, soundId: string, opts: import('./play.js').PlayOptions) => NativePlayback;
+ * }} NativeSink
+ */
+
+/** /dev/dsp opened without ioctls plays 8 kHz, unsigned 8-bit, mono. */
+const DSP_RATE = 8000;
+
+/** Small writes so stop() takes effect quickly (1/8 s of audio). */
+const DSP_CHUNK = 1000;
+
+/**
+ * @returns {string}
+ */
+function dspDevice() {
+  return process.env.CLAUDE_SOUND_DSP_DEVICE || '/dev/dsp';
+}
+
+/**
+ * Log file of the null sink.
+ * @returns {string}
+ */
+export function nullSinkLogPath() {
+  return process.env.CLAUDE_SOUND_NULL_SINK_LOG || path.join(dataDir(), 'null-sink.log');
+}
+
+/**
+ * Read a WAV file with the playback options applied.
+ * @param {string} sink - for the error message
+ * @param {string} file
+ * @param {import('./play.js').PlayOptions} opts
+ * @returns {ReturnType<typeof decodeWav>}
+ * @throws {Error} if the file isn't a WAV we can decode
+ */
+function loadWav(sink, file, opts) {
+  const buf = readFileSync(file);
+  try {
+    return decodeWav(Object.keys(opts).length > 0 ? renderWav(buf, opts) : buf);
+  } catch {
+    throw new Error(
+      `The ${sink} player only plays PCM WAV files (${path.basename(file)}); install ffplay or mpv for other formats`
+    );
+  }
+}
+
+/**
+ * A playback whose work happens in `run`; stop() sets the flag it checks.
+ * @param {(isStopped: () => boolean) => Promise<void>} run
+ * @returns {NativePlayback}
+ */
+function cooperative(run) {
+  let stopped = false;
+  return { done: run(() => stopped), stop: () => (stopped = true) };
+}
+
+/**
+ * A playback that failed before it started.
+ * @param {unknown} err
+ * @returns {NativePlayback}
+ */
+function failed(err) {
+  return { done: Promise.reject(err), stop: () => {} };
+}
+
+/** @type {NativeSink[]} */
+export const NATIVE_SINKS = [
+  {
+    name: 'pulse-native',
+    auto: true,
+    formats: ['wav'],
+    check: pulseAvailable,
+    play: (file, soundId, opts) => {
+      try {
+        const { sampleRate, channels, samples } = loadWav('pulse-native', file, opts);
+        const stereo = channels === 2;
+        return playOnPulse({
+          pcm: encodeS16LE(stereo ? samples : toMono(samples, channels)),
+          sampleRate,
+          channels: stereo ? 2 : 1,
+          name: soundId
+        });
+      } catch (err) {
+        return failed(err);
+      }
+    }
+  },
+  {
+    name: 'dsp',
+    auto: true,
+    formats: ['wav'],
+    check: () => {
+      try {
+        accessSync(dspDevice(), fsConstants.W_OK);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    play: (file, _soundId, opts) => {
+      let pcm;
+      try {
+        const { sampleRate, channels, samples } = loadWav('dsp', file, opts);
+        pcm = encodeU8(resampleMono(toMono(samples, channels), sampleRate, DSP_RATE));
+      } catch (err) {
+        return failed(err);
+      }
+      return cooperative(async (isStopped) => {
+        // The device blocks writes to the playback rate; closing waits for the rest.
+        const handle = await fs.open(dspDevice(), 'w');
+        try {
+          for (let pos = 0; pos < pcm.length && !isStopped(); pos += DSP_CHUNK) {
+            await handle.write(pcm.subarray(pos, pos + DSP_CHUNK));
+          }
+        } finally {
+          await handle.close();
+        }
+      });
+    }
+  },
+  {
+    name: 'null',
+    auto: false,
+    check: () => true,
+    play: (file, soundId, opts) =>
+      cooperative(async () => {
+        /** @type {Record<string, unknown>} */
+        const entry = { time: new Date().toISOString(), soundId, file, ...opts };
+        const info = parseWav(await fs.readFile(file));
+        if (info) {
+          const total = info.dataLength / (info.blockAlign * info.sampleRate);
+          const remaining = Math.max(0, total - (opts.start ?? 0));
+          entry.seconds = Number(Math.min(remaining, opts.duration ?? remaining).toFixed(3));
+        }
+        const log = nullSinkLogPath();
+        await fs.mkdir(path.dirname(log), { recursive: true });
+        await fs.appendFile(log, JSON.stringify(entry) + '\n');
+      })
+  }
+];
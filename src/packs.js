@@ -0,0 +1,310 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { dataDir } from './config.js';
+import { readTar } from './tar.js';
+import { AUDIO_EXTENSIONS, audioContentError } from './audio-format.js';
+
+/**
+ * Sound packs: a directory or tarball (.tar, .tgz, .tar.gz) with a
+ * pack.json manifest next to the sound files.
+ *
+ * {
+ *   "name": "retro",
+ *   "label": "Retro Arcade",
+ *   "version": "1.0.0",
+ *   "author": "Jane Doe",
+ *   "license": "CC0-1.0",
+ *   "sounds": [
+ *     { "id": "coin", "file": "sounds/coin.wav", "label": "Coin", "category": "Pickups", "tags": ["8-bit"] }
+ *   ]
+ * }
+ *
+ * Installed packs live in ~/.claude-sound/packs/<name>/ and their sounds get
+ * ids like pack:retro/coin.
+ *
+ * @typedef {{ id: string; file: string; label?: string; category?: string; tags?: string[] }} PackSound
+ * @typedef {{
+ *   name: string;
+ *   label?: string;
+ *   description?: string;
+ *   version?: string;
+ *   author?: string;
+ *   license?: string;
+ *   sounds: PackSound[];
+ * }} PackManifest
+ * @typedef {{ dir: string; manifest: PackManifest }} InstalledPack
+ */
+
+export const PACK_MANIFEST = 'pack.json';
+
+/** Prefix of pack sound ids. */
+export const PACK_PREFIX = 'pack:';
+
+const SAFE_PACK_NAME = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const SAFE_PACK_SOUND_ID = /^[A-Za-z0-9][A-Za-z0-9_-]{0,59}$/;
+
+/** Same per-file limit as import. */
+const MAX_SOUND_SIZE = 5 * 1024 * 1024;
+const MAX_PACK_SOUNDS = 500;
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 200;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+
+/** @returns {string} */
+export function packsDir() {
+  return path.join(dataDir(), 'packs');
+}
+
+/**
+ * Sound id of a pack sound, e.g. pack:retro/coin.
+ * @param {string} packName
+ * @param {string} soundId - id within the pack
+ * @returns {string}
+ */
+export function packSoundId(packName, soundId) {
+  return `${PACK_PREFIX}${packName}/${soundId}`;
+}
+
+/**
+ * Pack name of a pack sound id, or null for other ids.
+ * @param {string} soundId
+ * @returns {string | null}
+ */
+export function packNameOf(soundId) {
+  if (!soundId.startsWith(PACK_PREFIX)) return null;
+  const slash = soundId.indexOf('/');
+  return slash === -1 ? null : soundId.slice(PACK_PREFIX.length, slash);
+}
+
+/**
+ * A file path from a manifest, normalised; null if it would leave the pack.
+ * @param {unknown} file
+ * @returns {string | null}
+ */
+function safeRelativePath(file) {
+  if (typeof file !== 'string' || !file || file.includes('\0') || file.includes('\\')) return null;
+  const normalized = path.posix.normalize(file);
+  if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) return null;
+  return normalized;
+}
+
+/**
+ * Validate a parsed pack.json.
+ * @param {unknown} raw
+ * @returns {PackManifest}
+ * @throws {Error}
+ */
+export function parsePackManifest(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${PACK_MANIFEST} must be an object`);
+  const r = /** @type {Record<string, unknown>} */ (raw);
+  if (typeof r.name !== 'string' || !SAFE_PACK_NAME.test(r.name)) {
+    throw new Error(`Invalid pack name ${JSON.stringify(r.name)} (lowercase letters, digits and -)`);
+  }
+  for (const key of ['label', 'description', 'version', 'author', 'license']) {
+    if (r[key] !== undefined && (typeof r[key] !== 'string' || r[key].length > MAX_TEXT_LENGTH)) {
+      throw new Error(`"${key}" must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+  }
+  if (!Array.isArray(r.sounds) || r.sounds.length === 0) throw new Error('"sounds" must be a non-empty list');
+  if (r.sounds.length > MAX_PACK_SOUNDS) throw new Error(`A pack can hold at most ${MAX_PACK_SOUNDS} sounds`);
+
+  const ids = new Set();
+  /** @type {PackSound[]} */
+  const sounds = r.sounds.map((s, i) => {
+    if (!s || typeof s !== 'object') throw new Error(`sounds[${i}] must be an object`);
+    if (typeof s.id !== 'string' || !SAFE_PACK_SOUND_ID.test(s.id)) {
+      throw new Error(`sounds[${i}]: invalid id ${JSON.stringify(s.id)} (letters, digits, _ and -)`);
+    }
+    if (ids.has(s.id)) throw new Error(`sounds[${i}]: duplicate id ${s.id}`);
+    ids.add(s.id);
+    const file = safeRelativePath(s.file);
+    if (!file) throw new Error(`${s.id}: "file" must be a relative path inside the pack`);
+    if (!AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+      throw new Error(`${s.id}: unsupported file type ${path.extname(file) || '(none)'}`);
+    }
+    for (const key of ['label', 'category']) {
+      if (s[key] !== undefined && (typeof s[key] !== 'string' || s[key].length > MAX_TEXT_LENGTH)) {
+        throw new Error(`${s.id}: "${key}" must be a string`);
+      }
+    }
+    if (
+      s.tags !== undefined &&
+      (!Array.isArray(s.tags) ||
+        s.tags.length > MAX_TAGS ||
+        s.tags.some((t) => typeof t !== 'string' || !t || t.length > MAX_TAG_LENGTH))
+    ) {
+      throw new Error(`${s.id}: "tags" must be a list of at most ${MAX_TAGS} short strings`);
+    }
+    /** @type {PackSound} */
+    const sound = { id: s.id, file };
+    if (s.label) sound.label = s.label;
+    if (s.category) sound.category = s.category;
+    if (s.tags?.length) sound.tags = s.tags;
+    return sound;
+  });
+
+  /** @type {PackManifest} */
+  const manifest = { name: r.name, sounds };
+  for (const key of ['label', 'description', 'version', 'author', 'license']) {
+    if (r[key]) manifest[key] = /** @type {string} */ (r[key]);
+  }
+  return manifest;
+}
+
+/**
+ * Installed packs with a valid manifest, by name. Broken ones are skipped.
+ * @returns {Promise<InstalledPack[]>}
+ */
+export async function readInstalledPacks() {
+  let entries;
+  try {
+    entries = await fs.readdir(packsDir(), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  /** @type {InstalledPack[]} */
+  const packs = [];
+  for (const e of entries) {
+    if (!e.isDirectory()) continue;
+    const dir = path.join(packsDir(), e.name);
+    try {
+      const manifest = parsePackManifest(JSON.parse(await fs.readFile(path.join(dir, PACK_MANIFEST), 'utf-8')));
+      if (manifest.name === e.name) packs.push({ dir, manifest });
+    } catch {
+      // not a pack (or a broken one); ignore
+    }
+  }
+  return packs.sort((a, b) => a.manifest.name.localeCompare(b.manifest.name));
+}
+
+/**
+ * Open a pack source: a directory, or a tar/tgz file whose pack.json is at
+ * the root or inside a single top-level directory.
+ * @param {string} source
+ * @returns {Promise<{ manifestText: string; readFile: (rel: string) => Promise<Buffer | null> }>}
+ * @throws {Error}
+ */
+async function openPackSource(source) {
+  let stat;
+  try {
+    stat = await fs.stat(source);
+  } catch (err) {
+    if (err?.code === 'ENOENT') throw new Error(`Not found: ${source}`);
+    throw err;
+  }
+  if (stat.isDirectory()) {
+    const read = async (rel) => {
+      const file = path.join(source, rel);
+      try {
+        const s = await fs.stat(file);
+        if (!s.isFile()) return null;
+        if (s.size > MAX_SOUND_SIZE) throw new Error(`${rel} is larger than ${MAX_SOUND_SIZE / 1024 / 1024}MB`);
+        return await fs.readFile(file);
+      } catch (err) {
+        if (err?.code === 'ENOENT') return null;
+        throw err;
+      }
+    };
+    const manifest = await read(PACK_MANIFEST);
+    if (!manifest) throw new Error(`No ${PACK_MANIFEST} in ${source}`);
+    return { manifestText: manifest.toString('utf-8'), readFile: read };
+  }
+
+  if (stat.size > MAX_ARCHIVE_SIZE) throw new Error('Archive is too large');
+  const files = new Map(
+    readTar(await fs.readFile(source), { maxBytes: MAX_ARCHIVE_SIZE }).map((f) => [path.posix.normalize(f.path), f.data])
+  );
+  let root = '';
+  if (!files.has(PACK_MANIFEST)) {
+    const nested = [...files.keys()].filter((p) => p.split('/').length === 2 && p.endsWith(`/${PACK_MANIFEST}`));
+    if (nested.length !== 1) throw new Error(`No ${PACK_MANIFEST} at the top of the archive`);
+    root = nested[0].slice(0, -PACK_MANIFEST.length);
+  }
+  return {
+    manifestText: /** @type {Buffer} */ (files.get(root + PACK_MANIFEST)).toString('utf-8'),
+    readFile: async (rel) => {
+      const data = files.get(root + rel) ?? null;
+      if (data && data.length > MAX_SOUND_SIZE) throw new Error(`${rel} is larger than ${MAX_SOUND_SIZE / 1024 / 1024}MB`);
+      return data;
+    }
+  };
+}
+
+/**
+ * Install (or with `force`, replace) a pack from a directory or tarball.
+ * Every sound is checked before anything is written.
+ * @param {string} source - path to the pack directory or archive
+ * @param {object} [opts]
+ * @param {boolean} [opts.force] - replace an installed pack of the same name
+ * @returns {Promise<{ manifest: PackManifest; dir: string; replaced: boolean }>}
+ * @throws {Error}
+ */
+export async function installPack(source, { force = false } = {}) {
+  const resolved = path.resolve(source.startsWith('~') ? path.join(os.homedir(), source.slice(1)) : source);
+  const { manifestText, readFile } = await openPackSource(resolved);
+  let raw;
+  try {
+    raw = JSON.parse(manifestText);
+  } catch (err) {
+    throw new Error(`Invalid ${PACK_MANIFEST}: ${err?.message || err}`);
+  }
+  const manifest = parsePackManifest(raw);
+
+  /** @type {Map<string, Buffer>} */
+  const data = new Map();
+  for (const s of manifest.sounds) {
+    if (data.has(s.file)) continue;
+    const buf = await readFile(s.file);
+    if (!buf) throw new Error(`${s.id}: ${s.file} is missing from the pack`);
+    const contentError = audioContentError(buf, s.file);
+    if (contentError) throw new Error(`${s.id}: ${s.file}: ${contentError}`);
+    data.set(s.file, buf);
+  }
+
+  const dir = path.join(packsDir(), manifest.name);
+  let replaced = false;
+  try {
+    await fs.access(dir);
+    if (!force) throw new Error(`Pack '${manifest.name}' is already installed (use --force to replace it)`);
+    replaced = true;
+  } catch (err) {
+    if (err?.code !== 'ENOENT') throw err;
+  }
+
+  // Write next to the final location, then swap, so a failed install leaves the old pack intact.
+  const staging = `${dir}.installing-${process.pid}`;
+  await fs.rm(staging, { recursive: true, force: true });
+  try {
+    for (const [rel, buf] of data) {
+      const target = path.join(staging, rel);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buf);
+    }
+    await fs.writeFile(path.join(staging, PACK_MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.rename(staging, dir);
+  } catch (err) {
+    await fs.rm(staging, { recursive: true, force: true });
+    throw err;
+  }
+  return { manifest, dir, replaced };
+}
+
+/**
+ * Uninstall a pack.
+ * @param {string} name
+ * @returns {Promise<boolean>} false if it wasn't installed
+ */
+export async function removePack(name) {
+  if (!SAFE_PACK_NAME.test(name)) return false;
+  const dir = path.join(packsDir(), name);
+  try {
+    await fs.access(dir);
+  } catch {
+    return false;
+  }
+  await fs.rm(dir, { recursive: true, force: true });
+  return true;
+}
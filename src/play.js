@@ -1,19 +1,70 @@
 import { execFile, execFileSync, spawn } from 'node:child_process';
-import { platform } from 'node:os';
-import { resolveSoundPath } from './sounds.js';
+import { readFileSync, writeFileSync, rmSync, accessSync, constants as fsConstants } from 'node:fs';
+import { platform, tmpdir } from 'node:os';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { resolveSoundPath, getCue } from './sounds.js';
+import { isCueId, cueSteps } from './cues.js';
+import { renderWav } from './wav.js';
+import { isValidPlayerName, playerTemplateError, templatePlayer } from './player-template.js';
+import { NATIVE_SINKS } from './native-sinks.js';
+import { AUDIO_FORMATS, formatForFile } from './audio-format.js';
 
 /**
- * Player config: { name, check, args }
+ * Player config: { name, check, args, supports }
  * - name: executable name
  * - check: sync function to verify availability (returns boolean)
- * - args: (filePath) => string[] - args to pass to the executable
+ * - args: (filePath, opts) => string[] - args to pass to the executable;
+ *   opts only holds options listed in `supports`
+ * - supports: playback options the player has flags for. Anything else is
+ *   rendered into a temporary WAV, or approximated (duration via a kill timer)
+ * - formats: containers the player can decode; omitted = anything ffmpeg can
+ * - native: set for the built-in sinks (native-sinks.js), which play
+ *   in-process instead of running an executable
+ *
+ * @typedef {{ volume?: number; start?: number; duration?: number; fade?: number }} PlayOptions
+ *   volume: gain 0..1 (omitted = unchanged); start/duration/fade: seconds
+ * @typedef {{
+ *   name: string;
+ *   command?: string;
+ *   args: (f: string, opts: PlayOptions) => string[];
+ *   supports: Array<keyof PlayOptions>;
+ *   formats?: import('./audio-format.js').AudioFormat[];
+ *   native?: import('./native-sinks.js').NativeSink['play'];
+ * }} Player - command: executable, if it differs from name (custom players)
  */
 
+/**
+ * Flags for an option, or none when it's not set.
+ * @template T
+ * @param {T | undefined} value
+ * @param {(value: T) => string[]} flags
+ * @returns {string[]}
+ */
+function opt(value, flags) {
+  return value === undefined ? [] : flags(value);
+}
+
+/**
+ * @param {number} v
+ * @returns {string}
+ */
+const percent = (v) => String(Math.round(v * 100));
+
+/**
+ * ffmpeg afade filter for a fade-out ending at start + duration. ffplay and
+ * mpv keep the file's own timestamps after seeking, so `st` is absolute.
+ * @param {PlayOptions} o
+ * @returns {string}
+ */
+const afadeOut = (o) => `afade=t=out:st=${(o.start ?? 0) + (o.duration ?? 0) - (o.fade ?? 0)}:d=${o.fade}`;
+
 /**
  * Check if an executable exists in PATH.
  * Uses command -v (POSIX) on Unix, where.exe on Windows.
  */
-function findExecutable(name) {
+export function findExecutable(name) {
   try {
     if (platform() === 'win32') {
       execFileSync('where.exe', [name], { stdio: 'pipe', windowsHide: true });
@@ -26,56 +77,109 @@ function findExecutable(name) {
   }
 }
 
-/** @type {Array<{ name: string; check: () => boolean; args: (f: string) => string[] }>} */
+/** @type {Array<Player & { check: () => boolean }>} */
 const PLAYERS = [
   {
     name: 'afplay',
     check: () => platform() === 'darwin' && findExecutable('afplay'),
-    args: (f) => [f]
+    supports: ['volume', 'duration'],
+    formats: ['mp3', 'wav', 'm4a', 'aiff', 'flac'],
+    args: (f, o) => [...opt(o.volume, (v) => ['-v', String(v)]), ...opt(o.duration, (d) => ['-t', String(d)]), f]
   },
   {
     name: 'ffplay',
     check: () => findExecutable('ffplay'),
-    args: (f) => ['-nodisp', '-autoexit', '-loglevel', 'quiet', f]
+    supports: ['volume', 'start', 'duration', 'fade'],
+    args: (f, o) => [
+      '-nodisp',
+      '-autoexit',
+      '-loglevel',
+      'quiet',
+      ...opt(o.volume, (v) => ['-volume', percent(v)]),
+      ...opt(o.start, (s) => ['-ss', String(s)]),
+      ...opt(o.duration, (d) => ['-t', String(d)]),
+      ...opt(o.fade, () => ['-af', afadeOut(o)]),
+      f
+    ]
   },
   {
     name: 'mpv',
     check: () => findExecutable('mpv'),
-    args: (f) => ['--no-video', '--really-quiet', f]
+    supports: ['volume', 'start', 'duration', 'fade'],
+    args: (f, o) => [
+      '--no-video',
+      '--really-quiet',
+      ...opt(o.volume, (v) => [`--volume=${percent(v)}`]),
+      ...opt(o.start, (s) => [`--start=${s}`]),
+      ...opt(o.duration, (d) => [`--length=${d}`]),
+      ...opt(o.fade, () => [`--af=lavfi=[${afadeOut(o)}]`]),
+      f
+    ]
   },
   {
     name: 'mpg123',
     check: () => findExecutable('mpg123'),
-    args: (f) => ['-q', f]
+    supports: ['volume'],
+    formats: ['mp3'],
+    // -f is the output scale factor; 32768 is unity.
+    args: (f, o) => ['-q', ...opt(o.volume, (v) => ['-f', String(Math.round(v * 32768))]), f]
   },
   {
     name: 'mpg321',
     check: () => findExecutable('mpg321'),
-    args: (f) => ['-q', f]
+    supports: ['volume'],
+    formats: ['mp3'],
+    args: (f, o) => ['-q', ...opt(o.volume, (v) => ['-g', percent(v)]), f]
   },
   {
     name: 'mplayer',
     check: () => findExecutable('mplayer'),
-    args: (f) => ['-really-quiet', '-vo', 'null', f]
+    supports: ['volume', 'start', 'duration'],
+    args: (f, o) => [
+      '-really-quiet',
+      '-vo',
+      'null',
+      ...opt(o.volume, (v) => ['-softvol', '-volume', percent(v)]),
+      ...opt(o.start, (s) => ['-ss', String(s)]),
+      // With -ss, -endpos counts from the start position.
+      ...opt(o.duration, (d) => ['-endpos', String(d)]),
+      f
+    ]
   },
   {
     name: 'aplay',
     check: () => findExecutable('aplay'),
+    supports: [],
+    formats: ['wav'],
     args: (f) => ['-q', f]
   },
   {
     name: 'paplay',
     check: () => findExecutable('paplay'),
-    args: (f) => [f]
+    supports: ['volume'],
+    // libsndfile
+    formats: ['wav', 'ogg', 'flac', 'aiff'],
+    // 65536 is 100% (PA_VOLUME_NORM).
+    args: (f, o) => [...opt(o.volume, (v) => [`--volume=${Math.round(v * 65536)}`]), f]
   },
   {
     name: 'cvlc',
     check: () => findExecutable('cvlc'),
-    args: (f) => ['--play-and-exit', '-q', f]
+    supports: ['volume', 'start', 'duration'],
+    args: (f, o) => [
+      '--play-and-exit',
+      '-q',
+      ...opt(o.volume, (v) => [`--gain=${v}`]),
+      ...opt(o.start, (s) => [`--start-time=${s}`]),
+      ...opt(o.duration, (d) => [`--stop-time=${(o.start ?? 0) + d}`]),
+      f
+    ]
   },
   {
     name: 'powershell.exe',
     check: () => platform() === 'win32',
+    supports: [],
+    formats: ['wav'],
     args: (f) => {
       const escaped = f.replace(/'/g, "''");
       return [
@@ -87,71 +191,583 @@ const PLAYERS = [
   }
 ];
 
-/** @type {{ name: string; args: (f: string) => string[] } | null} */
+/**
+ * The built-in sinks as players, tried after the external ones. They apply
+ * every option themselves. `auto: false` ones (null) are only used when chosen.
+ * @type {Array<Player & { check: () => boolean; auto?: boolean }>}
+ */
+const BUILTIN_PLAYERS = [
+  ...PLAYERS,
+  ...NATIVE_SINKS.map((s) => ({
+    name: s.name,
+    check: s.check,
+    auto: s.auto,
+    supports: /** @type {Array<keyof PlayOptions>} */ (['volume', 'start', 'duration', 'fade']),
+    formats: s.formats,
+    args: () => [],
+    native: s.play
+  }))
+];
+
+/**
+ * @param {Player} p
+ * @returns {Player}
+ */
+const asPlayer = (p) => ({ name: p.name, args: p.args, supports: p.supports, formats: p.formats, native: p.native });
+
+/**
+ * @param {Player} player
+ * @param {import('./audio-format.js').AudioFormat | null} format
+ * @returns {boolean}
+ */
+const canPlay = (player, format) => !format || !player.formats || player.formats.includes(format);
+
+/**
+ * Player choice from the user config: `player` names a built-in or custom
+ * player, `players` defines custom ones (see player-template.js).
+ * @typedef {{ player?: string; players?: Record<string, unknown> }} PlayerConfig
+ */
+
+/** @type {PlayerConfig} */
+let _playerConfig = {};
+
+/** @type {string | null} */
+let _playerOverride = null;
+
+/** @type {Player | null} */
 let _resolvedPlayer = null;
 
 /**
- * @returns {{ name: string; args: (f: string) => string[] }}
+ * Auto-detected players for formats the default player can't decode.
+ * @type {Map<string, Player>}
+ */
+const _formatPlayers = new Map();
+
+/** Forget resolved players (settings changed). */
+function resetResolvedPlayers() {
+  _resolvedPlayer = null;
+  _formatPlayers.clear();
+}
+
+/**
+ * Apply the player settings from the user config. Cheap to call before
+ * every playback; the resolved player is only dropped when they change.
+ * @param {PlayerConfig} config
+ * @returns {void}
+ */
+export function configurePlayers({ player, players } = {}) {
+  const next = { player, players };
+  if (JSON.stringify(next) === JSON.stringify(_playerConfig)) return;
+  _playerConfig = next;
+  resetResolvedPlayers();
+}
+
+/**
+ * Force a player for this process (the --player flag); wins over the config.
+ * @param {string | null} name
+ * @returns {void}
+ */
+export function setPlayerOverride(name) {
+  _playerOverride = name;
+  resetResolvedPlayers();
+}
+
+/**
+ * True if a custom player's executable exists (PATH lookup or absolute path).
+ * @param {string} command
+ * @returns {boolean}
+ */
+function commandExists(command) {
+  if (!path.isAbsolute(command)) return findExecutable(command);
+  try {
+    accessSync(command, platform() === 'win32' ? fsConstants.F_OK : fsConstants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Custom players from the config, valid or not.
+ * @returns {Array<{ name: string; player: Player | null; error: string | null }>}
+ */
+function customPlayers() {
+  const defs = _playerConfig.players;
+  if (!defs || typeof defs !== 'object' || Array.isArray(defs)) return [];
+  return Object.entries(defs).map(([name, template]) => {
+    let error = isValidPlayerName(name) ? playerTemplateError(template) : 'invalid name';
+    if (!error && BUILTIN_PLAYERS.some((p) => p.name === name)) error = 'name is taken by a built-in player';
+    return { name, player: error ? null : templatePlayer(name, /** @type {string[]} */ (template)), error };
+  });
+}
+
+/**
+ * The player named by --player, $CLAUDE_SOUND_PLAYER or the config, or null
+ * for auto-detection.
+ * @returns {Player | null}
+ * @throws {Error} if the named player is unknown, invalid or not installed
+ */
+function chosenPlayer() {
+  const name = preferredPlayerName();
+  if (!name) return null;
+
+  const custom = customPlayers().find((c) => c.name === name);
+  if (custom) {
+    if (!custom.player) throw new Error(`Custom player '${name}' is invalid: ${custom.error}`);
+    const command = custom.player.command ?? name;
+    if (!commandExists(command)) throw new Error(`Player '${name}' is not available (${command} not found)`);
+    return custom.player;
+  }
+
+  const builtin = BUILTIN_PLAYERS.find((p) => p.name === name);
+  if (!builtin) throw new Error(`Unknown player '${name}' (see claude-sound list-players)`);
+  if (!builtin.check()) throw new Error(`Player '${name}' is not available on this system`);
+  return asPlayer(builtin);
+}
+
+/**
+ * The player for files of a format: the chosen or default player, or, when
+ * auto-detecting, the first available one that can decode the format.
+ * @param {import('./audio-format.js').AudioFormat | null} [format]
+ * @returns {Player}
+ * @throws {Error} if no (chosen) player can play it
+ */
+function getPlayer(format = null) {
+  const player = defaultPlayer();
+  if (canPlay(player, format)) return player;
+  const label = AUDIO_FORMATS[format].label;
+  if (preferredPlayerName()) {
+    throw new Error(
+      `Player '${player.name}' can't play ${label} files; choose another (see claude-sound list-players)`
+    );
+  }
+
+  const cached = _formatPlayers.get(format);
+  if (cached) return cached;
+  for (const p of BUILTIN_PLAYERS) {
+    if (p.auto !== false && canPlay(p, format) && p.check()) {
+      _formatPlayers.set(format, asPlayer(p));
+      return asPlayer(p);
+    }
+  }
+  throw new Error(`No installed player can play ${label} files. Install ffmpeg (ffplay) or mpv.`);
+}
+
+/**
+ * The chosen player, or the first available one.
+ * @returns {Player}
  * @throws {Error}
  */
-function getPlayer() {
+function defaultPlayer() {
   if (_resolvedPlayer) return _resolvedPlayer;
 
-  for (const p of PLAYERS) {
-    if (p.check()) {
-      _resolvedPlayer = { name: p.name, args: p.args };
+  const chosen = chosenPlayer();
+  if (chosen) {
+    _resolvedPlayer = chosen;
+    return _resolvedPlayer;
+  }
+
+  for (const p of BUILTIN_PLAYERS) {
+    if (p.auto !== false && p.check()) {
+      _resolvedPlayer = asPlayer(p);
       return _resolvedPlayer;
     }
   }
 
   throw new Error(
-    'No audio player found. On Windows/Linux, install ffmpeg (ffplay) or mpv.'
+    'No audio player found. On Windows/Linux, install ffmpeg (ffplay) or mpv ' +
+      '(or use --player null to log playback instead).'
+  );
+}
+
+/**
+ * @typedef {{
+ *   name: string;
+ *   available: boolean;
+ *   supports: Array<keyof PlayOptions>;
+ *   custom: boolean;
+ *   native?: boolean;
+ *   formats: import('./audio-format.js').AudioFormat[] | null;
+ *   command?: string[];
+ *   error?: string;
+ * }} PlayerInfo
+ */
+
+/**
+ * Every known player and whether it's available here: built-ins in
+ * auto-detection order, then custom players from the config.
+ * @returns {PlayerInfo[]}
+ */
+export function detectPlayers() {
+  /** @type {PlayerInfo[]} */
+  const out = BUILTIN_PLAYERS.map((p) => ({
+    name: p.name,
+    available: p.check(),
+    supports: p.supports,
+    custom: false,
+    native: Boolean(p.native),
+    formats: p.formats ?? null
+  }));
+  const defs = /** @type {Record<string, string[]>} */ (_playerConfig.players ?? {});
+  for (const { name, player, error } of customPlayers()) {
+    out.push(
+      player
+        ? {
+            name,
+            available: commandExists(player.command ?? name),
+            supports: player.supports,
+            formats: null,
+            custom: true,
+            command: defs[name]
+          }
+        : { name, available: false, supports: [], formats: null, custom: true, error: error ?? undefined }
+    );
+  }
+  return out;
+}
+
+/**
+ * Name of the player chosen by --player, $CLAUDE_SOUND_PLAYER or the config, if any.
+ * @returns {string | null}
+ */
+export function preferredPlayerName() {
+  const name = _playerOverride ?? (process.env.CLAUDE_SOUND_PLAYER || _playerConfig.player);
+  return typeof name === 'string' && name !== '' && name !== 'auto' ? name : null;
+}
+
+/**
+ * Resolve and cache the audio player ahead of time (used by the daemon).
+ * @returns {string} player name
+ * @throws {Error} if no player is available
+ */
+export function warmPlayer() {
+  return getPlayer().name;
+}
+
+/**
+ * Name of the player that would play files of a format, or null if none can.
+ * @param {import('./audio-format.js').AudioFormat} format
+ * @returns {string | null}
+ */
+export function playerForFormat(format) {
+  try {
+    return getPlayer(format).name;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decoders that turn a compressed file into a PCM WAV, so options a player
+ * has no flags for (afplay: start and fade) can be rendered like for WAVs.
+ * afconvert ships with macOS. `end`: seconds worth decoding, if known.
+ * @type {Array<{ name: string; check: () => boolean; args: (src: string, dest: string, end?: number) => string[] }>}
+ */
+const DECODERS = [
+  {
+    name: 'afconvert',
+    check: () => platform() === 'darwin' && findExecutable('afconvert'),
+    args: (src, dest) => ['-f', 'WAVE', '-d', 'LEI16', src, dest]
+  },
+  {
+    name: 'ffmpeg',
+    check: () => findExecutable('ffmpeg'),
+    args: (src, dest, end) => [
+      '-v',
+      'quiet',
+      '-y',
+      '-i',
+      src,
+      ...opt(end, (e) => ['-t', String(e)]),
+      '-f',
+      'wav',
+      '-acodec',
+      'pcm_s16le',
+      dest
+    ]
+  }
+];
+
+/** Longest a decode may take; the hook has to play the result within its timeout. */
+const DECODE_TIMEOUT_MS = 3000;
+
+/** @type {(typeof DECODERS)[number] | null | undefined} undefined = not looked up yet */
+let _decoder;
+
+/**
+ * The first available decoder, or null.
+ * @returns {(typeof DECODERS)[number] | null}
+ */
+function findDecoder() {
+  if (_decoder === undefined) _decoder = DECODERS.find((d) => d.check()) ?? null;
+  return _decoder;
+}
+
+/**
+ * Decode a non-WAV file and render the options into a WAV.
+ * @param {string} file
+ * @param {PlayOptions} opts - normalized
+ * @returns {Buffer | null} null if there is no decoder or decoding fails
+ */
+function decodeAndRender(file, opts) {
+  const decoder = findDecoder();
+  if (!decoder) return null;
+  const end = opts.duration === undefined ? undefined : (opts.start ?? 0) + opts.duration;
+  const tmp = path.join(tmpdir(), `claude-sound-${randomUUID()}.wav`);
+  try {
+    execFileSync(decoder.name, decoder.args(file, tmp, end), {
+      stdio: 'ignore',
+      windowsHide: true,
+      timeout: DECODE_TIMEOUT_MS
+    });
+    return renderWav(readFileSync(tmp), opts);
+  } catch {
+    return null;
+  } finally {
+    rmSync(tmp, { force: true });
+  }
+}
+
+/**
+ * Playback options that would be dropped for a file: the player has no flag
+ * for them, and the file can't be rendered (not an editable WAV, and no
+ * decoder installed). Used to warn when a mapping is saved.
+ * @param {string} file
+ * @param {PlayOptions} opts
+ * @returns {Array<keyof PlayOptions>} empty if everything applies (or no player is available)
+ */
+export function unsupportedPlayOptions(file, opts) {
+  const wanted = normalizeOptions(opts);
+  let player;
+  try {
+    player = getPlayer(formatForFile(file));
+  } catch {
+    return [];
+  }
+  if (player.native) return [];
+  // A duration is still enforced with a kill timer.
+  const missing = /** @type {Array<keyof PlayOptions>} */ (Object.keys(wanted)).filter(
+    (key) => key !== 'duration' && !player.supports.includes(key)
   );
+  const renderable = formatForFile(file) === 'wav' || (canPlay(player, 'wav') && findDecoder() !== null);
+  return renderable ? [] : missing;
+}
+
+/**
+ * Drop options that change nothing (volume >= 1, start 0, ...) or are unusable.
+ * @param {PlayOptions} opts
+ * @returns {PlayOptions}
+ */
+function normalizeOptions({ volume, start, duration, fade }) {
+  const num = (n) => typeof n === 'number' && Number.isFinite(n);
+  /** @type {PlayOptions} */
+  const out = {};
+  if (num(volume) && volume < 1) out.volume = Math.max(0, volume);
+  if (num(start) && start > 0) out.start = start;
+  if (num(duration) && duration > 0) out.duration = duration;
+  if (num(fade) && fade > 0 && out.duration !== undefined) out.fade = Math.min(fade, out.duration);
+  return out;
+}
+
+/**
+ * @typedef {{ command: string; args: string[]; cleanup: () => void; maxMs: number | undefined }} PreparedPlayback
+ *   maxMs: stop the player after this long (duration the player can't enforce itself)
+ */
+
+/**
+ * Build the player command for a sound. Options the player has flags for
+ * become flags. Otherwise WAV files are rendered (trim, fade, volume) into a
+ * temp file, and other files are decoded first when afconvert or ffmpeg is
+ * installed; call cleanup() once the player exits. Failing that, files play
+ * with the flags the player has, and a duration it can't honor becomes maxMs.
+ * @param {Player} player
+ * @param {string} file
+ * @param {PlayOptions} opts
+ * @returns {PreparedPlayback}
+ */
+function prepare(player, file, opts) {
+  const command = player.command ?? player.name;
+  const wanted = normalizeOptions(opts);
+  const noop = () => {};
+
+  /** @type {PlayOptions} */
+  const usable = {};
+  for (const key of player.supports) {
+    if (wanted[key] !== undefined) usable[key] = wanted[key];
+  }
+  if (Object.keys(usable).length === Object.keys(wanted).length) {
+    return { command, args: player.args(file, usable), cleanup: noop, maxMs: undefined };
+  }
+
+  let rendered = null;
+  try {
+    rendered = renderWav(readFileSync(file), wanted);
+  } catch {
+    // Not a WAV we can edit; decode it, or fall through to best effort.
+    if (canPlay(player, 'wav')) rendered = decodeAndRender(file, wanted);
+  }
+  if (rendered) {
+    const tmp = path.join(tmpdir(), `claude-sound-${randomUUID()}.wav`);
+    writeFileSync(tmp, rendered);
+    return {
+      command,
+      args: player.args(tmp, {}),
+      cleanup: () => rmSync(tmp, { force: true }),
+      maxMs: undefined
+    };
+  }
+
+  const maxMs = wanted.duration !== undefined && usable.duration === undefined ? wanted.duration * 1000 : undefined;
+  return { command, args: player.args(file, usable), cleanup: noop, maxMs };
 }
 
 /**
- * Play a sound and wait for it to finish.
+ * Play a sound and wait for it to finish. Cues play all their steps; the
+ * options apply to each sound in them.
  * @param {string} soundId
+ * @param {PlayOptions} [opts]
  * @returns {Promise<void>}
  */
-export function playSound(soundId) {
-  const file = resolveSoundPath(soundId);
-  const { name, args } = getPlayer();
+export async function playSound(soundId, opts = {}) {
+  if (opts.volume === 0) return;
+  if (!isCueId(soundId)) return playSoundFile(resolveSoundPath(soundId), soundId, opts);
+  for (const step of await cueSteps(soundId, getCue(soundId))) {
+    if ('pause' in step) await sleep(step.pause * 1000);
+    else await Promise.all(step.sounds.map((id) => playSoundFile(resolveSoundPath(id), id, opts)));
+  }
+}
+
+/**
+ * Play an audio file that isn't a listed sound (e.g. rendered speech) and
+ * wait for it to finish.
+ * @param {string} file
+ * @param {string} soundId - what is playing, for players that log it
+ * @param {PlayOptions} [opts]
+ * @returns {Promise<void>}
+ */
+export function playSoundFile(file, soundId, opts = {}) {
+  if (opts.volume === 0) return Promise.resolve();
+  const player = getPlayer(formatForFile(file));
+  if (player.native) return player.native(file, soundId, normalizeOptions(opts)).done;
+  const { command, args, cleanup, maxMs } = prepare(player, file, opts);
   return new Promise((resolve, reject) => {
-    execFile(name, args(file), { windowsHide: true }, (err) => {
-      if (err) reject(err);
+    execFile(command, args, { windowsHide: true, timeout: maxMs ?? 0 }, (err) => {
+      cleanup();
+      // Stopped by our own duration timer: that's a normal end.
+      if (err && !(maxMs !== undefined && err.killed)) reject(err);
       else resolve();
     });
   });
 }
 
-/** @type {import('node:child_process').ChildProcess | null} */
-let _previewProcess = null;
+/**
+ * A playing preview: stop() ends it early; done resolves when it ends either way.
+ * @typedef {{ stop: () => void; done: Promise<void> }} Preview
+ */
+
+/** @type {Set<Preview>} */
+const _previews = new Set();
+
+/** Bumped by stopPreview, so a cue preview stops between steps. */
+let _previewGeneration = 0;
+
+function noop() {}
+
+/**
+ * Start playing a file as a preview, detached from this process.
+ * @param {string} file
+ * @param {string} soundId
+ * @param {PlayOptions} opts
+ * @returns {Preview}
+ */
+function startPreview(file, soundId, opts) {
+  const player = getPlayer(formatForFile(file));
+  /** @type {Preview} */
+  let preview;
+  if (player.native) {
+    const playback = player.native(file, soundId, normalizeOptions(opts));
+    preview = { stop: () => playback.stop(), done: playback.done.then(noop, noop) };
+  } else {
+    const { command, args, cleanup, maxMs } = prepare(player, file, opts);
+    const proc = spawn(command, args, {
+      detached: true,
+      stdio: 'ignore',
+      windowsHide: true
+    });
+    const stop = () => {
+      try {
+        const pid = proc.pid;
+        if (pid != null && platform() !== 'win32') {
+          process.kill(-pid, 'SIGKILL');
+        } else {
+          proc.kill('SIGKILL');
+        }
+      } catch {
+        // Process may already be dead
+      }
+    };
+    const timer = maxMs !== undefined ? setTimeout(stop, maxMs) : null;
+    timer?.unref();
+    const done = new Promise((resolve) => {
+      const finish = () => {
+        if (timer) clearTimeout(timer);
+        cleanup();
+        resolve(undefined);
+      };
+      proc.on('error', finish);
+      proc.on('exit', finish);
+    });
+    proc.unref();
+    preview = { stop, done };
+  }
+  _previews.add(preview);
+  preview.done.then(() => _previews.delete(preview));
+  return preview;
+}
+
+/**
+ * Play every step of a cue as a preview, until stopPreview is called.
+ * Round-robin cues show their next sound without moving on.
+ * @param {string} cueId
+ * @param {PlayOptions} opts
+ * @returns {Promise<void>}
+ */
+async function previewCue(cueId, opts) {
+  const generation = _previewGeneration;
+  for (const step of await cueSteps(cueId, getCue(cueId), { persist: false })) {
+    if (generation !== _previewGeneration) return;
+    if ('pause' in step) await sleep(step.pause * 1000);
+    else await Promise.all(step.sounds.map((id) => startPreview(resolveSoundPath(id), id, opts).done));
+  }
+}
 
 /**
  * Play a sound preview, killing any previously playing preview.
- * Non-blocking — does not wait for playback to finish.
+ * Non-blocking — does not wait for playback to finish. Cues preview in full.
  * @param {string} soundId
+ * @param {PlayOptions} [opts]
  * @returns {void}
  */
-export function playSoundPreview(soundId) {
+export function playSoundPreview(soundId, opts = {}) {
   stopPreview();
-  const file = resolveSoundPath(soundId);
-  const { name, args } = getPlayer();
+  if (opts.volume === 0) return;
+  if (isCueId(soundId)) {
+    previewCue(soundId, opts).catch(noop);
+    return;
+  }
+  startPreview(resolveSoundPath(soundId), soundId, opts);
+}
 
-  const proc = spawn(name, args(file), {
-    detached: true,
-    stdio: 'ignore',
-    windowsHide: true
-  });
-  _previewProcess = proc;
-  proc.on('error', () => {
-    if (_previewProcess === proc) _previewProcess = null;
-  });
-  proc.on('exit', () => {
-    if (_previewProcess === proc) _previewProcess = null;
-  });
-  proc.unref();
+/**
+ * Play an audio file that isn't a sound (yet) as a preview, like playSoundPreview.
+ * @param {string} file
+ * @param {PlayOptions} [opts]
+ * @returns {void}
+ */
+export function playFilePreview(file, opts = {}) {
+  stopPreview();
+  if (opts.volume === 0) return;
+  startPreview(file, path.basename(file), opts);
 }
 
 /**
@@ -159,17 +775,7 @@ export function playSoundPreview(soundId) {
  * @returns {void}
  */
 export function stopPreview() {
-  if (_previewProcess) {
-    try {
-      const pid = _previewProcess.pid;
-      if (pid != null && platform() !== 'win32') {
-        process.kill(-pid, 'SIGKILL');
-      } else {
-        _previewProcess.kill('SIGKILL');
-      }
-    } catch {
-      // Process may already be dead
-    }
-    _previewProcess = null;
-  }
+  _previewGeneration++;
+  for (const preview of _previews) preview.stop();
+  _previews.clear();
 }
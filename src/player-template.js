@@ -0,0 +1,112 @@
+import path from 'node:path';
+
+/**
+ * User-defined players from config.json:
+ *
+ *   "players": { "pw-play": ["pw-play", "--volume={volume}", "{file}"] }
+ *
+ * The first element is the executable, the rest are its arguments. Commands
+ * run without a shell, one template element per argument. Placeholders:
+ * - {file}: absolute path of the sound (required)
+ * - {volume}: gain 0..1, {volume100}: percent 0-100
+ * - {start}: seconds to skip (0 if unset)
+ * - {duration}: seconds to play; an argument using it is left out when unset
+ */
+
+export const TEMPLATE_PLACEHOLDERS = ['file', 'volume', 'volume100', 'start', 'duration'];
+
+/** Names for custom players: short, no spaces or path separators. */
+const SAFE_PLAYER_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]{0,39}$/;
+
+/** Bare executable names looked up on PATH. */
+const SAFE_EXECUTABLE = /^[A-Za-z0-9._+-]+$/;
+
+/** Characters that only make sense to a shell; refused in executable paths. */
+const SHELL_CHARS = /[;&|`$<>"'*?()[\]{}!%\r\n\0]/;
+
+/** Running these would hand {file} to a shell or script interpreter. */
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish', 'csh', 'tcsh', 'cmd', 'powershell', 'pwsh'];
+
+const MAX_ARGS = 32;
+const MAX_ARG_LENGTH = 1000;
+
+/**
+ * Check a custom player name.
+ * @param {unknown} name
+ * @returns {boolean}
+ */
+export function isValidPlayerName(name) {
+  return typeof name === 'string' && SAFE_PLAYER_NAME.test(name);
+}
+
+/**
+ * Check a player template.
+ * @param {unknown} template
+ * @returns {string | null} error message, or null if valid
+ */
+export function playerTemplateError(template) {
+  if (!Array.isArray(template) || template.length < 2 || template.length > MAX_ARGS) {
+    return `expected a list of 2-${MAX_ARGS} strings: [executable, ...args]`;
+  }
+  for (const part of template) {
+    if (typeof part !== 'string' || part.length === 0 || part.length > MAX_ARG_LENGTH) {
+      return 'every element must be a non-empty string';
+    }
+    if (/[\r\n\0]/.test(part)) return 'line breaks are not allowed';
+  }
+
+  const [command, ...args] = template;
+  if (!SAFE_EXECUTABLE.test(command) && !(path.isAbsolute(command) && !SHELL_CHARS.test(command))) {
+    return `executable must be a plain name or an absolute path: ${JSON.stringify(command)}`;
+  }
+  const base = path.basename(command.replace(/\\/g, '/')).toLowerCase();
+  const stem = base.replace(/\.exe$/, '');
+  if (SHELLS.includes(stem)) return `${base} is a shell; point the template at the player (or your script) directly`;
+  if (/\.(bat|cmd)$/.test(base)) return 'batch files need a shell; use an executable instead';
+  if (command.includes('{')) return 'placeholders are not allowed in the executable';
+
+  for (const arg of args) {
+    for (const m of arg.matchAll(/\{([^{}]*)\}/g)) {
+      if (!TEMPLATE_PLACEHOLDERS.includes(m[1])) return `unknown placeholder {${m[1]}}`;
+    }
+  }
+  if (!args.some((a) => a.includes('{file}'))) return 'the arguments must include {file}';
+  return null;
+}
+
+/**
+ * Build a player from a validated template.
+ * @param {string} name
+ * @param {string[]} template
+ * @returns {import('./play.js').Player}
+ */
+export function templatePlayer(name, template) {
+  const [command, ...args] = template;
+  const uses = (p) => args.some((a) => a.includes(`{${p}}`));
+
+  /** @type {import('./play.js').Player['supports']} */
+  const supports = [];
+  if (uses('volume') || uses('volume100')) supports.push('volume');
+  if (uses('start')) supports.push('start');
+  if (uses('duration')) supports.push('duration');
+
+  return {
+    name,
+    command,
+    supports,
+    args: (f, o) => {
+      const volume = o.volume ?? 1;
+      /** @type {Record<string, string | undefined>} */
+      const values = {
+        file: f,
+        volume: String(volume),
+        volume100: String(Math.round(volume * 100)),
+        start: String(o.start ?? 0),
+        duration: o.duration === undefined ? undefined : String(o.duration)
+      };
+      return args
+        .filter((a) => !(a.includes('{duration}') && values.duration === undefined))
+        .map((a) => a.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? ''));
+    }
+  };
+}
@@ -0,0 +1,329 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { dataDir } from './config.js';
+import { HOOK_EVENTS } from './hooks.js';
+import { withFileLock, writeFileAtomic } from './state-file.js';
+
+/**
+ * Playback policies for hook sounds, configured per event in
+ * ~/.claude-sound/config.json ("*" applies to every event; an event's own
+ * entry overrides it field by field):
+ *
+ *   "policies": {
+ *     "*": { "maxConcurrent": 2, "quietHours": { "from": "22:00", "to": "08:00", "mode": "silent" } },
+ *     "PreToolUse": { "minIntervalMs": 2000, "collapseWindowMs": 500 }
+ *   }
+ *
+ * - minIntervalMs: skip if this event played less than this long ago
+ * - collapseWindowMs: skip if the same sound (from any event) started within this window
+ * - maxConcurrent: skip while this many hook sounds are already playing
+ * - quietHours: local time window; mode "silent" skips everything, "reduced"
+ *   plays at most once per reducedIntervalMs (default 60s) per event, at
+ *   `volume` percent of the normal volume if set
+ *
+ * State lives in ~/.claude-sound/state.json so separate `play` processes
+ * (one per hook) see each other.
+ *
+ * @typedef {{
+ *   from: string;
+ *   to: string;
+ *   mode?: 'silent' | 'reduced';
+ *   reducedIntervalMs?: number;
+ *   volume?: number;
+ * }} QuietHours
+ * @typedef {{
+ *   minIntervalMs?: number;
+ *   collapseWindowMs?: number;
+ *   maxConcurrent?: number;
+ *   quietHours?: QuietHours;
+ * }} PlaybackPolicy
+ * @typedef {{
+ *   lastByEvent: Record<string, number>;
+ *   lastBySound: Record<string, number>;
+ *   active: Array<{ token: string; pid: number; startedAt: number }>;
+ * }} PlaybackState
+ */
+
+const DEFAULT_REDUCED_INTERVAL_MS = 60 * 1000;
+
+/** Active entries older than this are assumed stale (crashed player). */
+const ACTIVE_TTL_MS = 60 * 1000;
+
+/** Timestamps older than this can't affect any sane policy; drop them. */
+const STATE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/** @returns {string} */
+export function stateFilePath() {
+  return path.join(dataDir(), 'state.json');
+}
+
+/**
+ * Merge the "*" policy with the event's own policy.
+ * @param {Record<string, PlaybackPolicy> | undefined} policies
+ * @param {string | null} eventName
+ * @returns {PlaybackPolicy}
+ */
+export function policyForEvent(policies, eventName) {
+  if (!policies || typeof policies !== 'object') return {};
+  const base = policies['*'] && typeof policies['*'] === 'object' ? policies['*'] : {};
+  const own =
+    eventName && policies[eventName] && typeof policies[eventName] === 'object' ? policies[eventName] : {};
+  return { ...base, ...own };
+}
+
+/**
+ * Parse "HH:MM" into minutes since midnight.
+ * @param {unknown} s
+ * @returns {number | null}
+ */
+function parseClock(s) {
+  const m = typeof s === 'string' ? /^(\d{1,2}):(\d{2})$/.exec(s.trim()) : null;
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return h * 60 + min;
+}
+
+/** Fields a policy may set; anything else is most likely a typo. */
+export const POLICY_FIELDS = ['minIntervalMs', 'collapseWindowMs', 'maxConcurrent', 'quietHours'];
+
+/**
+ * @param {unknown} n
+ * @returns {boolean}
+ */
+function isWholeNonNegative(n) {
+  return Number.isInteger(n) && /** @type {number} */ (n) >= 0;
+}
+
+/**
+ * Why a policy would not do what it says, or null. Playback tolerates bad
+ * values (they are ignored); this is for the CLI and doctor.
+ * @param {unknown} policy
+ * @returns {string | null}
+ */
+export function policyError(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return 'must be an object';
+  const p = /** @type {Record<string, unknown>} */ (policy);
+  const unknown = Object.keys(p).find((key) => !POLICY_FIELDS.includes(key));
+  if (unknown) return `unknown field "${unknown}" (expected ${POLICY_FIELDS.join(', ')})`;
+  for (const key of ['minIntervalMs', 'collapseWindowMs', 'maxConcurrent']) {
+    if (p[key] !== undefined && !isWholeNonNegative(p[key])) return `"${key}" must be a whole number, 0 or more`;
+  }
+
+  const quiet = p.quietHours;
+  if (quiet === undefined) return null;
+  if (!quiet || typeof quiet !== 'object' || Array.isArray(quiet)) return '"quietHours" must be an object';
+  const { from, to, mode, reducedIntervalMs, volume } = /** @type {Record<string, unknown>} */ (quiet);
+  if (parseClock(from) === null || parseClock(to) === null) return '"quietHours" needs "from" and "to" as HH:MM';
+  if (parseClock(from) === parseClock(to)) return '"quietHours" "from" and "to" must differ';
+  if (mode !== undefined && mode !== 'silent' && mode !== 'reduced') return '"quietHours.mode" must be "silent" or "reduced"';
+  if (reducedIntervalMs !== undefined && !isWholeNonNegative(reducedIntervalMs)) {
+    return '"quietHours.reducedIntervalMs" must be a whole number, 0 or more';
+  }
+  if (volume !== undefined && !(isWholeNonNegative(volume) && /** @type {number} */ (volume) <= 100)) {
+    return '"quietHours.volume" must be a whole number 0-100';
+  }
+  return null;
+}
+
+/**
+ * Problems with config.json "policies": keys that aren't "*" or a hook
+ * event, and invalid policies.
+ * @param {unknown} policies
+ * @returns {string[]}
+ */
+export function policiesErrors(policies) {
+  if (policies === undefined) return [];
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+    return ['"policies" must be an object of event -> policy'];
+  }
+  const errors = [];
+  for (const [eventName, policy] of Object.entries(policies)) {
+    if (eventName !== '*' && !HOOK_EVENTS.includes(eventName)) {
+      errors.push(`${eventName}: not a hook event (see claude-sound list-events)`);
+      continue;
+    }
+    const error = policyError(policy);
+    if (error) errors.push(`${eventName}: ${error}`);
+  }
+  return errors;
+}
+
+/**
+ * True if `date` falls inside the quiet hours window (which may cross midnight).
+ * @param {QuietHours | undefined} quiet
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function inQuietHours(quiet, date) {
+  if (!quiet) return false;
+  const from = parseClock(quiet.from);
+  const to = parseClock(quiet.to);
+  if (from === null || to === null || from === to) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  return from < to ? now >= from && now < to : now >= from || now < to;
+}
+
+/**
+ * Volume factor (0..1) the policy applies at `date`: quietHours.volume
+ * during reduced quiet hours, 1 otherwise.
+ * @param {PlaybackPolicy} policy
+ * @param {Date} date
+ * @returns {number}
+ */
+export function policyVolume(policy, date) {
+  const quiet = policy.quietHours;
+  if (!inQuietHours(quiet, date) || quiet.mode !== 'reduced') return 1;
+  const v = quiet.volume;
+  return typeof v === 'number' && Number.isFinite(v) ? Math.min(100, Math.max(0, v)) / 100 : 1;
+}
+
+/**
+ * @param {unknown} n
+ * @returns {number}
+ */
+function nonNegative(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * Decide whether a playback may start. Pure; does not touch state.
+ * @param {PlaybackPolicy} policy
+ * @param {PlaybackState} state
+ * @param {{ eventName: string | null; soundId: string; now: number }} req
+ * @returns {string | null} reason to skip, or null to play
+ */
+export function checkPolicy(policy, state, { eventName, soundId, now }) {
+  let minInterval = nonNegative(policy.minIntervalMs);
+
+  if (inQuietHours(policy.quietHours, new Date(now))) {
+    if (policy.quietHours.mode !== 'reduced') return 'quiet hours';
+    minInterval = Math.max(
+      minInterval,
+      nonNegative(policy.quietHours.reducedIntervalMs) || DEFAULT_REDUCED_INTERVAL_MS
+    );
+  }
+
+  const key = eventName ?? '*';
+  if (minInterval > 0 && now - (state.lastByEvent[key] ?? 0) < minInterval) {
+    return `min interval (${minInterval}ms)`;
+  }
+
+  const collapse = nonNegative(policy.collapseWindowMs);
+  if (collapse > 0 && now - (state.lastBySound[soundId] ?? 0) < collapse) {
+    return `collapsed (${collapse}ms window)`;
+  }
+
+  const maxConcurrent = nonNegative(policy.maxConcurrent);
+  if (maxConcurrent > 0 && state.active.length >= maxConcurrent) {
+    return `max concurrent (${maxConcurrent})`;
+  }
+
+  return null;
+}
+
+/**
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err?.code === 'EPERM';
+  }
+}
+
+/**
+ * @param {Record<string, number>} times
+ * @param {number} cutoff
+ * @returns {void}
+ */
+function pruneOlderThan(times, cutoff) {
+  for (const [k, t] of Object.entries(times)) {
+    if (!(t >= cutoff)) delete times[k];
+  }
+}
+
+/** @returns {Promise<PlaybackState>} */
+async function readState() {
+  /** @type {PlaybackState} */
+  const empty = { lastByEvent: {}, lastBySound: {}, active: [] };
+  try {
+    const parsed = JSON.parse(await fs.readFile(stateFilePath(), 'utf-8'));
+    return {
+      lastByEvent: parsed?.lastByEvent && typeof parsed.lastByEvent === 'object' ? parsed.lastByEvent : {},
+      lastBySound: parsed?.lastBySound && typeof parsed.lastBySound === 'object' ? parsed.lastBySound : {},
+      active: Array.isArray(parsed?.active) ? parsed.active : []
+    };
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * Write state atomically (temp file + rename).
+ * @param {PlaybackState} state
+ * @returns {Promise<void>}
+ */
+async function writeState(state) {
+  await writeFileAtomic(stateFilePath(), JSON.stringify(state));
+}
+
+/**
+ * Run fn while holding ~/.claude-sound/state.lock. If the lock can't be
+ * taken in time, fn runs anyway: a missed throttle beats a silent hook.
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function withStateLock(fn) {
+  return withFileLock(path.join(dataDir(), 'state.lock'), fn);
+}
+
+/**
+ * Check the policy and, if allowed, record the playback start.
+ * Call release() when playback ends so maxConcurrent stays accurate.
+ * @param {PlaybackPolicy} policy
+ * @param {{ eventName: string | null; soundId: string }} req
+ * @returns {Promise<{ skipped: string | null; release: () => Promise<void> }>}
+ */
+export async function admitPlayback(policy, { eventName, soundId }) {
+  const noop = async () => {};
+  if (!policy || Object.keys(policy).length === 0) return { skipped: null, release: noop };
+
+  const token = randomUUID();
+  const skipped = await withStateLock(async () => {
+    const state = await readState();
+    const now = Date.now();
+    state.active = state.active.filter(
+      (a) => a && now - a.startedAt < ACTIVE_TTL_MS && isAlive(a.pid)
+    );
+    pruneOlderThan(state.lastByEvent, now - STATE_TTL_MS);
+    pruneOlderThan(state.lastBySound, now - STATE_TTL_MS);
+
+    const reason = checkPolicy(policy, state, { eventName, soundId, now });
+    if (reason) return reason;
+
+    state.lastByEvent[eventName ?? '*'] = now;
+    state.lastBySound[soundId] = now;
+    state.active.push({ token, pid: process.pid, startedAt: now });
+    await writeState(state);
+    return null;
+  });
+
+  if (skipped) return { skipped, release: noop };
+
+  return {
+    skipped: null,
+    release: () =>
+      withStateLock(async () => {
+        const state = await readState();
+        state.active = state.active.filter((a) => a?.token !== token);
+        await writeState(state);
+      })
+  };
+}
@@ -0,0 +1,448 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import {
+  configPathForScope,
+  sidecarPathForScope,
+  readJsonIfExists,
+  getExistingManagedMappings,
+  normalizeMappings,
+  isValidSoundId,
+  pickPlaybackOptions,
+  playbackOptionsError,
+  pickPoolOptions,
+  poolOptionsError,
+  POOL_GROUP_PREFIX,
+  HOOK_EVENTS
+} from './hooks.js';
+import { normalizeRules, rulesErrors } from './rules.js';
+import { listSounds, listSoundsGrouped, resolveSoundPath, invalidateSoundCache } from './sounds.js';
+import { customSoundsDir, customNameError } from './tts.js';
+import { setCustomLabels } from './custom-sounds.js';
+import { SPEECH_PREFIX, loadSpeechTemplates, normalizeSpeechTemplates } from './speech.js';
+import { CUE_PREFIX, isCueId, cueError, cueSoundIds, readCues } from './cues.js';
+import { AUDIO_EXTENSIONS, audioContentError } from './audio-format.js';
+
+/**
+ * A portable snapshot of one scope's claude-sound setup.
+ *
+ * {
+ *   "kind": "claude-sound-profile",
+ *   "version": 1,
+ *   "mappings": { "Stop": [{ "matcher": "*", "sound": "ring3", "pool": ["ring3", "@game"], "pick": "shuffle" }] },
+ *   "rules": [ ...same format as the sidecar rules... ],
+ *   "speech": { ...same format as the sidecar speech templates... },
+ *   "cues": { ...the cues it uses, same format as cues.json... },
+ *   "customSounds": [
+ *     { "id": "custom/hello-abc123", "label": "Hello", "sha256": "…", "file": "hello-abc123.mp3", "data": "<base64, only when bundled>" }
+ *   ]
+ * }
+ *
+ * @typedef {{ id: string; label?: string; sha256: string; file: string; data?: string }} ProfileSound
+ * @typedef {{
+ *   kind: 'claude-sound-profile';
+ *   version: 1;
+ *   mappings: Record<
+ *     string,
+ *     Array<{ matcher: string; sound: string } & import('./hooks.js').PlaybackOptions & import('./hooks.js').PoolOptions>
+ *   >;
+ *   rules?: import('./rules.js').SoundRule[];
+ *   speech?: Record<string, import('./speech.js').SpeechTemplate>;
+ *   cues?: Record<string, import('./cues.js').Cue>;
+ *   customSounds: ProfileSound[];
+ * }} Profile
+ */
+
+export const PROFILE_KIND = 'claude-sound-profile';
+export const PROFILE_VERSION = 1;
+
+/** Same limit as import: bundled sounds are copied into the custom sounds dir. */
+const MAX_SOUND_SIZE = 5 * 1024 * 1024;
+
+/**
+ * @param {Buffer} buf
+ * @returns {string}
+ */
+function sha256(buf) {
+  return createHash('sha256').update(buf).digest('hex');
+}
+
+/**
+ * The sound ids in a pool, without its @<group> entries.
+ * @param {string[] | undefined} pool
+ * @returns {string[]}
+ */
+function poolSoundIds(pool) {
+  return (pool ?? []).filter((item) => !item.startsWith(POOL_GROUP_PREFIX));
+}
+
+/**
+ * Collect the sound ids referenced by mappings (and their pools) and rules.
+ * @param {import('./hooks.js').Mappings} mappings
+ * @param {import('./rules.js').SoundRule[]} rules
+ * @returns {Set<string>}
+ */
+function referencedSoundIds(mappings, rules) {
+  const ids = new Set();
+  for (const entries of Object.values(mappings)) {
+    for (const e of entries) {
+      ids.add(e.soundId);
+      for (const id of poolSoundIds(e.pool)) ids.add(id);
+    }
+  }
+  for (const r of rules) ids.add(r.sound);
+  return ids;
+}
+
+/**
+ * Build a profile from a scope's managed mappings, sidecar rules and speech templates.
+ * @param {object} opts
+ * @param {string} opts.scope
+ * @param {string} opts.projectDir
+ * @param {boolean} [opts.bundle] - embed custom sound files (base64)
+ * @returns {Promise<Profile>}
+ * @throws {Error} if the settings file can't be parsed
+ */
+export async function exportProfile({ scope, projectDir, bundle = false }) {
+  const settingsPath = configPathForScope(scope, projectDir);
+  const settingsRes = await readJsonIfExists(settingsPath);
+  if (!settingsRes.ok) {
+    throw new Error(`Could not read/parse JSON at ${settingsPath}: ${settingsRes.error?.message}`);
+  }
+  const sidecarRes = await readJsonIfExists(sidecarPathForScope(scope, projectDir));
+  const rules = sidecarRes.ok ? normalizeRules(sidecarRes.value?.rules) : [];
+  const speech = sidecarRes.ok ? normalizeSpeechTemplates(sidecarRes.value?.speech) : {};
+
+  const mappings = getExistingManagedMappings(settingsRes.value);
+  const { labels } = await listSoundsGrouped({ projectDir });
+
+  const fallbacks = Object.values(speech).flatMap((t) => (t.fallback ? [t.fallback] : []));
+  const referenced = new Set([...referencedSoundIds(mappings, rules), ...fallbacks]);
+
+  // Cues come along with their definitions, and their sounds count as referenced.
+  /** @type {Record<string, import('./cues.js').Cue>} */
+  const cues = {};
+  const { cues: localCues } = await readCues();
+  for (const id of [...referenced].filter(isCueId)) {
+    const cue = localCues[id.slice(CUE_PREFIX.length)];
+    if (!cue) continue; // referenced but missing locally; nothing to export
+    cues[id.slice(CUE_PREFIX.length)] = cue;
+    for (const soundId of cueSoundIds(cue)) referenced.add(soundId);
+  }
+
+  /** @type {ProfileSound[]} */
+  const customSounds = [];
+  for (const id of referenced) {
+    if (!id.startsWith('custom/')) continue;
+    let filePath;
+    try {
+      filePath = resolveSoundPath(id);
+    } catch {
+      continue; // referenced but missing locally; nothing to export
+    }
+    const buf = await fs.readFile(filePath);
+    /** @type {ProfileSound} */
+    const sound = { id, sha256: sha256(buf), file: path.basename(filePath) };
+    if (labels[id]) sound.label = labels[id];
+    if (bundle) sound.data = buf.toString('base64');
+    customSounds.push(sound);
+  }
+
+  /** @type {Profile['mappings']} */
+  const outMappings = {};
+  for (const [eventName, entries] of Object.entries(mappings)) {
+    outMappings[eventName] = entries.map((e) => ({
+      matcher: e.matcher,
+      sound: e.soundId,
+      ...pickPoolOptions(e),
+      ...pickPlaybackOptions(e)
+    }));
+  }
+
+  /** @type {Profile} */
+  const profile = { kind: PROFILE_KIND, version: PROFILE_VERSION, mappings: outMappings, customSounds };
+  if (rules.length > 0) profile.rules = rules;
+  if (Object.keys(speech).length > 0) profile.speech = speech;
+  if (Object.keys(cues).length > 0) profile.cues = cues;
+  return profile;
+}
+
+/**
+ * Validate a parsed profile file.
+ * @param {unknown} raw
+ * @returns {Profile}
+ * @throws {Error}
+ */
+export function parseProfile(raw) {
+  if (!raw || typeof raw !== 'object' || raw.kind !== PROFILE_KIND) {
+    throw new Error(`Not a claude-sound profile (expected "kind": "${PROFILE_KIND}")`);
+  }
+  if (raw.version !== PROFILE_VERSION) {
+    throw new Error(`Unsupported profile version: ${raw.version}`);
+  }
+  if (!raw.mappings || typeof raw.mappings !== 'object') {
+    throw new Error('Profile has no "mappings" object');
+  }
+  for (const [eventName, entries] of Object.entries(raw.mappings)) {
+    if (!HOOK_EVENTS.includes(eventName)) throw new Error(`Unknown event in profile: ${eventName}`);
+    if (!Array.isArray(entries)) throw new Error(`Mappings for ${eventName} must be a list`);
+    for (const e of entries) {
+      if (!isValidSoundId(e?.sound)) throw new Error(`Invalid sound id for ${eventName}: ${JSON.stringify(e?.sound)}`);
+      const error = playbackOptionsError(pickPlaybackOptions(e)) ?? poolOptionsError(pickPoolOptions(e));
+      if (error) throw new Error(`${eventName}: ${error}`);
+    }
+  }
+  const ruleError = rulesErrors(raw.rules)[0];
+  if (ruleError) throw new Error(`Invalid rule in profile: ${ruleError}`);
+  if (raw.cues !== undefined) {
+    if (!raw.cues || typeof raw.cues !== 'object' || Array.isArray(raw.cues)) throw new Error('"cues" must be an object');
+    for (const [name, cue] of Object.entries(raw.cues)) {
+      const error = isValidSoundId(`${CUE_PREFIX}${name}`) ? cueError(cue) : 'invalid name';
+      if (error) throw new Error(`Cue ${name}: ${error}`);
+    }
+  }
+  const customSounds = Array.isArray(raw.customSounds) ? raw.customSounds : [];
+  for (const s of customSounds) {
+    if (!isValidSoundId(s?.id) || !s.id.startsWith('custom/') || typeof s.sha256 !== 'string') {
+      throw new Error(`Invalid custom sound entry: ${JSON.stringify(s?.id)}`);
+    }
+    const nameError = customNameError(s.id.slice('custom/'.length));
+    if (nameError) throw new Error(`Invalid custom sound ${s.id}: ${nameError}`);
+  }
+  return /** @type {Profile} */ ({ ...raw, customSounds });
+}
+
+/**
+ * @typedef {{
+ *   mappings: import('./hooks.js').Mappings;
+ *   rules: import('./rules.js').SoundRule[] | null;
+ *   speech: Record<string, import('./speech.js').SpeechTemplate> | null;
+ *   writes: Array<{ id: string; fromId: string; filePath: string; data: Buffer; label?: string }>;
+ *   cues: Array<{ id: string; fromId: string; cue: import('./cues.js').Cue }>;
+ *   remapped: Record<string, string>;
+ *   missing: string[];
+ *   unknown: string[];
+ * }} ProfilePlan
+ */
+
+/**
+ * Work out what applying a profile means on this machine:
+ * - custom sounds already present (same content, any id) are reused; `remapped` lists id changes
+ * - bundled custom sounds not present locally are scheduled for writing, renamed if the id is taken
+ * - custom sounds neither present nor bundled are reported as missing
+ * - cues are added to cues.json unless an identical one exists, renamed if the name is taken
+ * - non-custom ids that this version of claude-sound doesn't know are reported as unknown,
+ *   as are speech/ ids defined neither in the profile nor in projectDir's scopes
+ * @param {Profile} profile
+ * @param {object} [opts]
+ * @param {string} [opts.projectDir] - where existing speech templates are looked up
+ * @returns {Promise<ProfilePlan>}
+ */
+export async function planProfileApply(profile, { projectDir = process.cwd() } = {}) {
+  const known = await listSounds();
+  const knownSet = new Set(known);
+  const speech = profile.speech ? normalizeSpeechTemplates(profile.speech) : null;
+  for (const name of Object.keys({ ...(await loadSpeechTemplates(projectDir)), ...speech })) {
+    knownSet.add(`${SPEECH_PREFIX}${name}`);
+  }
+
+  // Hash local custom sounds so content can be matched regardless of id.
+  /** @type {Map<string, string>} sha256 -> local id */
+  const localByHash = new Map();
+  for (const id of known) {
+    if (!id.startsWith('custom/')) continue;
+    try {
+      localByHash.set(sha256(await fs.readFile(resolveSoundPath(id))), id);
+    } catch {
+      // unreadable; treat as absent
+    }
+  }
+
+  /** @type {ProfilePlan['writes']} */
+  const writes = [];
+  /** @type {Record<string, string>} */
+  const remapped = {};
+  /** @type {string[]} */
+  const missing = [];
+  const takenNames = new Set(known.filter((id) => id.startsWith('custom/')).map((id) => id.slice('custom/'.length)));
+
+  for (const s of profile.customSounds) {
+    const localId = localByHash.get(s.sha256);
+    if (localId) {
+      if (localId !== s.id) remapped[s.id] = localId;
+      continue;
+    }
+
+    if (typeof s.data !== 'string') {
+      missing.push(s.id);
+      continue;
+    }
+
+    const data = Buffer.from(s.data, 'base64');
+    if (data.length === 0 || data.length > MAX_SOUND_SIZE) {
+      throw new Error(`Bundled sound ${s.id} is empty or larger than ${MAX_SOUND_SIZE / 1024 / 1024}MB`);
+    }
+    if (sha256(data) !== s.sha256) {
+      throw new Error(`Bundled sound ${s.id} does not match its sha256`);
+    }
+    const ext = path.extname(s.file || '').toLowerCase();
+    if (!AUDIO_EXTENSIONS.includes(ext)) {
+      throw new Error(`Bundled sound ${s.id} has unsupported file type: ${ext || '(none)'}`);
+    }
+    const contentError = audioContentError(data, s.file);
+    if (contentError) throw new Error(`Bundled sound ${s.id}: ${contentError}`);
+
+    // Keep the id if free; otherwise suffix with the content hash.
+    let name = s.id.slice('custom/'.length);
+    if (takenNames.has(name)) name = `${name.slice(0, 53)}-${s.sha256.slice(0, 6)}`;
+    takenNames.add(name);
+    const id = `custom/${name}`;
+    const label = typeof s.label === 'string' && s.label.trim() ? s.label.trim().slice(0, 80) : undefined;
+    writes.push({ id, fromId: s.id, filePath: path.join(customSoundsDir(), `${name}${ext}`), data, label });
+  }
+
+  /** @type {ProfilePlan['cues']} */
+  const cues = [];
+  if (profile.cues) {
+    const { cues: localCues } = await readCues();
+    for (const [name, cue] of Object.entries(profile.cues)) {
+      const fromId = `${CUE_PREFIX}${name}`;
+      if (JSON.stringify(localCues[name]) === JSON.stringify(cue)) {
+        knownSet.add(fromId);
+        continue;
+      }
+      // Keep the name if free; otherwise suffix with a hash of the definition.
+      const id = localCues[name] ? `${fromId}-${sha256(Buffer.from(JSON.stringify(cue))).slice(0, 6)}` : fromId;
+      knownSet.add(id);
+      cues.push({ id, fromId, cue: { ...cue, sounds: [...cue.sounds] } });
+    }
+  }
+
+  /** @type {Record<string, string>} */
+  const idMap = { ...remapped };
+  for (const w of writes) idMap[w.fromId] = w.id;
+  for (const c of cues) idMap[c.fromId] = c.id;
+  const mapId = (id) => idMap[id] ?? id;
+  const profileCustomIds = new Set(profile.customSounds.map((s) => s.id));
+  const unknown = new Set();
+  const check = (id) => {
+    if (id.startsWith('custom/')) {
+      // Custom sounds referenced without a profile entry must already exist locally.
+      if (!profileCustomIds.has(id) && !knownSet.has(id) && !missing.includes(id)) missing.push(id);
+    } else if (!knownSet.has(id)) {
+      unknown.add(id);
+    }
+  };
+
+  /** @type {import('./hooks.js').Mappings} */
+  const input = {};
+  for (const [eventName, entries] of Object.entries(profile.mappings)) {
+    input[eventName] = entries.map((e) => {
+      check(e.sound);
+      poolSoundIds(e.pool).forEach(check);
+      return {
+        matcher: e.matcher ?? '*',
+        soundId: mapId(e.sound),
+        ...pickPoolOptions({ ...e, pool: e.pool?.map(mapId) }),
+        ...pickPlaybackOptions(e)
+      };
+    });
+  }
+
+  let rules = null;
+  if (Array.isArray(profile.rules)) {
+    rules = normalizeRules(profile.rules).map((r) => {
+      check(r.sound);
+      return { ...r, sound: mapId(r.sound) };
+    });
+  }
+
+  for (const { cue } of cues) {
+    cueSoundIds(cue).forEach(check);
+    cue.sounds = cue.sounds.map((s) => (typeof s === 'string' ? mapId(s) : s));
+  }
+
+  if (speech) {
+    for (const t of Object.values(speech)) {
+      if (!t.fallback) continue;
+      check(t.fallback);
+      t.fallback = mapId(t.fallback);
+    }
+  }
+
+  return {
+    mappings: normalizeMappings(input),
+    rules,
+    speech,
+    writes,
+    cues,
+    remapped,
+    missing,
+    unknown: [...unknown]
+  };
+}
+
+/**
+ * Drop mappings and rules that reference missing sounds; missing sounds
+ * leave pools (a pool left empty plays its fallback) and cues (a cue left
+ * without sounds is dropped too), and speech templates with a missing
+ * fallback get the default one.
+ * @param {ProfilePlan} plan
+ * @returns {ProfilePlan}
+ */
+export function withoutMissing(plan) {
+  const missing = new Set(plan.missing);
+  const cues = plan.cues.flatMap((c) => {
+    const sounds = c.cue.sounds.filter((s) => typeof s === 'number' || !missing.has(s));
+    if (sounds.some((s) => typeof s === 'string')) return [{ ...c, cue: { ...c.cue, sounds } }];
+    missing.add(c.id);
+    return [];
+  });
+  /** @type {import('./hooks.js').Mappings} */
+  const mappings = {};
+  for (const [eventName, entries] of Object.entries(plan.mappings)) {
+    const kept = entries
+      .filter((e) => !missing.has(e.soundId))
+      .map(({ pool, pick, ...e }) => {
+        const left = pool?.filter((item) => !missing.has(item));
+        return left?.length ? { ...e, pool: left, ...(pick && { pick }) } : e;
+      });
+    if (kept.length > 0) mappings[eventName] = kept;
+  }
+  const rules = plan.rules ? plan.rules.filter((r) => !missing.has(r.sound)) : null;
+  const speech = plan.speech
+    ? Object.fromEntries(
+        Object.entries(plan.speech).map(([name, { fallback, ...t }]) => [
+          name,
+          fallback && !missing.has(fallback) ? { ...t, fallback } : t
+        ])
+      )
+    : null;
+  return { ...plan, mappings, rules, speech, cues };
+}
+
+/**
+ * Write the bundled custom sounds from a plan into the custom sounds dir,
+ * keeping their labels in the user order.json. If one can't be written, the
+ * ones written before it are removed again.
+ * @param {ProfilePlan} plan
+ * @returns {Promise<void>}
+ * @throws {Error} if a file can't be written
+ */
+export async function writeProfileSounds(plan) {
+  if (plan.writes.length === 0) return;
+  await fs.mkdir(customSoundsDir(), { recursive: true });
+  const written = [];
+  try {
+    for (const w of plan.writes) {
+      await fs.writeFile(w.filePath, w.data, { flag: 'wx' });
+      written.push(w.filePath);
+    }
+  } catch (err) {
+    await Promise.all(written.map((f) => fs.rm(f, { force: true })));
+    throw err;
+  }
+  invalidateSoundCache();
+  const labels = Object.fromEntries(plan.writes.filter((w) => w.label).map((w) => [w.id, w.label]));
+  if (Object.keys(labels).length > 0) await setCustomLabels(labels);
+}
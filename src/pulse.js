@@ -0,0 +1,315 @@
+import net from 'node:net';
+import { existsSync, readFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/**
+ * Just enough of the PulseAudio native protocol to play one PCM buffer:
+ * AUTH, SET_CLIENT_NAME, CREATE_PLAYBACK_STREAM, write what the server
+ * requests, DRAIN. PipeWire's pipewire-pulse speaks the same protocol.
+ *
+ * Packets are a 20-byte descriptor (length, channel, offset hi/lo, flags;
+ * big-endian u32) and a payload. Commands go on the control channel as
+ * "tagstructs" (typed fields); audio goes on the stream's channel as raw bytes.
+ * We announce protocol version 13 and no shared memory, so everything is
+ * sent over the socket.
+ */
+
+const PROTOCOL_VERSION = 13;
+const CONTROL_CHANNEL = 0xffffffff;
+const INVALID_INDEX = 0xffffffff;
+const DEFAULT_TCP_PORT = 4713;
+const COOKIE_LENGTH = 256;
+const MAX_CHUNK = 64 * 1024;
+
+const COMMAND = {
+  ERROR: 0,
+  REPLY: 2,
+  CREATE_PLAYBACK_STREAM: 3,
+  AUTH: 8,
+  SET_CLIENT_NAME: 9,
+  DRAIN_PLAYBACK_STREAM: 12,
+  REQUEST: 61,
+  PLAYBACK_STREAM_KILLED: 64
+};
+
+const SAMPLE_S16LE = 3;
+const VOLUME_NORM = 0x10000;
+/** PA_CHANNEL_POSITION_MONO, or FRONT_LEFT/FRONT_RIGHT. */
+const CHANNEL_POSITIONS = { 1: [0], 2: [1, 2] };
+
+/** pa_error_code names, for error replies. */
+const ERRORS = [
+  'OK',
+  'access denied',
+  'unknown command',
+  'invalid argument',
+  'entity exists',
+  'no such entity',
+  'connection refused',
+  'protocol error',
+  'timeout',
+  'no authentication key',
+  'internal error',
+  'connection terminated',
+  'entity killed',
+  'invalid server',
+  'module initialization failed',
+  'bad state',
+  'no data',
+  'incompatible protocol version',
+  'data too large',
+  'operation not supported'
+];
+
+// Tagstruct fields: a type byte, then the value.
+
+const u32 = (n) => {
+  const b = Buffer.alloc(5);
+  b.write('L', 0, 'ascii');
+  b.writeUInt32BE(n >>> 0, 1);
+  return b;
+};
+const bool = (v) => Buffer.from(v ? '1' : '0', 'ascii');
+const nullString = () => Buffer.from('N', 'ascii');
+const string = (s) => Buffer.concat([Buffer.from('t', 'ascii'), Buffer.from(s, 'utf8'), Buffer.from([0])]);
+const arbitrary = (data) => Buffer.concat([Buffer.from('x', 'ascii'), u32(data.length).subarray(1), data]);
+const sampleSpec = (channels, rate) => {
+  const b = Buffer.alloc(7);
+  b.write('a', 0, 'ascii');
+  b.writeUInt8(SAMPLE_S16LE, 1);
+  b.writeUInt8(channels, 2);
+  b.writeUInt32BE(rate, 3);
+  return b;
+};
+const channelMap = (channels) => Buffer.from([0x6d /* m */, channels, ...CHANNEL_POSITIONS[channels]]);
+const cvolume = (channels) => {
+  const b = Buffer.alloc(2 + channels * 4);
+  b.write('v', 0, 'ascii');
+  b.writeUInt8(channels, 1);
+  for (let i = 0; i < channels; i++) b.writeUInt32BE(VOLUME_NORM, 2 + i * 4);
+  return b;
+};
+/** Property values are stored as NUL-terminated strings. */
+const proplist = (props) =>
+  Buffer.concat([
+    Buffer.from('P', 'ascii'),
+    ...Object.entries(props).flatMap(([key, value]) => {
+      const data = Buffer.concat([Buffer.from(value, 'utf8'), Buffer.from([0])]);
+      return [string(key), u32(data.length), arbitrary(data)];
+    }),
+    nullString()
+  ]);
+
+/**
+ * The leading u32 fields of a tagstruct (command, tag, then reply values).
+ * @param {Buffer} payload
+ * @returns {number[]}
+ */
+function readU32s(payload) {
+  const out = [];
+  for (let pos = 0; pos + 5 <= payload.length && payload[pos] === 0x4c /* L */; pos += 5) {
+    out.push(payload.readUInt32BE(pos + 1));
+  }
+  return out;
+}
+
+/**
+ * @param {number} channel
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function packet(channel, payload) {
+  const descriptor = Buffer.alloc(20);
+  descriptor.writeUInt32BE(payload.length, 0);
+  descriptor.writeUInt32BE(channel, 4);
+  return Buffer.concat([descriptor, payload]);
+}
+
+/**
+ * Where the server listens: $PULSE_SERVER (first entry; unix:, tcp: or a
+ * socket path), else $XDG_RUNTIME_DIR/pulse/native.
+ * @returns {{ path: string } | { host: string; port: number }}
+ */
+export function pulseAddress() {
+  const server = (process.env.PULSE_SERVER ?? '').trim().split(/\s+/)[0].replace(/^\{[^}]*\}/, '');
+  if (server) {
+    if (server.startsWith('unix:')) return { path: server.slice('unix:'.length) };
+    if (server.startsWith('/')) return { path: server };
+    const m = /^(?:tcp[46]?:)?(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(server);
+    if (m) return { host: m[1].replace(/^\[|\]$/g, ''), port: m[2] ? Number(m[2]) : DEFAULT_TCP_PORT };
+  }
+  const runtime = process.env.XDG_RUNTIME_DIR || `/run/user/${os.userInfo().uid}`;
+  return { path: path.join(runtime, 'pulse', 'native') };
+}
+
+/**
+ * True if a PulseAudio/PipeWire server looks reachable (its socket exists,
+ * or $PULSE_SERVER names a TCP server).
+ * @returns {boolean}
+ */
+export function pulseAvailable() {
+  try {
+    const address = pulseAddress();
+    return 'host' in address || existsSync(address.path);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The auth cookie. Servers that authenticate by user (pipewire-pulse, or a
+ * socket only we can reach) accept any cookie, so fall back to zeros.
+ * @returns {Buffer}
+ */
+function readCookie() {
+  const candidates = [
+    process.env.PULSE_COOKIE,
+    path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'pulse', 'cookie'),
+    path.join(os.homedir(), '.pulse-cookie')
+  ];
+  for (const file of candidates) {
+    if (!file) continue;
+    try {
+      const cookie = readFileSync(file);
+      if (cookie.length >= COOKIE_LENGTH) return cookie.subarray(0, COOKIE_LENGTH);
+    } catch {
+      // try the next one
+    }
+  }
+  return Buffer.alloc(COOKIE_LENGTH);
+}
+
+/**
+ * @typedef {{ done: Promise<void>; stop: () => void }} NativePlayback
+ *   done settles when playback ends; stop() ends it early (done resolves)
+ */
+
+/**
+ * Play 16-bit little-endian PCM through the PulseAudio server.
+ * @param {object} opts
+ * @param {Buffer} opts.pcm - interleaved S16LE frames
+ * @param {number} opts.sampleRate
+ * @param {1 | 2} opts.channels
+ * @param {string} [opts.name] - media name shown in mixers
+ * @returns {NativePlayback}
+ */
+export function playOnPulse({ pcm, sampleRate, channels, name = 'claude-sound' }) {
+  const socket = net.connect(pulseAddress());
+  /** @type {Map<number, { resolve: (values: number[]) => void; reject: (err: Error) => void }>} */
+  const pending = new Map();
+  let nextTag = 0;
+  let received = Buffer.alloc(0);
+  let channel = -1;
+  let sent = 0;
+  let stopped = false;
+  /** @type {Error | null} */
+  let failure = null;
+  /** @type {{ resolve: () => void; reject: (err: Error) => void } | null} */
+  let allSent = null;
+
+  const fail = (err) => {
+    if (failure || stopped) return;
+    failure = err;
+    for (const p of pending.values()) p.reject(err);
+    pending.clear();
+    allSent?.reject(err);
+    socket.destroy();
+  };
+
+  const request = (command, ...fields) =>
+    new Promise((resolve, reject) => {
+      if (failure || stopped) return reject(failure ?? new Error('stopped'));
+      const tag = nextTag++;
+      pending.set(tag, { resolve, reject });
+      socket.write(packet(CONTROL_CHANNEL, Buffer.concat([u32(command), u32(tag), ...fields])));
+    });
+
+  const writeAudio = (bytes) => {
+    while (bytes > 0 && sent < pcm.length) {
+      const n = Math.min(bytes, MAX_CHUNK, pcm.length - sent);
+      socket.write(packet(channel, pcm.subarray(sent, sent + n)));
+      sent += n;
+      bytes -= n;
+    }
+    if (sent >= pcm.length) allSent?.resolve();
+  };
+
+  const handleControl = (payload) => {
+    const [command, tag, ...values] = readU32s(payload);
+    if (command === COMMAND.REPLY || command === COMMAND.ERROR) {
+      const p = pending.get(tag);
+      if (!p) return;
+      pending.delete(tag);
+      if (command === COMMAND.REPLY) p.resolve(values);
+      else p.reject(new Error(`PulseAudio: ${ERRORS[values[0]] ?? `error ${values[0]}`}`));
+    } else if (command === COMMAND.REQUEST && values[0] === channel) {
+      writeAudio(values[1]);
+    } else if (command === COMMAND.PLAYBACK_STREAM_KILLED && values[0] === channel) {
+      fail(new Error('PulseAudio: playback stream was killed'));
+    }
+    // Anything else (underflow, started, ...) doesn't matter here.
+  };
+
+  socket.on('data', (chunk) => {
+    received = Buffer.concat([received, chunk]);
+    while (received.length >= 20) {
+      const length = received.readUInt32BE(0);
+      if (received.length < 20 + length) break;
+      const ch = received.readUInt32BE(4);
+      const payload = received.subarray(20, 20 + length);
+      received = received.subarray(20 + length);
+      if (ch === CONTROL_CHANNEL) handleControl(payload);
+    }
+  });
+  socket.on('error', (err) => fail(new Error(`PulseAudio: ${err.message}`)));
+  socket.on('close', () => fail(new Error('PulseAudio: connection closed')));
+
+  const done = (async () => {
+    await request(COMMAND.AUTH, u32(PROTOCOL_VERSION), arbitrary(readCookie()));
+    await request(COMMAND.SET_CLIENT_NAME, proplist({ 'application.name': 'claude-sound' }));
+    const [streamChannel, , missing] = await request(
+      COMMAND.CREATE_PLAYBACK_STREAM,
+      sampleSpec(channels, sampleRate),
+      channelMap(channels),
+      u32(INVALID_INDEX), // default sink
+      nullString(),
+      u32(INVALID_INDEX), // maxlength, tlength, prebuf, minreq: server defaults
+      bool(false), // corked
+      u32(INVALID_INDEX),
+      u32(INVALID_INDEX),
+      u32(INVALID_INDEX),
+      u32(0), // sync id
+      cvolume(channels),
+      // no_remap, no_remix, fix_format, fix_rate, fix_channels, dont_move, variable_rate
+      ...Array.from({ length: 7 }, () => bool(false)),
+      bool(false), // start muted
+      bool(false), // adjust latency
+      proplist({ 'media.name': name, 'media.role': 'event' })
+    );
+    channel = streamChannel;
+    const everythingSent = new Promise((resolve, reject) => {
+      allSent = { resolve, reject };
+    });
+    writeAudio(missing);
+    await everythingSent;
+    // Draining also starts playback of clips shorter than the prebuffer.
+    await request(COMMAND.DRAIN_PLAYBACK_STREAM, u32(channel));
+    stopped = true;
+    socket.end();
+  })().catch((err) => {
+    if (!stopped) throw err;
+  });
+
+  return {
+    done,
+    stop: () => {
+      if (stopped) return;
+      stopped = true;
+      for (const p of pending.values()) p.reject(new Error('stopped'));
+      pending.clear();
+      allSent?.resolve();
+      socket.destroy();
+    }
+  };
+}
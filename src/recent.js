@@ -0,0 +1,44 @@
+import path from 'node:path';
+import { dataDir } from './config.js';
+import { readJsonIfExists, updateJsonFile } from './hooks.js';
+
+/**
+ * Mapping history: the sounds most recently mapped to an event (by `set` or
+ * the setup UI), newest first, in ~/.claude-sound/recent.json:
+ *
+ *   { "sounds": ["custom/hello", "ring3", "common/pop"] }
+ */
+
+const MAX_RECENT = 10;
+
+/** @returns {string} */
+export function recentSoundsPath() {
+  return path.join(dataDir(), 'recent.json');
+}
+
+/**
+ * Recently mapped sound ids, newest first. Missing or invalid files yield [].
+ * @returns {Promise<string[]>}
+ */
+export async function readRecentSounds() {
+  const res = await readJsonIfExists(recentSoundsPath());
+  const sounds = res.ok ? res.value?.sounds : null;
+  return Array.isArray(sounds) ? sounds.filter((id) => typeof id === 'string') : [];
+}
+
+/**
+ * Move a sound to the front of the history.
+ * Failures are ignored: history must never break a mapping change.
+ * @param {string} soundId
+ * @returns {Promise<void>}
+ */
+export async function recordRecentSound(soundId) {
+  try {
+    await updateJsonFile(recentSoundsPath(), (value) => {
+      const sounds = Array.isArray(value?.sounds) ? value.sounds.filter((id) => id !== soundId) : [];
+      return { ...value, sounds: [soundId, ...sounds].slice(0, MAX_RECENT) };
+    });
+  } catch {
+    // unreadable history; leave it alone
+  }
+}
@@ -0,0 +1,98 @@
+import path from 'node:path';
+import { dataDir } from './config.js';
+import { readJsonIfExists } from './hooks.js';
+import { withFileLock, writeFileAtomic } from './state-file.js';
+
+/**
+ * Pick state for anything that chooses one of several sounds each time it
+ * plays (round-robin cues, sound pools), in ~/.claude-sound/rotation.json,
+ * keyed by what is rotating:
+ *
+ *   { "cue/bells": { "next": 2 }, "pool:ring1,@game": { "bag": [3, 0], "last": 1 } }
+ *
+ * Separate `play` processes share it, so updates hold rotation.lock and
+ * replace the file atomically. A file that doesn't parse is treated as
+ * empty and overwritten, so one bad write can't stop rotation for good.
+ *
+ * @typedef {import('./hooks.js').PickMode} PickMode
+ */
+
+/** @returns {string} */
+export function rotationStatePath() {
+  return path.join(dataDir(), 'rotation.json');
+}
+
+/**
+ * Current state of every key; {} when the file is missing or unreadable.
+ * @returns {Promise<Record<string, unknown>>}
+ */
+async function readRotationState() {
+  const res = await readJsonIfExists(rotationStatePath());
+  const value = res.ok ? res.value : null;
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+/**
+ * Indexes 0..count-1 in random order, not starting with `avoid` when there is a choice.
+ * @param {number} count
+ * @param {number | undefined} avoid
+ * @returns {number[]}
+ */
+function shuffledIndexes(count, avoid) {
+  const bag = Array.from({ length: count }, (_, i) => i);
+  for (let i = bag.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [bag[i], bag[j]] = [bag[j], bag[i]];
+  }
+  if (count > 1 && bag[0] === avoid) [bag[0], bag[1]] = [bag[1], bag[0]];
+  return bag;
+}
+
+/**
+ * Next state and pick for a key's current state.
+ * @param {unknown} state
+ * @param {number} count
+ * @param {PickMode} mode
+ * @returns {{ index: number; state: object | null }} state null = nothing to keep
+ */
+function advance(state, count, mode) {
+  const s = state && typeof state === 'object' ? /** @type {Record<string, unknown>} */ (state) : {};
+  if (mode === 'rotate') {
+    const next = Number.isInteger(s.next) && s.next >= 0 ? s.next % count : 0;
+    return { index: next, state: { next: (next + 1) % count } };
+  }
+  if (mode === 'shuffle') {
+    const valid = Array.isArray(s.bag) && s.bag.length > 0 && s.bag.every((i) => Number.isInteger(i) && i >= 0 && i < count);
+    const bag = valid ? [...s.bag] : shuffledIndexes(count, s.last);
+    const index = bag.shift();
+    return { index, state: { bag, last: index } };
+  }
+  return { index: Math.floor(Math.random() * count), state: null };
+}
+
+/**
+ * Pick one of `count` items for `key`.
+ * @param {string} key - what is rotating, e.g. "cue/bells"
+ * @param {number} count
+ * @param {PickMode} mode
+ * @param {object} [opts]
+ * @param {boolean} [opts.persist] - false: peek without moving on (previews)
+ * @returns {Promise<number>} 0..count-1
+ */
+export async function pickIndex(key, count, mode, { persist = true } = {}) {
+  if (count <= 1) return 0;
+  if (mode === 'random') return advance(null, count, mode).index;
+
+  if (!persist) return advance((await readRotationState())[key], count, mode).index;
+
+  return withFileLock(path.join(dataDir(), 'rotation.lock'), async () => {
+    const value = await readRotationState();
+    const picked = advance(value[key], count, mode);
+    try {
+      await writeFileAtomic(rotationStatePath(), JSON.stringify({ ...value, [key]: picked.state }, null, 2) + '\n');
+    } catch {
+      // unwritable data dir: still play this pick, the next one starts over
+    }
+    return picked.index;
+  });
+}
@@ -0,0 +1,247 @@
+import path from 'node:path';
+import {
+  HOOK_EVENTS,
+  sidecarPathForScope,
+  readJsonIfExists,
+  isValidSoundId
+} from './hooks.js';
+
+/**
+ * A rule picks a sound for a hook invocation based on the JSON payload
+ * Claude Code writes to the hook's stdin.
+ *
+ * Rules live in the claude-sound sidecar file next to each settings file
+ * (see sidecarPathForScope), e.g. .claude/claude-sound.json:
+ *
+ *   {
+ *     "rules": [
+ *       { "event": "PostToolUseFailure", "when": { "tool_name": "Bash" }, "sound": "common/error" },
+ *       { "event": "PostToolUseFailure", "when": { "tool_name": "/^(Edit|Write)$/" }, "sound": "ring8" },
+ *       { "event": "Notification", "when": { "message": "/permission/i" }, "sound": "ring5" }
+ *     ]
+ *   }
+ *
+ * - event: event name, array of names, or omitted for any event.
+ * - when: field path (dot notation, e.g. "tool_input.command") -> expected value.
+ *   Strings match exactly unless written as /pattern/flags. Arrays match any item.
+ * - sound: sound id to play instead of the hook's --sound.
+ *
+ * @typedef {string | number | boolean | null | Array<string | number | boolean | null>} RuleCondition
+ * @typedef {{ event?: string | string[]; when?: Record<string, RuleCondition>; sound: string }} SoundRule
+ */
+
+/** Scopes in lookup order: the most specific scope wins. */
+const RULE_SCOPES = ['projectLocal', 'project', 'global'];
+
+/** Max bytes read from stdin; hook payloads are small. */
+const MAX_PAYLOAD_BYTES = 1024 * 1024;
+
+/**
+ * Read the hook JSON payload from a stream (stdin by default).
+ * Returns {} when stdin is a TTY, empty, not JSON, or nothing arrives in time.
+ * @param {object} [opts]
+ * @param {NodeJS.ReadStream} [opts.stream]
+ * @param {number} [opts.timeoutMs]
+ * @returns {Promise<Record<string, unknown>>}
+ */
+export function readHookPayload({ stream = process.stdin, timeoutMs = 1000 } = {}) {
+  if (!stream || stream.isTTY) return Promise.resolve({});
+
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      stream.removeListener('data', onData);
+      stream.removeListener('end', finish);
+      stream.removeListener('error', finish);
+      stream.pause();
+      try {
+        const parsed = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+        resolve(parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {});
+      } catch {
+        resolve({});
+      }
+    };
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_PAYLOAD_BYTES) {
+        chunks.length = 0;
+        finish();
+        return;
+      }
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    };
+
+    const timer = setTimeout(finish, timeoutMs);
+    stream.on('data', onData);
+    stream.once('end', finish);
+    stream.once('error', finish);
+  });
+}
+
+/**
+ * Get a value from an object by dot path (e.g. "tool_input.command").
+ * @param {unknown} obj
+ * @param {string} fieldPath
+ * @returns {unknown}
+ */
+export function getPayloadField(obj, fieldPath) {
+  let cur = obj;
+  for (const key of fieldPath.split('.')) {
+    if (cur == null || typeof cur !== 'object') return undefined;
+    cur = /** @type {Record<string, unknown>} */ (cur)[key];
+  }
+  return cur;
+}
+
+/**
+ * Parse "/pattern/flags" into a RegExp. Returns null for plain strings or invalid patterns.
+ * @param {string} s
+ * @returns {RegExp | null}
+ */
+function parseRegexLiteral(s) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(s);
+  if (!m) return null;
+  try {
+    return new RegExp(m[1], m[2]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {unknown} actual
+ * @param {RuleCondition} expected
+ * @returns {boolean}
+ */
+function conditionMatches(actual, expected) {
+  if (Array.isArray(expected)) return expected.some((e) => conditionMatches(actual, e));
+  if (typeof expected === 'string') {
+    const re = parseRegexLiteral(expected);
+    if (re) return actual != null && typeof actual !== 'object' && re.test(String(actual));
+    return actual === expected;
+  }
+  return actual === expected;
+}
+
+/**
+ * @param {SoundRule} rule
+ * @param {string} eventName
+ * @param {Record<string, unknown>} payload
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, eventName, payload) {
+  if (rule.event != null) {
+    const events = Array.isArray(rule.event) ? rule.event : [rule.event];
+    if (!events.includes(eventName)) return false;
+  }
+  const when = rule.when && typeof rule.when === 'object' ? rule.when : {};
+  for (const [field, expected] of Object.entries(when)) {
+    if (!conditionMatches(getPayloadField(payload, field), expected)) return false;
+  }
+  return true;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isConditionValue(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Why a rule can't be used, or null.
+ * @param {unknown} rule
+ * @returns {string | null}
+ */
+export function ruleError(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'must be an object with a "sound"';
+  const { event, when, sound } = /** @type {Record<string, unknown>} */ (rule);
+  if (!isValidSoundId(sound)) return `"sound" must be a sound id, got ${JSON.stringify(sound)}`;
+  if (event != null) {
+    const unknown = (Array.isArray(event) ? event : [event]).find((e) => !HOOK_EVENTS.includes(e));
+    if (unknown !== undefined) return `unknown event ${JSON.stringify(unknown)} (see claude-sound list-events)`;
+  }
+  if (when === undefined) return null;
+  if (!when || typeof when !== 'object' || Array.isArray(when)) return '"when" must be an object of field -> value';
+  for (const [field, expected] of Object.entries(when)) {
+    const values = Array.isArray(expected) ? expected : [expected];
+    if (!values.every(isConditionValue)) return `"when.${field}" must be a string, number, boolean, null or a list of them`;
+    const badRegex = values.find((v) => typeof v === 'string' && /^\/.+\/[a-z]*$/.test(v) && !parseRegexLiteral(v));
+    if (badRegex !== undefined) return `"when.${field}": invalid pattern ${badRegex}`;
+  }
+  return null;
+}
+
+/**
+ * Keep only well-formed rules. Invalid entries are dropped so a typo in the
+ * sidecar never breaks playback; `claude-sound doctor` reports them (see
+ * rulesErrors).
+ * @param {unknown} raw
+ * @returns {SoundRule[]}
+ */
+export function normalizeRules(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((r) => !ruleError(r));
+}
+
+/**
+ * Why rules in a sidecar's "rules" are ignored, as "rules[<index>]: <why>".
+ * @param {unknown} raw
+ * @returns {string[]}
+ */
+export function rulesErrors(raw) {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) return ['"rules" must be a list'];
+  return raw.flatMap((rule, i) => {
+    const error = ruleError(rule);
+    return error ? [`rules[${i}]: ${error}`] : [];
+  });
+}
+
+/**
+ * Load rules from all scopes, most specific first.
+ * @param {string} projectDir
+ * @returns {Promise<SoundRule[]>}
+ */
+export async function loadRules(projectDir) {
+  const rules = [];
+  for (const scope of RULE_SCOPES) {
+    const res = await readJsonIfExists(sidecarPathForScope(scope, projectDir));
+    if (res.ok) rules.push(...normalizeRules(res.value?.rules));
+  }
+  return rules;
+}
+
+/**
+ * Pick the sound for a hook invocation: the first matching rule wins,
+ * otherwise the hook's own --sound.
+ * @param {SoundRule[]} rules
+ * @param {string | null} eventName
+ * @param {Record<string, unknown>} payload
+ * @param {string | null} fallbackSoundId
+ * @returns {string | null} null only when there is no rule and no fallback
+ */
+export function selectSoundForPayload(rules, eventName, payload, fallbackSoundId) {
+  if (!eventName) return fallbackSoundId;
+  const rule = rules.find((r) => ruleMatches(r, eventName, payload));
+  return rule ? rule.sound : fallbackSoundId;
+}
+
+/**
+ * Resolve the project directory for a hook invocation.
+ * Claude Code passes cwd in the payload; fall back to the process cwd.
+ * @param {Record<string, unknown>} payload
+ * @returns {string}
+ */
+export function projectDirForPayload(payload) {
+  const cwd = payload?.cwd;
+  return typeof cwd === 'string' && path.isAbsolute(cwd) ? cwd : process.cwd();
+}
@@ -1,4 +1,4 @@
-import { SelectPrompt } from '@clack/core';
+import { SelectPrompt, AutocompletePrompt } from '@clack/core';
 import {
   S_BAR,
   S_BAR_END,
@@ -11,10 +11,13 @@ import {
 import { wrapTextWithPrefix } from '@clack/core';
 import pc from 'picocolors';
 import { playSoundPreview, stopPreview } from './play.js';
+import { fuzzyMatch } from './fuzzy.js';
 
 /**
  * A select prompt that plays a sound preview when the user navigates
  * through options using keyboard up/down arrows.
+ * With `favorites`, F toggles the highlighted sound (marked ★) and
+ * `onFavoriteToggle` is called to persist it.
  *
  * @template TValue
  * @param {{
@@ -22,6 +25,8 @@ import { playSoundPreview, stopPreview } from './play.js';
  *   options: Array<{ value: TValue; label?: string; hint?: string; disabled?: boolean }>;
  *   initialValue?: TValue;
  *   maxItems?: number;
+ *   favorites?: Set<TValue>;
+ *   onFavoriteToggle?: (value: TValue, favorite: boolean) => void;
  *   output?: import('node:stream').Writable;
  *   input?: import('node:stream').Readable;
  *   signal?: AbortSignal;
@@ -30,7 +35,8 @@ import { playSoundPreview, stopPreview } from './play.js';
  */
 export function selectWithSoundPreview(opts) {
   const styleOption = (option, state) => {
-    const label = option.label ?? String(option.value);
+    const star = opts.favorites?.has(option.value) ? `${pc.yellow('★')} ` : '';
+    const label = star + (option.label ?? String(option.value));
     switch (state) {
       case 'disabled':
         return `${pc.gray(S_RADIO_INACTIVE)} ${pc.gray(label)}${option.hint ? ` ${pc.dim(`(${option.hint ?? 'disabled'})`)}` : ''}`;
@@ -108,5 +114,130 @@ export function selectWithSoundPreview(opts) {
     }
   });
 
+  if (opts.favorites) {
+    prompt.on('key', (char) => {
+      const option = prompt.options[prompt.cursor];
+      if (char !== 'f' || !option || option.disabled) return;
+      const favorite = !opts.favorites.has(option.value);
+      if (favorite) opts.favorites.add(option.value);
+      else opts.favorites.delete(option.value);
+      opts.onFavoriteToggle?.(option.value, favorite);
+    });
+  }
+
+  return prompt.prompt();
+}
+
+/**
+ * A type-ahead search over sounds. Typing filters and ranks the options by
+ * a fuzzy match on label, value and `keywords` (e.g. tags); moving the
+ * cursor with up/down plays a preview like selectWithSoundPreview.
+ *
+ * @template TValue
+ * @param {{
+ *   message: string;
+ *   options: Array<{ value: TValue; label?: string; hint?: string; keywords?: string[] }>;
+ *   placeholder?: string;
+ *   maxItems?: number;
+ *   output?: import('node:stream').Writable;
+ *   input?: import('node:stream').Readable;
+ *   signal?: AbortSignal;
+ * }} opts
+ * @returns {Promise<TValue | symbol>}
+ */
+export function searchWithSoundPreview(opts) {
+  const labelOf = (option) => option.label ?? String(option.value);
+
+  /** Options matching the query, best first; all of them for an empty query. */
+  const ranked = (query) => {
+    if (!query.trim()) return opts.options;
+    return opts.options
+      .map((option) => ({
+        option,
+        score: fuzzyMatch(query, [labelOf(option), String(option.value), ...(option.keywords ?? [])])
+      }))
+      .filter((m) => m.score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .map((m) => m.option);
+  };
+
+  let previousValue;
+  let rankedQuery = '';
+
+  const prompt = new AutocompletePrompt({
+    // Re-ranked on every keystroke; the filter below keeps whatever ranked() returns.
+    options() {
+      const query = this.userInput ?? '';
+      // AutocompletePrompt keeps the cursor on the previously focused option;
+      // dropping it when the query changes moves the cursor to the best match.
+      if (query !== rankedQuery) {
+        rankedQuery = query;
+        this.focusedValue = undefined;
+      }
+      return ranked(query);
+    },
+    filter: () => true,
+    signal: opts.signal,
+    input: opts.input,
+    output: opts.output,
+    validate: (value) => (value === undefined ? 'No matching sound' : undefined),
+    render() {
+      const startPrefix = `${symbol(this.state)}  `;
+      const barPrefix = `${symbolBar(this.state)}  `;
+      const title = wrapTextWithPrefix(opts.output, opts.message, barPrefix, startPrefix);
+      const header = `${pc.gray(S_BAR)}\n${title}\n`;
+      const focused = this.filteredOptions.find((o) => o.value === this.focusedValue);
+
+      switch (this.state) {
+        case 'submit':
+          stopPreview();
+          return `${header}${pc.gray(S_BAR)}  ${pc.dim(focused ? labelOf(focused) : '')}`;
+        case 'cancel':
+          stopPreview();
+          return `${header}${pc.gray(S_BAR)}  ${pc.strikethrough(pc.dim(this.userInput))}\n${pc.gray(S_BAR)}`;
+        default: {
+          if (this.isNavigating && this.focusedValue !== previousValue && this.focusedValue !== undefined) {
+            previousValue = this.focusedValue;
+            playSoundPreview(String(this.focusedValue));
+          }
+
+          const bar = this.state === 'error' ? pc.yellow(S_BAR) : pc.cyan(S_BAR);
+          const barLine = `${bar}  `;
+          const placeholder = !this.userInput && opts.placeholder !== undefined;
+          const input = placeholder
+            ? ` ${pc.dim(opts.placeholder)}`
+            : this.isNavigating
+              ? ` ${pc.dim(this.userInput)}`
+              : ` ${this.userInputWithCursor}`;
+          const count =
+            this.filteredOptions.length !== opts.options.length
+              ? pc.dim(` (${this.filteredOptions.length} match${this.filteredOptions.length === 1 ? '' : 'es'})`)
+              : '';
+          const lines = [`${barLine}${pc.dim('Search:')}${input}${count}`];
+          if (this.filteredOptions.length === 0 && this.userInput) lines.push(`${barLine}${pc.yellow('No matches found')}`);
+          if (this.state === 'error') lines.push(`${barLine}${pc.yellow(this.error)}`);
+          const footer = `${barLine}${pc.dim('Type to search • ↑/↓ preview • Enter to choose')}\n${pc.cyan(S_BAR_END)}\n`;
+
+          const items =
+            this.filteredOptions.length === 0
+              ? []
+              : limitOptions({
+                  output: opts.output,
+                  cursor: this.cursor,
+                  options: this.filteredOptions,
+                  maxItems: opts.maxItems,
+                  columnPadding: barLine.length,
+                  rowPadding: header.split('\n').length + lines.length + 3,
+                  style: (option, active) =>
+                    active
+                      ? `${pc.green(S_RADIO_ACTIVE)} ${labelOf(option)}${option.hint ? ` ${pc.dim(`(${option.hint})`)}` : ''}`
+                      : `${pc.dim(S_RADIO_INACTIVE)} ${pc.dim(labelOf(option))}`
+                });
+          return `${header}${lines.join('\n')}\n${items.map((i) => `${barLine}${i}`).join('\n')}${items.length ? '\n' : ''}${footer}`;
+        }
+      }
+    }
+  });
+
   return prompt.prompt();
 }
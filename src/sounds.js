@@ -2,6 +2,11 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { customSoundsDir } from './tts.js';
+import { dataDir } from './config.js';
+import { sidecarPathForScope, updateJsonFile, POOL_GROUP_PREFIX } from './hooks.js';
+import { isAudioFileName } from './audio-format.js';
+import { readInstalledPacks, packSoundId, packNameOf, PACK_PREFIX } from './packs.js';
+import { readCues, cueSoundIds, CUE_PREFIX } from './cues.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +22,12 @@ export function soundsDir() {
 /** @type {SoundPathMap | null} */
 let _soundPathCache = null;
 
+/** Installed packs, loaded with the path map. @type {import('./packs.js').InstalledPack[]} */
+let _packsCache = [];
+
+/** Cues whose sounds all exist, loaded with the path map. @type {Record<string, import('./cues.js').Cue>} */
+let _cuesCache = {};
+
 /**
  * Clear the sound path cache. Call after adding custom sounds.
  * @returns {void}
@@ -27,7 +38,8 @@ export function invalidateSoundCache() {
 
 /**
  * Build a map of sound id -> absolute file path.
- * Discovers sounds from manifest.json, subdirs (common/, game/), and custom TTS sounds.
+ * Discovers sounds from manifest.json, subdirs (common/, game/), custom TTS
+ * sounds, installed packs (pack:<name>/<id>) and cues (cue/<name>).
  * @returns {Promise<SoundPathMap>}
  */
 async function buildSoundPathMap() {
@@ -56,7 +68,7 @@ async function buildSoundPathMap() {
     try {
       const entries = await fs.readdir(dir, { withFileTypes: true });
       for (const e of entries) {
-        if (e.isFile() && (e.name.endsWith('.mp3') || e.name.endsWith('.wav'))) {
+        if (e.isFile() && isAudioFileName(e.name)) {
           const id = path.join(subdir, path.basename(e.name, path.extname(e.name)));
           map[id] = path.join(dir, e.name);
         }
@@ -71,7 +83,7 @@ async function buildSoundPathMap() {
   try {
     const entries = await fs.readdir(customDir, { withFileTypes: true });
     for (const e of entries) {
-      if (e.isFile() && (e.name.endsWith('.mp3') || e.name.endsWith('.wav'))) {
+      if (e.isFile() && isAudioFileName(e.name)) {
         const id = `custom/${path.basename(e.name, path.extname(e.name))}`;
         map[id] = path.join(customDir, e.name);
       }
@@ -80,6 +92,25 @@ async function buildSoundPathMap() {
     // dir missing or not readable
   }
 
+  // From installed packs (~/.claude-sound/packs/<name>/)
+  _packsCache = await readInstalledPacks();
+  for (const { dir, manifest } of _packsCache) {
+    for (const sound of manifest.sounds) {
+      map[packSoundId(manifest.name, sound.id)] = path.join(dir, sound.file);
+    }
+  }
+
+  // Cues (~/.claude-sound/cues.json) map to their first sound's file, for
+  // format and metadata checks; playSound plays the whole cue.
+  _cuesCache = {};
+  const { cues } = await readCues();
+  for (const [name, cue] of Object.entries(cues)) {
+    const ids = cueSoundIds(cue);
+    if (!ids.every((id) => map[id])) continue; // refers to a missing sound; see claude-sound cue list
+    map[`${CUE_PREFIX}${name}`] = map[ids[0]];
+    _cuesCache[`${CUE_PREFIX}${name}`] = cue;
+  }
+
   _soundPathCache = map;
   return map;
 }
@@ -87,42 +118,103 @@ async function buildSoundPathMap() {
 /**
  * @typedef {Record<string, string[]>} GroupedSounds
  * @typedef {Record<string, string>} SoundLabels
+ * @typedef {Record<string, string[]>} SoundTags
  */
 
 /**
- * Parse order entry: string "id" or object { id, label }.
- * @param {string|{id:string,label?:string}} entry
- * @returns {{ id: string, label?: string }}
+ * Parse order entry: string "id" or object { id, label, tags }.
+ * @param {string|{id:string,label?:string,tags?:string[]}} entry
+ * @returns {{ id: string, label?: string, tags?: string[] }}
  */
 function parseOrderEntry(entry) {
   if (typeof entry === 'string') return { id: entry };
   if (entry && typeof entry === 'object' && typeof entry.id === 'string') {
-    return { id: entry.id, label: typeof entry.label === 'string' ? entry.label : undefined };
+    return {
+      id: entry.id,
+      label: typeof entry.label === 'string' ? entry.label : undefined,
+      tags: Array.isArray(entry.tags) ? entry.tags.filter((t) => typeof t === 'string' && t) : undefined
+    };
   }
   return { id: '' };
 }
 
 /**
- * Apply custom order and labels from order.json if present.
+ * User-level order.json (same format as the bundled one). Lives outside the
+ * package, so it survives upgrades.
+ * @returns {string}
+ */
+export function userOrderPath() {
+  return path.join(dataDir(), 'order.json');
+}
+
+/**
+ * @typedef {Record<string, unknown> & { favorites?: unknown }} SoundOrder
+ */
+
+/**
+ * Read-modify-write the user order.json.
+ * @param {(order: SoundOrder) => SoundOrder} update
+ * @returns {Promise<void>}
+ * @throws {Error} if the file exists but is not valid JSON
+ */
+export async function updateUserOrder(update) {
+  await updateJsonFile(userOrderPath(), (order) =>
+    update(order && typeof order === 'object' && !Array.isArray(order) ? order : {})
+  );
+}
+
+/**
+ * Add a sound to (or remove it from) the user's favorites.
+ * @param {string} soundId
+ * @param {boolean} favorite
+ * @returns {Promise<void>}
+ * @throws {Error} if the user order.json is not valid JSON
+ */
+export async function setFavorite(soundId, favorite) {
+  await updateUserOrder((order) => {
+    const list = Array.isArray(order.favorites) ? order.favorites.filter((id) => id !== soundId) : [];
+    return { ...order, favorites: favorite ? [...list, soundId] : list };
+  });
+}
+
+/**
+ * Order files from least to most specific: the bundled order.json, the user
+ * one, and the "order" object of the project's .claude/claude-sound.json.
+ * Missing or invalid files are skipped.
+ * @param {string} projectDir
+ * @returns {Promise<SoundOrder[]>}
+ */
+async function readOrders(projectDir) {
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const readJson = async (filePath) => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch {
+      return null;
+    }
+  };
+  const project = await readJson(sidecarPathForScope('project', projectDir));
+  return [
+    await readJson(path.join(soundsDir(), 'order.json')),
+    await readJson(userOrderPath()),
+    isObject(project) ? project.order : null
+  ].filter(isObject);
+}
+
+/**
+ * Apply custom order and labels from an order.json.
  * order.json format: { "common": ["id1", { "id": "id2", "label": "My Label" }], ... }
  * Use full IDs. Unlisted sounds append at end. Add label for custom display names.
+ * Keys are group names, including packs ("pack:retro"). Entries may also
+ * carry search "tags", which replace earlier ones.
  * @param {GroupedSounds} grouped
  * @param {SoundLabels} labels
- * @param {string} base
- * @returns {Promise<void>}
+ * @param {SoundTags} tags
+ * @param {SoundOrder} order
+ * @returns {void}
  */
-async function applyCustomOrder(grouped, labels, base) {
-  const orderPath = path.join(base, 'order.json');
-  let order;
-  try {
-    const raw = await fs.readFile(orderPath, 'utf-8');
-    order = JSON.parse(raw);
-  } catch {
-    return;
-  }
-  if (!order || typeof order !== 'object') return;
-
-  for (const key of ['common', 'game', 'ring', 'custom']) {
+function applyCustomOrder(grouped, labels, tags, order) {
+  for (const key of Object.keys(grouped)) {
     const ids = grouped[key];
     if (!ids?.length) continue;
     const ordered = order[key];
@@ -131,12 +223,13 @@ async function applyCustomOrder(grouped, labels, base) {
     const idSet = new Set(ids);
     const result = [];
     for (const entry of ordered) {
-      const { id, label } = parseOrderEntry(entry);
+      const { id, label, tags: entryTags } = parseOrderEntry(entry);
       if (!id) continue;
       if (idSet.has(id)) {
         result.push(id);
         idSet.delete(id);
         if (label) labels[id] = label;
+        if (entryTags) tags[id] = entryTags;
       }
     }
     result.push(...idSet);
@@ -145,30 +238,72 @@ async function applyCustomOrder(grouped, labels, base) {
 }
 
 /**
- * @typedef {{ grouped: GroupedSounds; labels: SoundLabels }} GroupedSoundsResult
+ * @typedef {{ grouped: GroupedSounds; labels: SoundLabels; tags: SoundTags; favorites: string[] }} GroupedSoundsResult
+ */
+
+/**
+ * Groups for installed packs ("pack:<name>"), labelled from their manifests.
+ * Requires the cache to be built first, like resolveSoundPath.
+ * @returns {Array<{ value: string; label: string }>}
+ */
+export function packGroups() {
+  return _packsCache.map(({ manifest }) => ({
+    value: `${PACK_PREFIX}${manifest.name}`,
+    label: `${manifest.label ?? manifest.name} (pack)`
+  }));
+}
+
+/**
+ * Category of a pack sound from its pack's manifest, if any.
+ * @param {string} soundId
+ * @returns {string | undefined}
+ */
+export function packSoundCategory(soundId) {
+  const name = packNameOf(soundId);
+  const pack = _packsCache.find((p) => p.manifest.name === name);
+  const id = soundId.slice(soundId.indexOf('/') + 1);
+  return pack?.manifest.sounds.find((s) => s.id === id)?.category;
+}
+
+/**
+ * The group a sound id belongs to: common, game, ring, custom, cue or
+ * pack:<name>.
+ * @param {string} soundId
+ * @returns {string}
  */
+export function soundGroupOf(soundId) {
+  const pack = packNameOf(soundId);
+  if (pack) return `${PACK_PREFIX}${pack}`;
+  for (const group of ['common', 'game', 'custom']) {
+    if (soundId.startsWith(`${group}/`)) return group;
+  }
+  return soundId.startsWith(CUE_PREFIX) ? 'cue' : 'ring';
+}
 
 /**
- * List sounds grouped by category (common, game, ring).
- * Uses order.json if present for custom ordering and labels.
+ * List sounds grouped by category (common, game, ring, custom, cue, then one
+ * group per pack, keyed "pack:<name>").
+ * The bundled, user and project order files are applied in turn for custom
+ * ordering and labels; their "favorites" lists are merged, most specific first.
+ * @param {object} [opts]
+ * @param {string} [opts.projectDir] - project whose .claude/claude-sound.json is read
  * @returns {Promise<GroupedSoundsResult>}
  */
-export async function listSoundsGrouped() {
+export async function listSoundsGrouped({ projectDir = process.cwd() } = {}) {
   const map = await buildSoundPathMap();
-  const base = soundsDir();
   const grouped = /** @type {GroupedSounds} */ ({
     common: [],
     game: [],
     ring: [],
-    custom: []
+    custom: [],
+    cue: []
   });
   const labels = /** @type {SoundLabels} */ ({});
+  const tags = /** @type {SoundTags} */ ({});
 
   for (const id of Object.keys(map)) {
-    if (id.startsWith('common/')) grouped.common.push(id);
-    else if (id.startsWith('game/')) grouped.game.push(id);
-    else if (id.startsWith('custom/')) grouped.custom.push(id);
-    else grouped.ring.push(id);
+    if (id.startsWith(PACK_PREFIX)) continue;
+    grouped[soundGroupOf(id)].push(id);
   }
 
   grouped.ring.sort((a, b) => {
@@ -179,9 +314,46 @@ export async function listSoundsGrouped() {
   grouped.common.sort();
   grouped.game.sort();
 
-  await applyCustomOrder(grouped, labels, base);
+  // Packs start in manifest order, with manifest labels; category and tags become search tags.
+  for (const { manifest } of _packsCache) {
+    const ids = manifest.sounds.map((s) => packSoundId(manifest.name, s.id));
+    grouped[`${PACK_PREFIX}${manifest.name}`] = ids;
+    for (const s of manifest.sounds) {
+      const id = packSoundId(manifest.name, s.id);
+      if (s.label) labels[id] = s.label;
+      const soundTags = [s.category, ...(s.tags ?? [])].filter(Boolean);
+      if (soundTags.length > 0) tags[id] = soundTags;
+    }
+  }
+
+  // A cue's mode is searchable ("sequence", "random", ...).
+  for (const [id, cue] of Object.entries(_cuesCache)) {
+    if (cue.label) labels[id] = cue.label;
+    tags[id] = ['cue', cue.mode];
+  }
+
+  const orders = await readOrders(projectDir);
+  for (const order of orders) applyCustomOrder(grouped, labels, tags, order);
 
-  return { grouped, labels };
+  const favorites = new Set();
+  for (const order of [...orders].reverse()) {
+    if (!Array.isArray(order.favorites)) continue;
+    for (const id of order.favorites) if (typeof id === 'string' && map[id]) favorites.add(id);
+  }
+
+  return { grouped, labels, tags, favorites: [...favorites] };
+}
+
+/**
+ * Where a sound comes from: shipped with claude-sound, added by the user
+ * (TTS / import, in ~/.claude-sound/sounds/), an installed pack, or a cue.
+ * @param {string} soundId
+ * @returns {'bundled' | 'custom' | 'pack' | 'cue'}
+ */
+export function soundSource(soundId) {
+  if (soundId.startsWith(PACK_PREFIX)) return 'pack';
+  if (soundId.startsWith(CUE_PREFIX)) return 'cue';
+  return soundId.startsWith('custom/') ? 'custom' : 'bundled';
 }
 
 /**
@@ -194,7 +366,7 @@ export async function listSounds() {
 }
 
 /**
- * Resolve sound id to absolute file path.
+ * Resolve sound id to absolute file path; for a cue, its first sound's file.
  * Requires cache to be built first (call listSounds() or listSoundsGrouped()).
  * @param {string} soundId
  * @returns {string}
@@ -208,6 +380,57 @@ export function resolveSoundPath(soundId) {
   return p;
 }
 
+/**
+ * The definition of a cue id. Requires the cache to be built first, like resolveSoundPath.
+ * @param {string} soundId - cue/<name>
+ * @returns {import('./cues.js').Cue}
+ * @throws {Error} for unknown cues
+ */
+export function getCue(soundId) {
+  if (!_soundPathCache) {
+    throw new Error('Sounds not loaded. Call listSounds() or listSoundsGrouped() first.');
+  }
+  const cue = _cuesCache[soundId];
+  if (!cue) throw new Error(`Unknown sound: ${soundId}`);
+  return cue;
+}
+
+/**
+ * The sounds of a pool: its sound ids that exist, and every sound of its
+ * @<group> entries (in natural order, so ring2 comes before ring10). Each
+ * sound is listed once. Requires the cache to be built first, like resolveSoundPath.
+ * @param {string[]} pool
+ * @returns {string[]}
+ */
+export function expandPool(pool) {
+  if (!_soundPathCache) {
+    throw new Error('Sounds not loaded. Call listSounds() or listSoundsGrouped() first.');
+  }
+  const ids = Object.keys(_soundPathCache);
+  const out = new Set();
+  for (const item of pool) {
+    if (!item.startsWith(POOL_GROUP_PREFIX)) {
+      if (_soundPathCache[item]) out.add(item);
+      continue;
+    }
+    const group = item.slice(POOL_GROUP_PREFIX.length);
+    const members = ids.filter((id) => soundGroupOf(id) === group);
+    members.sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+    for (const id of members) out.add(id);
+  }
+  return [...out];
+}
+
+/**
+ * True if a pool can play a sound: it lists the id, or the id's @<group>.
+ * @param {string[] | undefined} pool
+ * @param {string} soundId
+ * @returns {boolean}
+ */
+export function poolIncludes(pool, soundId) {
+  return Boolean(pool?.includes(soundId) || pool?.includes(`${POOL_GROUP_PREFIX}${soundGroupOf(soundId)}`));
+}
+
 /**
  * Initialize sound cache. Call before resolveSoundPath if lists weren't called.
  * @returns {Promise<void>}
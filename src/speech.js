@@ -0,0 +1,217 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { dataDir } from './config.js';
+import { sidecarPathForScope, readJsonIfExists, isValidSoundId, HOOK_TIMEOUT_S } from './hooks.js';
+import { getPayloadField } from './rules.js';
+import { prepareTts, synthesizeTts, customNameError } from './tts.js';
+
+/**
+ * Speech templates: mappings that speak a phrase built from the hook payload
+ * instead of playing a fixed clip. They are defined in the claude-sound
+ * sidecar files (like rules) and mapped as sound id speech/<name>:
+ *
+ *   {
+ *     "speech": {
+ *       "tool-failed": { "template": "{tool_name} failed in {cwd_basename}", "fallback": "common/error" },
+ *       "permission": { "template": "Claude needs permission for {tool_name}", "speed": 0.8 }
+ *     }
+ *   }
+ *
+ * - template: text with {field} placeholders. A field is a payload path in dot
+ *   notation (e.g. tool_input.command) or cwd_basename, the last part of cwd.
+ *   Missing fields render as nothing.
+ * - lang, voice, speed, provider: as for `claude-sound tts`
+ * - fallback: sound played when synthesis fails or takes longer than
+ *   SPEECH_TIMEOUT_MS (default common/pop)
+ *
+ * Rendered phrases are cached in ~/.claude-sound/speech-cache/ under the
+ * content hash of the TTS request, so repeated messages don't re-synthesize.
+ *
+ * @typedef {{
+ *   template: string;
+ *   lang?: string;
+ *   voice?: string;
+ *   speed?: number;
+ *   provider?: string;
+ *   fallback?: string;
+ * }} SpeechTemplate
+ */
+
+export const SPEECH_PREFIX = 'speech/';
+
+export const DEFAULT_SPEECH_FALLBACK = 'common/pop';
+
+/** Synthesis budget: the hook timeout minus time to play the phrase. */
+export const SPEECH_TIMEOUT_MS = (HOOK_TIMEOUT_S - 2) * 1000;
+
+/** Scopes in lookup order: the most specific scope wins. */
+const SPEECH_SCOPES = ['projectLocal', 'project', 'global'];
+
+/** Payload values are cut to this length, so one long command can't drown the phrase. */
+const MAX_FIELD_LENGTH = 60;
+
+const MAX_TEMPLATE_LENGTH = 200;
+
+/** Rendered phrases kept in the cache; the least recently played go first. */
+const MAX_CACHED_PHRASES = 200;
+
+/**
+ * @param {string} soundId
+ * @returns {boolean}
+ */
+export function isSpeechId(soundId) {
+  return soundId.startsWith(SPEECH_PREFIX);
+}
+
+/** @returns {string} */
+export function speechCacheDir() {
+  return path.join(dataDir(), 'speech-cache');
+}
+
+/**
+ * Why a speech template can't be used, or null. TTS options are checked
+ * when speaking (see prepareTts).
+ * @param {unknown} t
+ * @returns {string | null}
+ */
+export function speechTemplateError(t) {
+  if (!t || typeof t !== 'object') return 'must be an object with a "template"';
+  const { template, lang, voice, speed, provider, fallback } = /** @type {Record<string, unknown>} */ (t);
+  if (typeof template !== 'string' || !template.trim()) return '"template" must be a non-empty string';
+  if (template.length > MAX_TEMPLATE_LENGTH) return `"template" must be ${MAX_TEMPLATE_LENGTH} characters or less`;
+  for (const [key, value] of Object.entries({ lang, voice, provider })) {
+    if (value !== undefined && typeof value !== 'string') return `"${key}" must be a string`;
+  }
+  if (speed !== undefined && typeof speed !== 'number') return '"speed" must be a number';
+  if (fallback !== undefined && (!isValidSoundId(fallback) || isSpeechId(String(fallback)))) {
+    return '"fallback" must be a sound id (not another speech/ id)';
+  }
+  return null;
+}
+
+/**
+ * Keep only well-formed templates under valid names; "name": "text" is short
+ * for { "template": "text" }. Invalid entries are dropped silently so a typo
+ * in the sidecar never breaks playback.
+ * @param {unknown} raw
+ * @returns {Record<string, SpeechTemplate>}
+ */
+export function normalizeSpeechTemplates(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+  /** @type {Record<string, SpeechTemplate>} */
+  const out = {};
+  for (const [name, value] of Object.entries(raw)) {
+    const t = typeof value === 'string' ? { template: value } : value;
+    if (!customNameError(name) && !speechTemplateError(t)) out[name] = t;
+  }
+  return out;
+}
+
+/**
+ * Speech templates from all scopes; a name in a more specific scope wins.
+ * @param {string} projectDir
+ * @returns {Promise<Record<string, SpeechTemplate>>}
+ */
+export async function loadSpeechTemplates(projectDir) {
+  /** @type {Record<string, SpeechTemplate>} */
+  const templates = {};
+  for (const scope of [...SPEECH_SCOPES].reverse()) {
+    const res = await readJsonIfExists(sidecarPathForScope(scope, projectDir));
+    if (res.ok) Object.assign(templates, normalizeSpeechTemplates(res.value?.speech));
+  }
+  return templates;
+}
+
+/**
+ * Fill a template from a hook payload, e.g. "{tool_name} failed" -> "Bash failed".
+ * @param {string} template
+ * @param {Record<string, unknown>} payload
+ * @returns {string}
+ */
+export function renderSpeechTemplate(template, payload) {
+  const text = template.replace(/\{([\w.]+)\}/g, (_, field) => {
+    const value =
+      field === 'cwd_basename' && typeof payload?.cwd === 'string'
+        ? path.basename(payload.cwd)
+        : getPayloadField(payload, field);
+    if (value == null || typeof value === 'object') return '';
+    return String(value).replace(/\s+/g, ' ').trim().slice(0, MAX_FIELD_LENGTH);
+  });
+  return text.replace(/\s+/g, ' ').trim().slice(0, MAX_TEMPLATE_LENGTH);
+}
+
+/**
+ * Drop the least recently used phrases beyond MAX_CACHED_PHRASES.
+ * @param {string} dir
+ * @returns {Promise<void>}
+ */
+async function pruneSpeechCache(dir) {
+  const files = [];
+  for (const name of await fs.readdir(dir)) {
+    if (name.startsWith('.')) continue;
+    try {
+      files.push({ name, mtimeMs: (await fs.stat(path.join(dir, name))).mtimeMs });
+    } catch {
+      // removed by another hook meanwhile
+    }
+  }
+  files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  for (const { name } of files.slice(MAX_CACHED_PHRASES)) {
+    await fs.rm(path.join(dir, name), { force: true });
+  }
+}
+
+/**
+ * Synthesize a phrase, or reuse the cached file for the same request.
+ * @param {string} text
+ * @param {SpeechTemplate} template - TTS options
+ * @param {number} timeout - ms
+ * @returns {Promise<string>} file path
+ * @throws {Error} if the options are invalid or synthesis fails
+ */
+async function speakToCache(text, { lang, voice, speed, provider }, timeout) {
+  const req = await prepareTts(text, { lang, voice, speed, provider });
+  const dir = speechCacheDir();
+  const file = path.join(dir, `${req.key}.${req.provider.format}`);
+  try {
+    const now = new Date();
+    await fs.utimes(file, now, now); // mark as recently used
+    return file;
+  } catch {
+    // not cached yet
+  }
+
+  const audio = await synthesizeTts(req, timeout);
+  await fs.mkdir(dir, { recursive: true });
+  // Write then rename, so a concurrent hook never plays a half-written file.
+  const tmp = path.join(dir, `.${randomUUID()}.tmp`);
+  await fs.writeFile(tmp, audio);
+  await fs.rename(tmp, file);
+  await pruneSpeechCache(dir).catch(() => {});
+  return file;
+}
+
+/**
+ * Render and synthesize a speech/<name> sound for a hook payload. Never
+ * throws: on failure the result names the fallback sound to play instead.
+ * @param {string} soundId - speech/<name>
+ * @param {Record<string, unknown>} payload
+ * @param {object} opts
+ * @param {string} opts.projectDir - where to look up the template
+ * @param {number} [opts.timeout] - synthesis budget in ms (default SPEECH_TIMEOUT_MS)
+ * @returns {Promise<{ file: string; text: string } | { fallback: string; error: string }>}
+ */
+export async function resolveSpeech(soundId, payload, { projectDir, timeout = SPEECH_TIMEOUT_MS }) {
+  const name = soundId.slice(SPEECH_PREFIX.length);
+  const template = (await loadSpeechTemplates(projectDir))[name];
+  if (!template) return { fallback: DEFAULT_SPEECH_FALLBACK, error: `No speech template "${name}"` };
+
+  const fallback = template.fallback ?? DEFAULT_SPEECH_FALLBACK;
+  const text = renderSpeechTemplate(template.template, payload);
+  try {
+    return { file: await speakToCache(text, template, timeout), text };
+  } catch (err) {
+    return { fallback, error: String(err?.message || err) };
+  }
+}
@@ -0,0 +1,66 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Small JSON state files under ~/.claude-sound shared by concurrent `play`
+ * processes (one per hook): a lock file around read-modify-write, and
+ * writes that replace the file in one step so readers never see half of it.
+ */
+
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 500;
+const LOCK_STALE_MS = 2000;
+
+/**
+ * Write text to a temp file next to `file`, then rename it over `file`.
+ * @param {string} file
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(file, text) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, text);
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Run fn while holding `lockPath` (created exclusively, removed after). If
+ * the lock can't be taken in time, fn runs anyway: a missed update beats a
+ * silent hook. Locks older than a few seconds are left over from a crash and
+ * are broken.
+ * @template T
+ * @param {string} lockPath
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withFileLock(lockPath, fn) {
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let handle = null;
+
+  while (!handle) {
+    try {
+      handle = await fs.open(lockPath, 'wx');
+    } catch (err) {
+      if (err?.code !== 'EEXIST') break;
+      try {
+        const { mtimeMs } = await fs.stat(lockPath);
+        if (Date.now() - mtimeMs > LOCK_STALE_MS) await fs.rm(lockPath, { force: true });
+      } catch {
+        // lock vanished between open and stat; retry
+      }
+      if (Date.now() > deadline) break;
+      await new Promise((r) => setTimeout(r, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    if (handle) {
+      await handle.close();
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+}
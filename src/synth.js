@@ -0,0 +1,282 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { encodeWavMono16 } from './wav.js';
+import { customSoundsDir, customNameError, findCustomFile } from './tts.js';
+
+/**
+ * Procedural tones: short melodies rendered from notes, for custom ring
+ * sounds without audio files or network. The bundled ring1..ring10 are made
+ * with the same functions (scripts/generate-sounds.mjs).
+ *
+ * Notes are written as text, separated by spaces:
+ *   "C6:0.12 -:0.04 G6:0.15"  ->  C6 for 0.12s, a 0.04s rest, G6 for 0.15s
+ * - a pitch is a frequency in Hz (880) or a note name (A5, C#6, Bb4)
+ * - ":<seconds>" sets the length (default DEFAULT_NOTE_S); "-" is a rest
+ *
+ * @typedef {'sine' | 'square' | 'triangle' | 'saw'} Waveform
+ * @typedef {{ freq: number; duration: number } | { rest: number }} ToneNote
+ * @typedef {{
+ *   notes: ToneNote[];
+ *   waveform?: Waveform;
+ *   attack?: number;
+ *   release?: number;
+ *   gap?: number;
+ * }} ToneSpec
+ *   attack/release: envelope of every note, in seconds;
+ *   gap: silence between two notes, in seconds
+ */
+
+export const SAMPLE_RATE = 44100;
+
+export const DEFAULT_NOTE_S = 0.15;
+
+export const TONE_DEFAULTS = { waveform: 'sine', attack: 0.01, release: 0.05, gap: 0.03 };
+
+/**
+ * Each waveform as a function of phase (radians), scaled so they sound
+ * roughly as loud as the sine.
+ * @type {Record<Waveform, (phase: number) => number>}
+ */
+const WAVEFORMS = {
+  sine: (p) => Math.sin(p),
+  square: (p) => (Math.sin(p) >= 0 ? 0.5 : -0.5),
+  triangle: (p) => (2 / Math.PI) * Math.asin(Math.sin(p)),
+  saw: (p) => 0.6 * (2 * ((p / (2 * Math.PI)) % 1) - 1)
+};
+
+export const WAVEFORM_NAMES = Object.keys(WAVEFORMS);
+
+const MIN_FREQ = 20;
+const MAX_FREQ = 12000;
+
+/** Longest note or rest, and longest tone; a hook gives up after a few seconds anyway. */
+const MAX_NOTE_S = 2;
+const MAX_TONE_S = 5;
+
+const MAX_NOTES = 32;
+
+/** Semitones above C of each note letter. */
+const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * 16-bit PCM mono WAV of float samples in [-1, 1].
+ * @param {{ sampleRate: number; samples: Float32Array }} audio
+ * @returns {Buffer}
+ */
+export function writeWav16Mono({ sampleRate, samples }) {
+  return encodeWavMono16(samples, sampleRate);
+}
+
+/**
+ * One note with an attack/release envelope and a slight vibrato, so it
+ * feels less like a test tone.
+ * @param {object} opts
+ * @param {number} opts.sampleRate
+ * @param {number} opts.durationSec
+ * @param {number} opts.freqHz
+ * @param {number} [opts.amp]
+ * @param {number} [opts.attackSec]
+ * @param {number} [opts.releaseSec]
+ * @param {Waveform} [opts.waveform]
+ * @returns {Float32Array}
+ */
+export function genTone({ sampleRate, durationSec, freqHz, amp = 0.35, attackSec = 0.01, releaseSec = 0.05, waveform = 'sine' }) {
+  const wave = WAVEFORMS[waveform];
+  const n = Math.floor(sampleRate * durationSec);
+  const samples = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const t = i / sampleRate;
+    const attack = Math.min(1, t / Math.max(attackSec, 1e-6));
+    const releaseStart = Math.max(0, durationSec - releaseSec);
+    const release = t >= releaseStart ? Math.max(0, (durationSec - t) / Math.max(releaseSec, 1e-6)) : 1;
+    const env = attack * release;
+
+    const vib = 1 + 0.01 * Math.sin(2 * Math.PI * 5 * t);
+    const phase = 2 * Math.PI * (freqHz * vib) * t;
+    samples[i] = amp * env * wave(phase);
+  }
+  return samples;
+}
+
+/**
+ * @param {...Float32Array} arrays
+ * @returns {Float32Array}
+ */
+export function concat(...arrays) {
+  const total = arrays.reduce((sum, a) => sum + a.length, 0);
+  const out = new Float32Array(total);
+  let o = 0;
+  for (const a of arrays) {
+    out.set(a, o);
+    o += a.length;
+  }
+  return out;
+}
+
+/**
+ * @param {number} sampleRate
+ * @param {number} durationSec
+ * @returns {Float32Array}
+ */
+export function silence(sampleRate, durationSec) {
+  return new Float32Array(Math.floor(sampleRate * durationSec));
+}
+
+/**
+ * Frequency of a pitch: Hz ("880") or a note name ("A5", "C#6", "Bb4"; A4 = 440 Hz).
+ * @param {string} pitch
+ * @returns {number | null} null if it isn't a pitch
+ */
+function parsePitch(pitch) {
+  if (/^\d+(\.\d+)?$/.test(pitch)) return Number(pitch);
+  const m = /^([A-Ga-g])([#b]?)(\d)$/.exec(pitch);
+  if (!m) return null;
+  const semitone = NOTE_OFFSETS[m[1].toUpperCase()] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0);
+  const midi = 12 * (Number(m[3]) + 1) + semitone;
+  return Math.round(440 * 2 ** ((midi - 69) / 12) * 100) / 100;
+}
+
+/**
+ * Parse notes written as text (see the module comment).
+ * @param {string} text
+ * @returns {ToneNote[]}
+ * @throws {Error} naming the first note that can't be parsed
+ */
+export function parseNotes(text) {
+  const tokens = String(text ?? '').trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) throw new Error('No notes (e.g. "C6:0.12 -:0.04 G6:0.15")');
+  return tokens.map((token) => {
+    const [pitch, length, extra] = token.split(':');
+    const duration = length === undefined ? DEFAULT_NOTE_S : Number(length);
+    if (extra !== undefined || length === '' || !Number.isFinite(duration)) {
+      throw new Error(`Invalid note "${token}" (expected <pitch>[:<seconds>], e.g. A5:0.2)`);
+    }
+    if (pitch === '-') return { rest: duration };
+    const freq = parsePitch(pitch);
+    if (freq === null) throw new Error(`Invalid pitch "${pitch}" (expected Hz or a note name such as A5, C#6, Bb4)`);
+    return { freq, duration };
+  });
+}
+
+/**
+ * Display label for a tone written as text: its pitches, e.g. "Tone C6 G6".
+ * @param {string} text
+ * @returns {string}
+ */
+export function toneLabel(text) {
+  const pitches = text
+    .trim()
+    .split(/\s+/)
+    .map((token) => token.split(':')[0])
+    .filter((pitch) => pitch && pitch !== '-');
+  return `Tone ${pitches.join(' ')}`.slice(0, 30);
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} max
+ * @returns {boolean}
+ */
+function isSeconds(value, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+}
+
+/**
+ * Length of a tone in seconds.
+ * @param {ToneSpec} spec
+ * @returns {number}
+ */
+export function toneDuration(spec) {
+  const { gap } = { ...TONE_DEFAULTS, ...spec };
+  const notes = spec.notes.filter((n) => !('rest' in n));
+  const sounding = notes.reduce((sum, n) => sum + n.duration, 0);
+  const rests = spec.notes.reduce((sum, n) => sum + ('rest' in n ? n.rest : 0), 0);
+  return sounding + rests + gap * Math.max(0, notes.length - 1);
+}
+
+/**
+ * Why a tone can't be rendered, or null.
+ * @param {ToneSpec} spec
+ * @returns {string | null}
+ */
+export function toneSpecError(spec) {
+  const { notes, waveform, attack, release, gap } = { ...TONE_DEFAULTS, ...spec };
+  if (!Array.isArray(notes) || !notes.some((n) => !('rest' in n))) return 'A tone needs at least one note';
+  if (notes.length > MAX_NOTES) return `At most ${MAX_NOTES} notes`;
+  for (const n of notes) {
+    if ('rest' in n) {
+      if (!isSeconds(n.rest, MAX_NOTE_S)) return `Rests must be 0-${MAX_NOTE_S} seconds`;
+      continue;
+    }
+    if (!(n.freq >= MIN_FREQ && n.freq <= MAX_FREQ)) return `Frequencies must be ${MIN_FREQ}-${MAX_FREQ} Hz (got ${n.freq})`;
+    if (!(isSeconds(n.duration, MAX_NOTE_S) && n.duration > 0)) return `Notes must be 0-${MAX_NOTE_S} seconds, above 0`;
+  }
+  if (!WAVEFORM_NAMES.includes(waveform)) return `Unknown waveform "${waveform}" (${WAVEFORM_NAMES.join(', ')})`;
+  for (const [name, value] of Object.entries({ attack, release, gap })) {
+    if (!isSeconds(value, MAX_NOTE_S)) return `${name} must be 0-${MAX_NOTE_S} seconds`;
+  }
+  if (toneDuration(spec) > MAX_TONE_S) return `Tones can be at most ${MAX_TONE_S} seconds long`;
+  return null;
+}
+
+/**
+ * Render a tone as a WAV file.
+ * @param {ToneSpec} spec
+ * @returns {Buffer}
+ * @throws {Error} if the spec is invalid
+ */
+export function renderTone(spec) {
+  const error = toneSpecError(spec);
+  if (error) throw new Error(error);
+  const { notes, waveform, attack, release, gap } = { ...TONE_DEFAULTS, ...spec };
+  const chunks = [];
+  let sounded = false;
+  for (const n of notes) {
+    if ('rest' in n) {
+      chunks.push(silence(SAMPLE_RATE, n.rest));
+      continue;
+    }
+    if (sounded && gap > 0) chunks.push(silence(SAMPLE_RATE, gap));
+    sounded = true;
+    chunks.push(
+      genTone({ sampleRate: SAMPLE_RATE, durationSec: n.duration, freqHz: n.freq, attackSec: attack, releaseSec: release, waveform })
+    );
+  }
+  return writeWav16Mono({ sampleRate: SAMPLE_RATE, samples: concat(...chunks) });
+}
+
+/**
+ * Render a tone and save it as a custom sound. Without outId it is named
+ * after its content (tone-<hash>), so saving the same tone twice reuses the file.
+ * @param {ToneSpec} spec
+ * @param {object} [opts]
+ * @param {string} [opts.outId] - name the sound custom/<outId>
+ * @param {boolean} [opts.force] - replace an existing custom/<outId>
+ * @returns {Promise<{ soundId: string; filePath: string; existed: boolean }>}
+ *   existed: the same tone was already saved under that name
+ * @throws {Error} for an invalid spec or name, or a taken outId (code EEXIST)
+ */
+export async function saveTone(spec, { outId, force = false } = {}) {
+  const wav = renderTone(spec);
+  if (outId !== undefined) {
+    const error = customNameError(outId);
+    if (error) throw new Error(error);
+  }
+  const name = outId ?? `tone-${createHash('sha256').update(wav).digest('hex').slice(0, 12)}`;
+  const file = `${name}.wav`;
+  const dir = customSoundsDir();
+  const filePath = path.join(dir, file);
+  const result = (existed) => ({ soundId: `custom/${name}`, filePath, existed });
+
+  const existing = await findCustomFile(name);
+  if (existing === file && (await fs.readFile(filePath)).equals(wav)) return result(true);
+  if (existing && outId !== undefined && !force) {
+    throw Object.assign(new Error(`custom/${name} already exists`), { code: 'EEXIST' });
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(filePath, wav);
+  if (existing && existing !== file) await fs.rm(path.join(dir, existing), { force: true });
+  return result(false);
+}
@@ -0,0 +1,124 @@
+import { gunzipSync } from 'node:zlib';
+
+/**
+ * Minimal tar reader for sound packs: regular files only (ustar, pax and
+ * GNU long names). Links, devices and directories are skipped, so nothing
+ * outside the archive's own files can be produced.
+ *
+ * @typedef {{ path: string; data: Buffer }} TarFile
+ */
+
+const BLOCK = 512;
+
+/**
+ * @param {Buffer} buf
+ * @param {number} start
+ * @param {number} length
+ * @returns {string}
+ */
+function readString(buf, start, length) {
+  const end = buf.indexOf(0, start);
+  return buf.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+/**
+ * Octal number field (NUL/space terminated).
+ * @param {Buffer} buf
+ * @param {number} start
+ * @param {number} length
+ * @returns {number}
+ * @throws {Error} for base-256 (huge) or garbled sizes
+ */
+function readOctal(buf, start, length) {
+  if (buf[start] & 0x80) throw new Error('Archive entry is too large');
+  const text = readString(buf, start, length).trim();
+  if (!/^[0-7]*$/.test(text)) throw new Error('Corrupt tar header');
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Records of a pax extended header: "<len> key=value\n".
+ * @param {Buffer} data
+ * @returns {Record<string, string>}
+ */
+function parsePax(data) {
+  /** @type {Record<string, string>} */
+  const out = {};
+  let pos = 0;
+  while (pos < data.length) {
+    const space = data.indexOf(0x20, pos);
+    if (space === -1) break;
+    const len = parseInt(data.toString('ascii', pos, space), 10);
+    if (!(len > 0)) break;
+    const record = data.toString('utf8', space + 1, pos + len - 1);
+    const eq = record.indexOf('=');
+    if (eq !== -1) out[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += len;
+  }
+  return out;
+}
+
+/**
+ * True if a header block's checksum matches.
+ * @param {Buffer} header
+ * @returns {boolean}
+ */
+function checksumOk(header) {
+  const expected = readOctal(header, 148, 8);
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  return sum === expected;
+}
+
+/**
+ * Read the regular files of a tar archive (gzip-compressed or not).
+ * @param {Buffer} archive
+ * @param {object} [limits]
+ * @param {number} [limits.maxBytes] - cap on the uncompressed size
+ * @returns {TarFile[]}
+ * @throws {Error} if the archive is corrupt or over the limit
+ */
+export function readTar(archive, { maxBytes = 100 * 1024 * 1024 } = {}) {
+  const buf =
+    archive[0] === 0x1f && archive[1] === 0x8b ? gunzipSync(archive, { maxOutputLength: maxBytes }) : archive;
+  if (buf.length > maxBytes) throw new Error('Archive is too large');
+
+  /** @type {TarFile[]} */
+  const files = [];
+  /** @type {string | null} */
+  let longName = null;
+  /** @type {Record<string, string>} */
+  let pax = {};
+
+  for (let pos = 0; pos + BLOCK <= buf.length; ) {
+    const header = buf.subarray(pos, pos + BLOCK);
+    if (header.every((b) => b === 0)) break; // end-of-archive marker
+    if (!checksumOk(header)) throw new Error('Not a tar archive (bad header checksum)');
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = pos + BLOCK;
+    if (dataStart + size > buf.length) throw new Error('Truncated tar archive');
+    const data = buf.subarray(dataStart, dataStart + size);
+    pos = dataStart + Math.ceil(size / BLOCK) * BLOCK;
+
+    if (type === 'x') {
+      pax = parsePax(data);
+      continue;
+    }
+    if (type === 'L') {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const prefix = header.toString('ascii', 257, 262) === 'ustar' ? readString(header, 345, 155) : '';
+    const name = readString(header, 0, 100);
+    const entryPath = pax.path ?? longName ?? (prefix ? `${prefix}/${name}` : name);
+    longName = null;
+    pax = {};
+
+    if (type === '0' || type === '7') files.push({ path: entryPath, data });
+  }
+  return files;
+}
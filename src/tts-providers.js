@@ -0,0 +1,290 @@
+import { execFile, execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import { platform, tmpdir } from 'node:os';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { findExecutable } from './play.js';
+import { encodeWavMono16 } from './wav.js';
+
+/**
+ * Text-to-speech providers, auto-detected in this order:
+ * - say: macOS built-in voices (offline)
+ * - espeak-ng: eSpeak NG, many languages (offline)
+ * - pico2wave: SVOX Pico, a handful of languages (offline)
+ * - festival: Festival's text2wave, English (offline)
+ * - google: Google Translate TTS, any language (network; the text is sent to Google)
+ * - mock: a beep whose length follows the text; only used when chosen, for tests
+ *
+ * @typedef {{ lang: string; voice?: string; speed: number; timeout: number }} TtsOptions
+ *   speed: rate factor, 1 = the engine's normal speed
+ * @typedef {{
+ *   name: string;
+ *   label: string;
+ *   local: boolean;
+ *   auto: boolean;
+ *   format: 'mp3' | 'wav';
+ *   speed: 'rate' | 'slow' | null;
+ *   voices: boolean;
+ *   check: () => boolean;
+ *   langError: (lang: string) => string | null;
+ *   synthesize: (text: string, opts: TtsOptions) => Promise<Buffer>;
+ * }} TtsProvider
+ *   local: runs on this machine (works offline, text stays here);
+ *   speed: 'rate' = any factor, 'slow' = normal or slow only, null = fixed;
+ *   voices: accepts a voice name (say: a macOS voice, espeak-ng: a variant such as f3,
+ *     festival: a voice such as kal_diphone);
+ *   langError: why a language can't be spoken, or null
+ */
+
+const GOOGLE_TTS_URL = 'https://translate.google.com/translate_tts';
+const USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/** Normal speaking rate of say and espeak-ng, in words per minute. */
+const BASE_WPM = 175;
+
+/** Google's slow mode, as used by the Translate web UI. */
+const GOOGLE_SLOW_SPEED = '0.24';
+
+/** Languages SVOX Pico ships voices for, by primary language code. */
+const PICO_LANGS = { en: 'en-US', de: 'de-DE', es: 'es-ES', fr: 'fr-FR', it: 'it-IT' };
+
+/**
+ * Primary subtag of a language code, lowercase ("en-GB" -> "en").
+ * @param {string} lang
+ * @returns {string}
+ */
+function primaryLang(lang) {
+  return lang.toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Fetch TTS audio from Google Translate (free, no API key).
+ * Uses the undocumented translate_tts endpoint. Max ~200 chars per request.
+ * @param {string} text
+ * @param {TtsOptions} opts
+ * @returns {Promise<Buffer>}
+ */
+async function fetchGoogleTts(text, { lang, speed, timeout }) {
+  const url = new URL(GOOGLE_TTS_URL);
+  url.searchParams.set('ie', 'UTF-8');
+  url.searchParams.set('tl', lang);
+  url.searchParams.set('client', 'tw-ob');
+  url.searchParams.set('q', text);
+  if (speed < 1) url.searchParams.set('ttsspeed', GOOGLE_SLOW_SPEED);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const res = await fetch(url.toString(), {
+      headers: { 'User-Agent': USER_AGENT },
+      signal: controller.signal
+    });
+
+    if (!res.ok) {
+      throw new Error(`TTS request failed: ${res.status} ${res.statusText}`);
+    }
+
+    return Buffer.from(await res.arrayBuffer());
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Run an engine that writes a WAV file, and return the file's contents.
+ * The text goes through stdin (or args built by the caller), never a shell.
+ * @param {string} command
+ * @param {(outFile: string) => string[]} args
+ * @param {object} opts
+ * @param {string} [opts.input] - written to stdin
+ * @param {number} opts.timeout
+ * @returns {Promise<Buffer>}
+ */
+async function synthesizeToWav(command, args, { input, timeout }) {
+  const outFile = path.join(tmpdir(), `claude-sound-tts-${randomUUID()}.wav`);
+  try {
+    await new Promise((resolve, reject) => {
+      const child = execFile(command, args(outFile), { timeout, windowsHide: true }, (err, _stdout, stderr) => {
+        if (err) {
+          const detail = String(stderr || '').trim().split('\n')[0];
+          reject(new Error(`${command} failed${detail ? `: ${detail}` : err.killed ? ' (timed out)' : ''}`));
+        } else {
+          resolve(undefined);
+        }
+      });
+      child.stdin?.end(input ?? '');
+    });
+    const buf = await fs.readFile(outFile);
+    if (buf.length <= 44) throw new Error(`${command} produced no audio`);
+    return buf;
+  } finally {
+    await fs.rm(outFile, { force: true });
+  }
+}
+
+/** @type {{ name: string; lang: string; locale: string }[] | undefined} */
+let _sayVoices;
+
+/**
+ * Installed macOS voices, from `say -v ?` ("Kyoko  ja_JP  # ..."). Read once.
+ * @returns {{ name: string; lang: string; locale: string }[]}
+ */
+function sayVoices() {
+  if (!_sayVoices) {
+    let list = '';
+    try {
+      list = execFileSync('say', ['-v', '?'], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch {
+      // no voices
+    }
+    _sayVoices = list
+      .split('\n')
+      .map((line) => line.match(/^(.+?)\s+([a-z]{2,3})[_-]([A-Za-z0-9]+)\s+#/))
+      .filter(Boolean)
+      .map((m) => ({ name: m[1].trim(), lang: m[2].toLowerCase(), locale: `${m[2]}-${m[3]}`.toLowerCase() }));
+  }
+  return _sayVoices;
+}
+
+/**
+ * The macOS voice for a language, preferring an exact locale match.
+ * English uses the system default voice (null).
+ * @param {string} lang
+ * @returns {string | null | undefined} undefined if no installed voice speaks it
+ */
+function sayVoice(lang) {
+  if (primaryLang(lang) === 'en') return null;
+  const voices = sayVoices();
+  const exact = voices.find((v) => v.locale === lang.toLowerCase().replace('_', '-'));
+  return (exact ?? voices.find((v) => v.lang === primaryLang(lang)))?.name;
+}
+
+/**
+ * Mock speech: a quiet 660 Hz beep, 0.2 s plus 20 ms per character
+ * (at most 2 s), stretched by the speed. Deterministic, so tests can compare output.
+ * @param {string} text
+ * @param {number} speed
+ * @returns {Buffer}
+ */
+function mockSpeech(text, speed) {
+  const rate = 16000;
+  const seconds = Math.min(2, 0.2 + text.length * 0.02) / speed;
+  const samples = new Float32Array(Math.round(rate * seconds));
+  for (let i = 0; i < samples.length; i++) samples[i] = 0.2 * Math.sin((2 * Math.PI * 660 * i) / rate);
+  return encodeWavMono16(samples, rate);
+}
+
+/** @type {TtsProvider[]} */
+export const TTS_PROVIDERS = [
+  {
+    name: 'say',
+    label: 'macOS say',
+    local: true,
+    auto: true,
+    format: 'wav',
+    speed: 'rate',
+    voices: true,
+    check: () => platform() === 'darwin' && findExecutable('say'),
+    langError: (lang) => (sayVoice(lang) === undefined ? `No macOS voice installed for "${lang}"` : null),
+    synthesize: (text, { lang, voice = sayVoice(lang), speed, timeout }) =>
+      synthesizeToWav(
+        'say',
+        (out) => [
+          ...(voice ? ['-v', voice] : []),
+          '-r',
+          String(Math.round(BASE_WPM * speed)),
+          '--file-format=WAVE',
+          '--data-format=LEI16@22050',
+          '-o',
+          out,
+          '-f',
+          '-'
+        ],
+        { input: text, timeout }
+      )
+  },
+  {
+    name: 'espeak-ng',
+    label: 'eSpeak NG',
+    local: true,
+    auto: true,
+    format: 'wav',
+    speed: 'rate',
+    voices: true,
+    check: () => findExecutable('espeak-ng'),
+    langError: () => null, // espeak-ng reports unknown voices itself
+    synthesize: (text, { lang, voice, speed, timeout }) =>
+      synthesizeToWav(
+        'espeak-ng',
+        (out) => [
+          '-v',
+          voice ? `${lang.toLowerCase()}+${voice}` : lang.toLowerCase(),
+          '-s',
+          String(Math.round(BASE_WPM * speed)),
+          '-w',
+          out,
+          '--stdin'
+        ],
+        { input: text, timeout }
+      )
+  },
+  {
+    name: 'pico2wave',
+    label: 'SVOX Pico',
+    local: true,
+    auto: true,
+    format: 'wav',
+    speed: null,
+    voices: false,
+    check: () => findExecutable('pico2wave'),
+    langError: (lang) =>
+      PICO_LANGS[primaryLang(lang)] ? null : `pico2wave speaks only ${Object.keys(PICO_LANGS).join(', ')}`,
+    synthesize: (text, { lang, timeout }) => {
+      // Keep a regional variant Pico has (en-GB), otherwise use its default for the language.
+      const picoLang = lang.toLowerCase() === 'en-gb' ? 'en-GB' : PICO_LANGS[primaryLang(lang)];
+      return synthesizeToWav('pico2wave', (out) => ['-l', picoLang, '-w', out, '--', text], { timeout });
+    }
+  },
+  {
+    name: 'festival',
+    label: 'Festival',
+    local: true,
+    auto: true,
+    format: 'wav',
+    speed: null,
+    voices: true,
+    check: () => findExecutable('text2wave'),
+    langError: (lang) => (primaryLang(lang) === 'en' ? null : 'Festival speaks only English here'),
+    synthesize: (text, { voice, timeout }) =>
+      synthesizeToWav('text2wave', (out) => [...(voice ? ['-eval', `(voice_${voice})`] : []), '-o', out], {
+        input: text,
+        timeout
+      })
+  },
+  {
+    name: 'google',
+    label: 'Google Translate TTS',
+    local: false,
+    auto: true,
+    format: 'mp3',
+    speed: 'slow',
+    voices: false,
+    check: () => true,
+    langError: () => null,
+    synthesize: (text, opts) => fetchGoogleTts(text, opts)
+  },
+  {
+    name: 'mock',
+    label: 'Mock (beep, for tests)',
+    local: true,
+    auto: false,
+    format: 'wav',
+    speed: 'rate',
+    voices: false,
+    check: () => true,
+    langError: () => null,
+    synthesize: async (text, { speed }) => mockSpeech(text, speed)
+  }
+];
@@ -1,12 +1,64 @@
 import path from 'node:path';
 import fs from 'node:fs/promises';
 import os from 'node:os';
+import { createHash } from 'node:crypto';
+import { readConfig, dataDir } from './config.js';
+import { readJsonIfExists, updateJsonFile } from './hooks.js';
+import { TTS_PROVIDERS } from './tts-providers.js';
 
 const CUSTOM_SOUNDS_DIR = path.join(os.homedir(), '.claude-sound', 'sounds');
 
-const GOOGLE_TTS_URL = 'https://translate.google.com/translate_tts';
-const USER_AGENT =
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+/** Names of custom sounds (custom/<name>): lowercase letters, digits, _ and -. */
+const SAFE_CUSTOM_NAME = /^[a-z0-9][a-z0-9_-]{0,59}$/;
+
+/** Voice names passed to an engine: letters, digits, spaces and . _ + - */
+const SAFE_VOICE = /^[A-Za-z0-9][\w .+-]{0,39}$/;
+
+/** Speed factor for "slow" speech (--slow). */
+export const SLOW_SPEED = 0.7;
+
+const MIN_SPEED = 0.5;
+const MAX_SPEED = 2;
+
+/**
+ * Languages offered by the setup UI. Any other code the provider knows works too.
+ * @type {{ code: string; label: string; example?: string }[]}
+ */
+export const TTS_LANGUAGES = [
+  { code: 'en', label: 'English', example: 'Claude is ready!' },
+  { code: 'en-GB', label: 'English (UK)', example: 'Claude is ready!' },
+  { code: 'ko', label: 'Korean (한국어)', example: '클로드가 준비됐어요!' },
+  { code: 'ja', label: 'Japanese (日本語)', example: 'クロードの準備ができました！' },
+  { code: 'zh-CN', label: 'Chinese, Simplified (简体中文)', example: 'Claude 准备好了！' },
+  { code: 'zh-TW', label: 'Chinese, Traditional (繁體中文)' },
+  { code: 'es', label: 'Spanish (Español)', example: '¡Claude está listo!' },
+  { code: 'fr', label: 'French (Français)', example: 'Claude est prêt !' },
+  { code: 'de', label: 'German (Deutsch)', example: 'Claude ist bereit!' },
+  { code: 'it', label: 'Italian (Italiano)', example: 'Claude è pronto!' },
+  { code: 'pt', label: 'Portuguese (Português)' },
+  { code: 'pt-BR', label: 'Portuguese, Brazil (Português do Brasil)' },
+  { code: 'nl', label: 'Dutch (Nederlands)' },
+  { code: 'sv', label: 'Swedish (Svenska)' },
+  { code: 'da', label: 'Danish (Dansk)' },
+  { code: 'nb', label: 'Norwegian (Norsk bokmål)' },
+  { code: 'fi', label: 'Finnish (Suomi)' },
+  { code: 'pl', label: 'Polish (Polski)' },
+  { code: 'cs', label: 'Czech (Čeština)' },
+  { code: 'hu', label: 'Hungarian (Magyar)' },
+  { code: 'ro', label: 'Romanian (Română)' },
+  { code: 'el', label: 'Greek (Ελληνικά)' },
+  { code: 'tr', label: 'Turkish (Türkçe)' },
+  { code: 'ru', label: 'Russian (Русский)' },
+  { code: 'uk', label: 'Ukrainian (Українська)' },
+  { code: 'ar', label: 'Arabic (العربية)' },
+  { code: 'he', label: 'Hebrew (עברית)' },
+  { code: 'hi', label: 'Hindi (हिन्दी)' },
+  { code: 'bn', label: 'Bengali (বাংলা)' },
+  { code: 'th', label: 'Thai (ไทย)' },
+  { code: 'vi', label: 'Vietnamese (Tiếng Việt)' },
+  { code: 'id', label: 'Indonesian (Bahasa Indonesia)' },
+  { code: 'ms', label: 'Malay (Bahasa Melayu)' }
+];
 
 /**
  * Get the directory for custom TTS sounds.
@@ -31,26 +83,20 @@ function slugify(text) {
 }
 
 /**
- * Generate a short hash for uniqueness.
- * @param {string} s
- * @returns {string}
+ * Why a custom sound name can't be used, or null.
+ * @param {string} name - without the custom/ prefix
+ * @returns {string | null}
  */
-function shortHash(s) {
-  let h = 0;
-  for (let i = 0; i < s.length; i++) {
-    h = (h * 31 + s.charCodeAt(i)) >>> 0;
-  }
-  return Math.abs(h).toString(36).slice(0, 6);
+export function customNameError(name) {
+  return SAFE_CUSTOM_NAME.test(name)
+    ? null
+    : `Invalid name ${JSON.stringify(name)} (lowercase letters, digits, _ and -; max 60)`;
 }
 
 /**
- * Fetch TTS audio from Google Translate (free, no API key).
- * Uses the undocumented translate_tts endpoint. Max ~200 chars per request.
- * @param {string} text
- * @param {object} [opts]
- * @param {string} [opts.lang]
- * @param {number} [opts.timeout]
- * @returns {Promise<ArrayBuffer>}
+ * Normalise a language code; anything malformed falls back to English.
+ * @param {unknown} lang
+ * @returns {string}
  */
 function validateLang(lang) {
   if (typeof lang !== 'string' || lang.length < 2 || lang.length > 10) {
@@ -62,68 +108,226 @@ function validateLang(lang) {
   return lang;
 }
 
-async function fetchGoogleTts(text, { lang = 'en', timeout = 15000 } = {}) {
-  const safeLang = validateLang(lang);
-  const url = new URL(GOOGLE_TTS_URL);
-  url.searchParams.set('ie', 'UTF-8');
-  url.searchParams.set('tl', safeLang);
-  url.searchParams.set('client', 'tw-ob');
-  url.searchParams.set('q', text);
+/**
+ * @typedef {{ name: string; label: string; local: boolean; available: boolean }} TtsProviderInfo
+ */
+
+/**
+ * All TTS providers and whether they can run here, in auto-detection order.
+ * @returns {TtsProviderInfo[]}
+ */
+export function detectTtsProviders() {
+  return TTS_PROVIDERS.map((p) => ({ name: p.name, label: p.label, local: p.local, available: p.check() }));
+}
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+/**
+ * The TTS provider the user chose: CLAUDE_SOUND_TTS, else config `tts`.
+ * @param {import('./config.js').UserConfig} config
+ * @returns {string | undefined} undefined = auto-detect
+ */
+export function preferredTtsProvider(config) {
+  const name = process.env.CLAUDE_SOUND_TTS || config.tts;
+  return name && name !== 'auto' ? name : undefined;
+}
 
+/**
+ * Resolve a provider by name, or auto-detect the first available one
+ * (local engines first, then Google; mock is never auto-detected).
+ * @param {string} [name]
+ * @returns {import('./tts-providers.js').TtsProvider}
+ * @throws {Error} for unknown or unavailable providers
+ */
+export function getTtsProvider(name) {
+  if (name) {
+    const provider = TTS_PROVIDERS.find((p) => p.name === name);
+    if (!provider) {
+      throw new Error(`Unknown TTS provider '${name}' (expected one of: ${TTS_PROVIDERS.map((p) => p.name).join(', ')})`);
+    }
+    if (!provider.check()) throw new Error(`TTS provider '${name}' is not installed`);
+    return provider;
+  }
+  const provider = TTS_PROVIDERS.find((p) => p.auto && p.check());
+  if (!provider) throw new Error('No TTS provider available');
+  return provider;
+}
+
+/** @returns {string} */
+export function ttsCachePath() {
+  return path.join(dataDir(), 'tts-cache.json');
+}
+
+/**
+ * Cache key of a phrase: everything that changes the audio.
+ * @param {{ provider: string; text: string; lang: string; voice?: string; speed: number }} params
+ * @returns {string} sha256 hex
+ */
+function ttsCacheKey({ provider, text, lang, voice, speed }) {
+  return createHash('sha256')
+    .update(JSON.stringify([provider, text, lang.toLowerCase(), voice ?? '', speed]))
+    .digest('hex');
+}
+
+/**
+ * File name of a custom sound with this name, whatever its extension.
+ * @param {string} name
+ * @returns {Promise<string | undefined>}
+ */
+export async function findCustomFile(name) {
   try {
-    const res = await fetch(url.toString(), {
-      headers: { 'User-Agent': USER_AGENT },
-      signal: controller.signal
+    return (await fs.readdir(customSoundsDir())).find((f) => path.parse(f).name === name);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * The generated file cached for a key, if it is still there.
+ * The cache (tts-cache.json) maps keys to file names in the custom sounds directory:
+ *
+ *   { "files": { "<sha256>": "build-done.wav" } }
+ *
+ * @param {string} key
+ * @returns {Promise<string | undefined>}
+ */
+async function cachedTtsFile(key) {
+  const res = await readJsonIfExists(ttsCachePath());
+  const file = res.ok ? res.value?.files?.[key] : undefined;
+  if (typeof file !== 'string' || path.basename(file) !== file) return undefined;
+  return (await findCustomFile(path.parse(file).name)) === file ? file : undefined;
+}
+
+/**
+ * Record a generated file under its key. Other keys that named the same file
+ * (it was replaced) are dropped. Failures are ignored: the cache is an optimisation.
+ * @param {string} key
+ * @param {string} file
+ * @returns {Promise<void>}
+ */
+async function recordTtsFile(key, file) {
+  try {
+    await updateJsonFile(ttsCachePath(), (value) => {
+      const files = Object.fromEntries(
+        Object.entries(value?.files && typeof value.files === 'object' ? value.files : {}).filter(([, f]) => f !== file)
+      );
+      return { ...value, files: { ...files, [key]: file } };
     });
+  } catch {
+    // unreadable cache; leave it alone
+  }
+}
 
-    if (!res.ok) {
-      throw new Error(`TTS request failed: ${res.status} ${res.statusText}`);
-    }
+/**
+ * A validated TTS request: the provider to use and everything that shapes the audio.
+ * @typedef {{
+ *   provider: import('./tts-providers.js').TtsProvider;
+ *   text: string;
+ *   lang: string;
+ *   voice?: string;
+ *   speed: number;
+ *   key: string;
+ * }} TtsRequest
+ *   key: content hash of the request, for caching
+ */
+
+/**
+ * Validate text and options, and resolve the provider.
+ * @param {string} text
+ * @param {{ lang?: string; voice?: string; speed?: number; provider?: string }} [opts]
+ *   provider: name (default: the user's choice, else auto-detect)
+ * @returns {Promise<TtsRequest>}
+ * @throws {Error} for empty or long text, invalid options, or an unusable provider
+ */
+export async function prepareTts(text, opts = {}) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new Error('Text cannot be empty');
+  }
+
+  if (trimmed.length > 200) {
+    throw new Error('Text must be 200 characters or less');
+  }
+
+  const provider = getTtsProvider(opts.provider ?? preferredTtsProvider(await readConfig()));
+  const lang = validateLang(opts.lang ?? 'en');
+  if (opts.lang !== undefined && lang !== opts.lang) throw new Error(`Invalid language code: ${opts.lang}`);
+  const langError = provider.langError(lang);
+  if (langError) throw new Error(langError);
 
-    return await res.arrayBuffer();
-  } finally {
-    clearTimeout(timeoutId);
+  const { voice, speed = 1 } = opts;
+  if (voice !== undefined) {
+    if (!provider.voices) throw new Error(`${provider.label} has no voice choice`);
+    if (!SAFE_VOICE.test(voice)) throw new Error(`Invalid voice: ${JSON.stringify(voice)}`);
   }
+  if (!Number.isFinite(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+    throw new Error(`Speed must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+  }
+  if (speed !== 1 && !provider.speed) throw new Error(`${provider.label} can't change the speed`);
+  if (speed > 1 && provider.speed === 'slow') throw new Error(`${provider.label} only speaks at normal or slow speed`);
+
+  const key = ttsCacheKey({ provider: provider.name, text: trimmed, lang, voice, speed });
+  return { provider, text: trimmed, lang, voice, speed, key };
+}
+
+/**
+ * Run a prepared request through its provider.
+ * @param {TtsRequest} req
+ * @param {number} [timeout] - ms (default 15 s)
+ * @returns {Promise<Buffer>} audio in the provider's format
+ */
+export function synthesizeTts({ provider, text, lang, voice, speed }, timeout) {
+  return provider.synthesize(text, { lang, voice, speed, timeout: timeout > 0 ? timeout : 15000 });
 }
 
 /**
  * Generate TTS audio from text and save to custom sounds directory.
- * Uses Google Translate TTS (free, no API key). Requires network.
+ * The same text, language, voice, speed and provider reuse the earlier file
+ * (see ttsCachePath) instead of synthesizing again.
  * @param {string} text - Text to speak
  * @param {object} [opts]
  * @param {string} [opts.lang] - Language code (default: 'en')
- * @returns {Promise<{ soundId: string; filePath: string }>}
+ * @param {string} [opts.voice] - provider-specific voice (see TtsProvider voices)
+ * @param {number} [opts.speed] - rate factor 0.5-2 (default 1) where the provider allows it
+ * @param {string} [opts.provider] - provider name (default: the user's choice, else auto-detect)
+ * @param {string} [opts.outId] - name the sound custom/<outId> instead of after the text
+ * @param {boolean} [opts.force] - replace an existing custom/<outId>
+ * @param {number} [opts.timeout] - ms
+ * @returns {Promise<{ soundId: string; filePath: string; provider: string; cached: boolean }>}
+ * @throws {Error} for invalid options, a taken outId, or when the provider fails
  */
 export async function generateTts(text, opts = {}) {
-  const trimmed = text.trim();
-  if (!trimmed) {
-    throw new Error('Text cannot be empty');
-  }
+  const req = await prepareTts(text, opts);
+  const { provider, key } = req;
 
-  if (trimmed.length > 200) {
-    throw new Error('Text must be 200 characters or less (Google TTS limit)');
+  if (opts.outId !== undefined) {
+    const error = customNameError(opts.outId);
+    if (error) throw new Error(error);
   }
 
   const dir = customSoundsDir();
   await fs.mkdir(dir, { recursive: true });
 
-  const baseSlug = slugify(trimmed);
-  const unique = `${baseSlug}-${shortHash(trimmed)}`;
-  const filePath = path.join(dir, `${unique}.mp3`);
-
-  const timeoutMs = typeof opts.timeout === 'number' && opts.timeout > 0 ? opts.timeout : 15000;
-  const arrayBuffer = await fetchGoogleTts(trimmed, {
-    lang: opts.lang ?? 'en',
-    timeout: timeoutMs
-  });
-  const buffer = Buffer.from(arrayBuffer);
-  await fs.writeFile(filePath, buffer);
-
-  return {
-    soundId: `custom/${unique}`,
-    filePath
-  };
+  // Named after the key, so different phrases never share a file.
+  const name = opts.outId ?? `${slugify(req.text)}-${key.slice(0, 12)}`;
+  const file = `${name}.${provider.format}`;
+  const filePath = path.join(dir, file);
+  const result = (cached) => ({ soundId: `custom/${name}`, filePath, provider: provider.name, cached });
+
+  const cachedFile = await cachedTtsFile(key);
+  const existing = await findCustomFile(name);
+  if (cachedFile && !opts.outId) {
+    return { ...result(true), soundId: `custom/${path.parse(cachedFile).name}`, filePath: path.join(dir, cachedFile) };
+  }
+  if (existing === file && (cachedFile === file || !opts.outId)) return result(true);
+  if (existing && opts.outId && !opts.force) {
+    throw Object.assign(new Error(`custom/${name} already exists`), { code: 'EEXIST' });
+  }
+
+  if (cachedFile) {
+    await fs.copyFile(path.join(dir, cachedFile), filePath);
+  } else {
+    await fs.writeFile(filePath, await synthesizeTts(req, opts.timeout));
+  }
+  if (existing && existing !== file) await fs.rm(path.join(dir, existing), { force: true });
+  await recordTtsFile(key, file);
+  return result(Boolean(cachedFile));
 }
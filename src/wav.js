@@ -0,0 +1,310 @@
+/**
+ * Minimal RIFF/WAVE helpers: parse the header, trim, and rewrite PCM samples.
+ * Used where a player has no flag for volume/trim/fade (aplay, PowerShell SoundPlayer),
+ * to decode PCM for the built-in sinks (native-sinks.js), and to encode generated audio.
+ */
+
+/** WAVE_FORMAT_PCM and WAVE_FORMAT_IEEE_FLOAT; WAVE_FORMAT_EXTENSIBLE carries one of these in its sub-format. */
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * @typedef {{
+ *   format: number;
+ *   channels: number;
+ *   sampleRate: number;
+ *   bitsPerSample: number;
+ *   blockAlign: number;
+ *   dataOffset: number;
+ *   dataLength: number;
+ * }} WavInfo
+ */
+
+/**
+ * Parse a WAV header. Returns null if buf isn't a WAV file we understand.
+ * @param {Buffer} buf
+ * @returns {WavInfo | null}
+ */
+export function parseWav(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  /** @type {Partial<WavInfo>} */
+  const info = {};
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && body + 16 <= buf.length) {
+      info.format = buf.readUInt16LE(body);
+      info.channels = buf.readUInt16LE(body + 2);
+      info.sampleRate = buf.readUInt32LE(body + 4);
+      info.blockAlign = buf.readUInt16LE(body + 12);
+      info.bitsPerSample = buf.readUInt16LE(body + 14);
+      if (info.format === FORMAT_EXTENSIBLE && size >= 40 && body + 26 <= buf.length) {
+        info.format = buf.readUInt16LE(body + 24);
+      }
+    } else if (id === 'data') {
+      info.dataOffset = body;
+      // Some writers leave size 0 / 0xFFFFFFFF for streams; clamp to the file.
+      info.dataLength = Math.min(size, buf.length - body);
+      break;
+    }
+
+    // Chunks are word-aligned.
+    offset = body + size + (size % 2);
+  }
+
+  if (info.format == null || info.dataOffset == null || !info.channels || !info.bitsPerSample) return null;
+  return /** @type {WavInfo} */ (info);
+}
+
+/**
+ * True if the sample format is one rewriteSamples can handle.
+ * @param {WavInfo} info
+ * @returns {boolean}
+ */
+export function isEditableWav(info) {
+  if (info.format === FORMAT_PCM) return [8, 16, 24, 32].includes(info.bitsPerSample);
+  if (info.format === FORMAT_FLOAT) return info.bitsPerSample === 32;
+  return false;
+}
+
+/**
+ * Read one sample as a float in [-1, 1].
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @param {WavInfo} info
+ * @returns {number}
+ */
+function readSample(buf, pos, info) {
+  if (info.format === FORMAT_FLOAT) return buf.readFloatLE(pos);
+  switch (info.bitsPerSample) {
+    case 8:
+      return (buf.readUInt8(pos) - 128) / 128;
+    case 16:
+      return buf.readInt16LE(pos) / 32768;
+    case 24:
+      return buf.readIntLE(pos, 3) / 8388608;
+    default:
+      return buf.readInt32LE(pos) / 2147483648;
+  }
+}
+
+/**
+ * Write one float sample in [-1, 1], clamping.
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @param {WavInfo} info
+ * @param {number} v
+ * @returns {void}
+ */
+function writeSample(buf, pos, info, v) {
+  const c = Math.max(-1, Math.min(1, v));
+  if (info.format === FORMAT_FLOAT) {
+    buf.writeFloatLE(c, pos);
+    return;
+  }
+  switch (info.bitsPerSample) {
+    case 8:
+      buf.writeUInt8(Math.round(c * 127) + 128, pos);
+      return;
+    case 16:
+      buf.writeInt16LE(Math.round(c * 32767), pos);
+      return;
+    case 24:
+      buf.writeIntLE(Math.round(c * 8388607), pos, 3);
+      return;
+    default:
+      buf.writeInt32LE(Math.round(c * 2147483647), pos);
+  }
+}
+
+/**
+ * Return a copy of a WAV file with every sample passed through fn.
+ * fn receives the sample (float) and the frame's time in seconds.
+ * @param {Buffer} buf
+ * @param {(sample: number, timeSec: number) => number} fn
+ * @returns {Buffer}
+ * @throws {Error} if the WAV format isn't supported
+ */
+export function rewriteSamples(buf, fn) {
+  const info = parseWav(buf);
+  if (!info || !isEditableWav(info)) throw new Error('Unsupported WAV format');
+
+  const out = Buffer.from(buf);
+  const bytes = info.bitsPerSample / 8;
+  const frameSize = info.blockAlign || bytes * info.channels;
+  const end = info.dataOffset + info.dataLength - (info.dataLength % frameSize);
+
+  for (let frame = info.dataOffset; frame < end; frame += frameSize) {
+    const t = (frame - info.dataOffset) / frameSize / info.sampleRate;
+    for (let ch = 0; ch < info.channels; ch++) {
+      const pos = frame + ch * bytes;
+      writeSample(out, pos, info, fn(readSample(out, pos, info), t));
+    }
+  }
+  return out;
+}
+
+/**
+ * Return a WAV file holding `durationSec` seconds from `startSec` (to the end
+ * if duration is omitted). Chunks after the data chunk are dropped.
+ * @param {Buffer} buf
+ * @param {number} startSec
+ * @param {number} [durationSec]
+ * @returns {Buffer}
+ * @throws {Error} if buf isn't a WAV file
+ */
+export function sliceWav(buf, startSec, durationSec) {
+  const info = parseWav(buf);
+  if (!info) throw new Error('Not a WAV file');
+
+  const frameSize = info.blockAlign || (info.bitsPerSample / 8) * info.channels;
+  const frames = Math.floor(info.dataLength / frameSize);
+  const from = Math.min(frames, Math.round(startSec * info.sampleRate));
+  const to = durationSec === undefined ? frames : Math.min(frames, from + Math.round(durationSec * info.sampleRate));
+
+  const data = buf.subarray(info.dataOffset + from * frameSize, info.dataOffset + to * frameSize);
+  const out = Buffer.concat([buf.subarray(0, info.dataOffset), data]);
+  out.writeUInt32LE(out.length - 8, 4);
+  out.writeUInt32LE(data.length, info.dataOffset - 4);
+  return out;
+}
+
+/**
+ * Apply trim, fade-out and volume to a WAV file in one pass.
+ * @param {Buffer} buf
+ * @param {{ volume?: number; start?: number; duration?: number; fade?: number }} opts
+ *   volume: gain factor; start/duration/fade: seconds
+ * @returns {Buffer}
+ * @throws {Error} if the WAV format isn't supported
+ */
+export function renderWav(buf, { volume = 1, start = 0, duration, fade = 0 }) {
+  const sliced = start > 0 || duration !== undefined ? sliceWav(buf, start, duration) : buf;
+  const info = parseWav(sliced);
+  if (!info) throw new Error('Not a WAV file');
+  const frameSize = info.blockAlign || (info.bitsPerSample / 8) * info.channels;
+  const length = info.dataLength / frameSize / info.sampleRate;
+  const fadeFrom = length - fade;
+
+  return rewriteSamples(sliced, (s, t) => {
+    const gain = fade > 0 && t > fadeFrom ? Math.max(0, (length - t) / fade) : 1;
+    return s * volume * gain;
+  });
+}
+
+/**
+ * Decode a WAV file to interleaved float samples in [-1, 1].
+ * @param {Buffer} buf
+ * @returns {{ sampleRate: number; channels: number; samples: Float32Array }}
+ * @throws {Error} if the WAV format isn't supported
+ */
+export function decodeWav(buf) {
+  const info = parseWav(buf);
+  if (!info || !isEditableWav(info)) throw new Error('Unsupported WAV format');
+  const bytes = info.bitsPerSample / 8;
+  const frameSize = info.blockAlign || bytes * info.channels;
+  const frames = Math.floor(info.dataLength / frameSize);
+
+  const samples = new Float32Array(frames * info.channels);
+  for (let f = 0; f < frames; f++) {
+    for (let ch = 0; ch < info.channels; ch++) {
+      samples[f * info.channels + ch] = readSample(buf, info.dataOffset + f * frameSize + ch * bytes, info);
+    }
+  }
+  return { sampleRate: info.sampleRate, channels: info.channels, samples };
+}
+
+/**
+ * Average interleaved channels down to mono.
+ * @param {Float32Array} samples
+ * @param {number} channels
+ * @returns {Float32Array}
+ */
+export function toMono(samples, channels) {
+  if (channels === 1) return samples;
+  const out = new Float32Array(Math.floor(samples.length / channels));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let ch = 0; ch < channels; ch++) sum += samples[i * channels + ch];
+    out[i] = sum / channels;
+  }
+  return out;
+}
+
+/**
+ * Linear-interpolation resample of a mono signal.
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Float32Array}
+ */
+export function resampleMono(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) return samples;
+  const out = new Float32Array(Math.max(1, Math.floor((samples.length * toRate) / fromRate)));
+  const step = fromRate / toRate;
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * step;
+    const j = Math.floor(pos);
+    const a = samples[Math.min(j, samples.length - 1)];
+    const b = samples[Math.min(j + 1, samples.length - 1)];
+    out[i] = a + (b - a) * (pos - j);
+  }
+  return out;
+}
+
+/**
+ * Encode float samples as signed 16-bit little-endian PCM.
+ * @param {Float32Array} samples
+ * @returns {Buffer}
+ */
+export function encodeS16LE(samples) {
+  const out = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    out.writeInt16LE(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767), i * 2);
+  }
+  return out;
+}
+
+/**
+ * Encode float samples as unsigned 8-bit PCM (the /dev/dsp default format).
+ * @param {Float32Array} samples
+ * @returns {Buffer}
+ */
+export function encodeU8(samples) {
+  const out = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    out[i] = Math.round(Math.max(-1, Math.min(1, samples[i])) * 127) + 128;
+  }
+  return out;
+}
+
+/**
+ * A complete 16-bit mono PCM WAV file.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+export function encodeWavMono16(samples, sampleRate) {
+  const data = encodeS16LE(samples);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(FORMAT_PCM, 20);
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parsePackManifest, installPack, packsDir } from '../src/packs.js';
+
+const WAV = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'sounds', 'ring1.wav');
+
+/** @param {string} file */
+const manifest = (file) => ({ name: 'retro', sounds: [{ id: 'coin', file }] });
+
+let home;
+before(async () => {
+  home = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-sound-test-'));
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+});
+after(async () => {
+  await fs.rm(home, { recursive: true, force: true });
+});
+
+test('accepts relative sound paths and normalises them', () => {
+  assert.equal(parsePackManifest(manifest('sounds/coin.wav')).sounds[0].file, 'sounds/coin.wav');
+  assert.equal(parsePackManifest(manifest('./sounds/../coin.wav')).sounds[0].file, 'coin.wav');
+});
+
+test('rejects sound paths that leave the pack', () => {
+  for (const file of ['../coin.wav', 'sounds/../../coin.wav', '/etc/coin.wav', '..', 'a\\..\\..\\coin.wav', 'coin\0.wav', '']) {
+    assert.throws(() => parsePackManifest(manifest(file)), /relative path inside the pack/, JSON.stringify(file));
+  }
+});
+
+test('rejects unsafe pack names and sound ids', () => {
+  assert.throws(() => parsePackManifest({ ...manifest('coin.wav'), name: '../retro' }), /Invalid pack name/);
+  assert.throws(() => parsePackManifest({ ...manifest('coin.wav'), name: 'Retro' }), /Invalid pack name/);
+  assert.throws(
+    () => parsePackManifest({ name: 'retro', sounds: [{ id: '../coin', file: 'coin.wav' }] }),
+    /invalid id/
+  );
+  assert.throws(
+    () => parsePackManifest({ name: 'retro', sounds: [{ id: 'coin', file: 'a.wav' }, { id: 'coin', file: 'b.wav' }] }),
+    /duplicate id/
+  );
+});
+
+test('rejects files that are not audio by extension', () => {
+  assert.throws(() => parsePackManifest(manifest('coin.sh')), /unsupported file type/);
+});
+
+test('installs a directory pack inside the packs dir only', async () => {
+  const source = path.join(home, 'src-pack');
+  await fs.mkdir(path.join(source, 'sounds'), { recursive: true });
+  await fs.copyFile(WAV, path.join(source, 'sounds', 'coin.wav'));
+  await fs.writeFile(path.join(source, 'pack.json'), JSON.stringify(manifest('sounds/coin.wav')));
+
+  const { dir } = await installPack(source);
+  assert.equal(dir, path.join(packsDir(), 'retro'));
+  assert.deepEqual((await fs.readdir(path.join(dir, 'sounds'))).sort(), ['coin.wav']);
+});
+
+test('refuses a directory pack pointing outside itself, writing nothing', async () => {
+  const source = path.join(home, 'evil-pack');
+  await fs.mkdir(source, { recursive: true });
+  await fs.copyFile(WAV, path.join(home, 'outside.wav'));
+  await fs.writeFile(
+    path.join(source, 'pack.json'),
+    JSON.stringify({ name: 'evil', sounds: [{ id: 'x', file: '../outside.wav' }] })
+  );
+
+  await assert.rejects(installPack(source), /relative path inside the pack/);
+  await assert.rejects(fs.access(path.join(packsDir(), 'evil')), { code: 'ENOENT' });
+});
+
+test('refuses content that does not match the extension', async () => {
+  const source = path.join(home, 'fake-pack');
+  await fs.mkdir(source, { recursive: true });
+  await fs.writeFile(path.join(source, 'coin.wav'), '#!/bin/sh\necho hi\n');
+  await fs.writeFile(path.join(source, 'pack.json'), JSON.stringify({ name: 'fake', sounds: [{ id: 'coin', file: 'coin.wav' }] }));
+
+  await assert.rejects(installPack(source), /not a recognised audio file/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidPlayerName, playerTemplateError, templatePlayer } from '../src/player-template.js';
+
+test('accepts plain executables and absolute paths with {file}', () => {
+  assert.equal(playerTemplateError(['pw-play', '--volume={volume}', '{file}']), null);
+  assert.equal(playerTemplateError(['/usr/local/bin/my player', '{file}']), null);
+  assert.equal(playerTemplateError(['play', '-q', '{file}', 'trim', '{start}', '{duration}']), null);
+});
+
+test('requires {file} and known placeholders in the arguments', () => {
+  assert.match(playerTemplateError(['pw-play', '--volume={volume}']), /must include \{file\}/);
+  assert.match(playerTemplateError(['pw-play', '{file}', '{speed}']), /unknown placeholder \{speed\}/);
+  assert.match(playerTemplateError(['{file}', '{file}']), /executable/);
+});
+
+test('refuses shells and interpreters that would run {file} as a script', () => {
+  for (const shell of ['sh', 'bash', '/bin/zsh', 'cmd.exe', 'powershell', 'pwsh']) {
+    assert.match(playerTemplateError([shell, '-c', '{file}']), /is a shell/, shell);
+  }
+  assert.match(playerTemplateError(['play.bat', '{file}']), /batch files/);
+});
+
+test('refuses shell syntax and relative paths in the executable', () => {
+  for (const command of ['play;rm', 'play $(x)', './play', 'bin/play', '/usr/bin/play`x`', 'play|tee']) {
+    assert.match(playerTemplateError([command, '{file}']), /plain name or an absolute path/, command);
+  }
+});
+
+test('refuses malformed templates', () => {
+  assert.match(playerTemplateError('pw-play {file}'), /expected a list/);
+  assert.match(playerTemplateError(['pw-play']), /expected a list/);
+  assert.match(playerTemplateError(['pw-play', '']), /non-empty string/);
+  assert.match(playerTemplateError(['pw-play', 42]), /non-empty string/);
+  assert.match(playerTemplateError(['pw-play', '{file}\nrm -rf /']), /line breaks/);
+  assert.match(playerTemplateError(['pw-play', ...Array(40).fill('{file}')]), /expected a list/);
+});
+
+test('checks player names', () => {
+  assert.equal(isValidPlayerName('pw-play'), true);
+  assert.equal(isValidPlayerName('my.player_2'), true);
+  for (const name of ['', '-x', 'a b', 'a/b', '..', 'x'.repeat(41), 3]) {
+    assert.equal(isValidPlayerName(name), false, String(name));
+  }
+});
+
+test('fills placeholders, one argument per element, and drops {duration} when unset', () => {
+  const player = templatePlayer('sox', ['play', '-v', '{volume}', '{file}', 'trim', '{start}', '{duration}']);
+  assert.deepEqual(player.supports, ['volume', 'start', 'duration']);
+  assert.deepEqual(player.args('/tmp/a b.wav', { volume: 0.5, start: 1, duration: 2 }), [
+    '-v',
+    '0.5',
+    '/tmp/a b.wav',
+    'trim',
+    '1',
+    '2'
+  ]);
+  assert.deepEqual(player.args('/tmp/a.wav', {}), ['-v', '1', '/tmp/a.wav', 'trim', '0']);
+});
+
+test('fills {volume100} as a rounded percentage', () => {
+  const player = templatePlayer('pw', ['pw-play', '--volume={volume100}', '{file}']);
+  assert.deepEqual(player.supports, ['volume']);
+  assert.deepEqual(player.args('/x.wav', { volume: 0.333 }), ['--volume=33', '/x.wav']);
+});
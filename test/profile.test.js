@@ -0,0 +1,145 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const SOUNDS = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'sounds');
+
+/** @type {typeof import('../src/profile.js')} */
+let profile;
+/** @type {typeof import('../src/sounds.js')} */
+let sounds;
+/** @type {typeof import('../src/tts.js')} */
+let tts;
+
+let home;
+before(async () => {
+  home = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-sound-test-'));
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+  // The custom sounds dir is fixed when tts.js loads, so import after HOME is set.
+  profile = await import('../src/profile.js');
+  sounds = await import('../src/sounds.js');
+  tts = await import('../src/tts.js');
+});
+after(async () => {
+  await fs.rm(home, { recursive: true, force: true });
+});
+
+/** @param {Buffer} buf */
+const sha256 = (buf) => createHash('sha256').update(buf).digest('hex');
+
+/**
+ * A profile entry bundling `data` as custom/<name>.
+ * @param {string} name
+ * @param {Buffer} data
+ * @param {string} [file]
+ */
+const bundled = (name, data, file = `${name}.wav`) => ({ id: `custom/${name}`, sha256: sha256(data), file, data: data.toString('base64') });
+
+/** @param {object} [extra] */
+const raw = (extra = {}) => ({ kind: 'claude-sound-profile', version: 1, mappings: {}, ...extra });
+
+test('rejects files that are not version 1 profiles', () => {
+  assert.throws(() => profile.parseProfile(null), /Not a claude-sound profile/);
+  assert.throws(() => profile.parseProfile({ ...raw(), kind: 'other' }), /Not a claude-sound profile/);
+  assert.throws(() => profile.parseProfile({ ...raw(), version: 2 }), /Unsupported profile version: 2/);
+  assert.throws(() => profile.parseProfile({ ...raw(), mappings: undefined }), /no "mappings"/);
+});
+
+test('rejects unknown events, bad sound ids and bad options in mappings', () => {
+  assert.throws(() => profile.parseProfile(raw({ mappings: { Nope: [] } })), /Unknown event in profile: Nope/);
+  assert.throws(() => profile.parseProfile(raw({ mappings: { Stop: {} } })), /must be a list/);
+  for (const sound of ['../ring1', 'a b', '', 7]) {
+    assert.throws(
+      () => profile.parseProfile(raw({ mappings: { Stop: [{ matcher: '*', sound }] } })),
+      /Invalid sound id for Stop/,
+      JSON.stringify(sound)
+    );
+  }
+  assert.throws(() => profile.parseProfile(raw({ mappings: { Stop: [{ matcher: '*', sound: 'ring1', volume: 150 }] } })), /^Error: Stop: /);
+});
+
+test('rejects custom sounds whose names could leave the custom sounds dir', () => {
+  for (const id of ['custom/../x', 'custom/A', 'custom/a/b', 'ring1', 'custom/']) {
+    assert.throws(
+      () => profile.parseProfile(raw({ customSounds: [{ id, sha256: 'x', file: 'x.wav' }] })),
+      /Invalid custom sound/,
+      id
+    );
+  }
+  assert.throws(() => profile.parseProfile(raw({ customSounds: [{ id: 'custom/x', file: 'x.wav' }] })), /Invalid custom sound entry/);
+});
+
+test('rejects invalid rules and cues', () => {
+  assert.throws(() => profile.parseProfile(raw({ rules: {} })), /Invalid rule in profile: "rules" must be a list/);
+  assert.throws(
+    () => profile.parseProfile(raw({ rules: [{ sound: 'ring1' }, { sound: '../x' }] })),
+    /Invalid rule in profile: rules\[1\]/
+  );
+  assert.throws(() => profile.parseProfile(raw({ cues: [] })), /"cues" must be an object/);
+  assert.throws(() => profile.parseProfile(raw({ cues: { 'a b': { mode: 'layer', sounds: ['ring1'] } } })), /Cue a b: invalid name/);
+  assert.throws(() => profile.parseProfile(raw({ cues: { x: { mode: 'layer', sounds: ['cue/y'] } } })), /Cue x: .*can't contain cues/);
+});
+
+test('plans bundled sounds inside the custom sounds dir and reports missing and unknown ids', async () => {
+  const wav = await fs.readFile(path.join(SOUNDS, 'ring1.wav'));
+  const plan = await profile.planProfileApply(
+    profile.parseProfile(
+      raw({
+        mappings: {
+          Stop: [{ matcher: '*', sound: 'custom/chime' }],
+          Notification: [{ matcher: '*', sound: 'custom/gone' }],
+          SessionStart: [{ matcher: '*', sound: 'from-the-future' }]
+        },
+        customSounds: [bundled('chime', wav), { id: 'custom/gone', sha256: 'abc', file: 'gone.wav' }]
+      })
+    ),
+    { projectDir: home }
+  );
+  assert.deepEqual(
+    plan.writes.map((w) => [w.id, w.filePath]),
+    [['custom/chime', path.join(tts.customSoundsDir(), 'chime.wav')]]
+  );
+  assert.deepEqual(plan.missing, ['custom/gone']);
+  assert.deepEqual(plan.unknown, ['from-the-future']);
+
+  const kept = profile.withoutMissing(plan);
+  assert.deepEqual(Object.keys(kept.mappings).sort(), ['SessionStart', 'Stop']);
+});
+
+test('refuses bundled sounds that are empty, altered, not audio or the wrong type', async () => {
+  const wav = await fs.readFile(path.join(SOUNDS, 'ring1.wav'));
+  const plan = (s) => profile.planProfileApply(profile.parseProfile(raw({ customSounds: [s] })), { projectDir: home });
+
+  await assert.rejects(plan(bundled('empty', Buffer.alloc(0))), /is empty or larger than/);
+  await assert.rejects(plan({ ...bundled('altered', wav), sha256: sha256(Buffer.from('other')) }), /does not match its sha256/);
+  await assert.rejects(plan(bundled('script', wav, 'script.sh')), /unsupported file type: \.sh/);
+  await assert.rejects(plan(bundled('noext', wav, 'noext')), /unsupported file type: \(none\)/);
+  await assert.rejects(plan(bundled('fake', Buffer.from('#!/bin/sh\necho hi\n'))), /^Error: Bundled sound custom\/fake: /);
+});
+
+test('reuses identical local sounds and renames bundled ones whose name is taken', async () => {
+  const ring1 = await fs.readFile(path.join(SOUNDS, 'ring1.wav'));
+  const ring2 = await fs.readFile(path.join(SOUNDS, 'ring2.wav'));
+  await fs.mkdir(tts.customSoundsDir(), { recursive: true });
+  await fs.writeFile(path.join(tts.customSoundsDir(), 'mine.wav'), ring1);
+  sounds.invalidateSoundCache();
+
+  const plan = await profile.planProfileApply(
+    profile.parseProfile(
+      raw({
+        mappings: { Stop: [{ matcher: '*', sound: 'custom/theirs' }, { matcher: 'x', sound: 'custom/mine' }] },
+        customSounds: [bundled('theirs', ring1), bundled('mine', ring2)]
+      })
+    ),
+    { projectDir: home }
+  );
+  const renamed = `custom/mine-${sha256(ring2).slice(0, 6)}`;
+  assert.deepEqual(plan.remapped, { 'custom/theirs': 'custom/mine' });
+  assert.deepEqual(plan.writes.map((w) => w.id), [renamed]);
+  assert.deepEqual(plan.mappings.Stop.map((e) => e.soundId), ['custom/mine', renamed]);
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pickIndex, rotationStatePath } from '../src/rotation.js';
+
+let home;
+before(async () => {
+  home = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-sound-test-'));
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+});
+after(async () => {
+  await fs.rm(home, { recursive: true, force: true });
+});
+
+/**
+ * @param {string} key
+ * @param {number} count
+ * @param {import('../src/rotation.js').PickMode} mode
+ * @param {number} times
+ */
+async function picks(key, count, mode, times) {
+  const out = [];
+  for (let i = 0; i < times; i++) out.push(await pickIndex(key, count, mode));
+  return out;
+}
+
+test('rotate cycles through every index in order', async () => {
+  assert.deepEqual(await picks('cue/bells', 3, 'rotate', 7), [0, 1, 2, 0, 1, 2, 0]);
+});
+
+test('shuffle plays each index once per round, never twice in a row', async () => {
+  const seq = await picks('pool:a,b,c,d', 4, 'shuffle', 40);
+  for (let round = 0; round < 10; round++) {
+    assert.deepEqual([...seq.slice(round * 4, round * 4 + 4)].sort(), [0, 1, 2, 3]);
+  }
+  for (let i = 1; i < seq.length; i++) assert.notEqual(seq[i], seq[i - 1], `repeat at ${i}`);
+});
+
+test('keys rotate independently', async () => {
+  await picks('cue/one', 3, 'rotate', 2);
+  assert.equal(await pickIndex('cue/two', 3, 'rotate'), 0);
+  assert.equal(await pickIndex('cue/one', 3, 'rotate'), 2);
+});
+
+test('peeking does not move on', async () => {
+  await pickIndex('cue/peek', 3, 'rotate');
+  assert.equal(await pickIndex('cue/peek', 3, 'rotate', { persist: false }), 1);
+  assert.equal(await pickIndex('cue/peek', 3, 'rotate', { persist: false }), 1);
+  assert.equal(await pickIndex('cue/peek', 3, 'rotate'), 1);
+});
+
+test('single items and random picks keep no state', async () => {
+  assert.equal(await pickIndex('cue/solo', 1, 'rotate'), 0);
+  for (let i = 0; i < 20; i++) {
+    const index = await pickIndex('pool:random', 3, 'random');
+    assert.ok(index >= 0 && index < 3);
+  }
+  const state = JSON.parse(await fs.readFile(rotationStatePath(), 'utf8'));
+  assert.equal('cue/solo' in state, false);
+  assert.equal('pool:random' in state, false);
+});
+
+test('a damaged state file is started over and replaced', async () => {
+  await fs.writeFile(rotationStatePath(), '{"cue/bells": {"next": 1');
+  assert.equal(await pickIndex('cue/bells', 3, 'rotate'), 0);
+  assert.deepEqual(JSON.parse(await fs.readFile(rotationStatePath(), 'utf8')), { 'cue/bells': { next: 1 } });
+
+  await fs.writeFile(rotationStatePath(), JSON.stringify({ 'pool:x,y': { bag: [7, -1], last: 0 } }));
+  const index = await pickIndex('pool:x,y', 2, 'shuffle');
+  assert.ok(index === 0 || index === 1);
+});
+
+test('concurrent picks each get their own turn', async () => {
+  const seq = await Promise.all(Array.from({ length: 6 }, () => pickIndex('cue/busy', 6, 'rotate')));
+  assert.deepEqual(seq.sort(), [0, 1, 2, 3, 4, 5]);
+  await assert.rejects(fs.access(path.join(path.dirname(rotationStatePath()), 'rotation.lock')), { code: 'ENOENT' });
+});
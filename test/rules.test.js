@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPayloadField, normalizeRules, ruleError, ruleMatches, rulesErrors, selectSoundForPayload } from '../src/rules.js';
+
+const bash = { tool_name: 'Bash', tool_input: { command: 'git push origin main', timeout: 5 } };
+
+test('reads payload fields by dot path', () => {
+  assert.equal(getPayloadField(bash, 'tool_input.command'), 'git push origin main');
+  assert.equal(getPayloadField(bash, 'tool_input.command.length'), undefined);
+  assert.equal(getPayloadField(bash, 'missing.field'), undefined);
+});
+
+test('matches events, exact values, lists and /patterns/', () => {
+  assert.equal(ruleMatches({ sound: 'ring1' }, 'Stop', {}), true);
+  assert.equal(ruleMatches({ sound: 'ring1', event: 'Stop' }, 'Notification', {}), false);
+  assert.equal(ruleMatches({ sound: 'ring1', event: ['Stop', 'PostToolUse'] }, 'PostToolUse', bash), true);
+  assert.equal(ruleMatches({ sound: 'ring1', when: { tool_name: 'Bash' } }, 'PostToolUse', bash), true);
+  assert.equal(ruleMatches({ sound: 'ring1', when: { tool_name: ['Edit', 'Write'] } }, 'PostToolUse', bash), false);
+  assert.equal(ruleMatches({ sound: 'ring1', when: { 'tool_input.command': '/^git push/' } }, 'PostToolUse', bash), true);
+  assert.equal(ruleMatches({ sound: 'ring1', when: { 'tool_input.command': '/^GIT/i' } }, 'PostToolUse', bash), true);
+  assert.equal(ruleMatches({ sound: 'ring1', when: { 'tool_input.timeout': 5 } }, 'PostToolUse', bash), true);
+  assert.equal(ruleMatches({ sound: 'ring1', when: { 'tool_input.timeout': '5' } }, 'PostToolUse', bash), false);
+});
+
+test('patterns never match objects or missing fields', () => {
+  assert.equal(ruleMatches({ sound: 'ring1', when: { tool_input: '/.*/' } }, 'PostToolUse', bash), false);
+  assert.equal(ruleMatches({ sound: 'ring1', when: { nothing: '/.*/' } }, 'PostToolUse', bash), false);
+});
+
+test('the first matching rule wins, otherwise the fallback', () => {
+  const rules = [
+    { sound: 'ring2', when: { tool_name: 'Edit' } },
+    { sound: 'ring3', when: { tool_name: 'Bash' } },
+    { sound: 'ring4' }
+  ];
+  assert.equal(selectSoundForPayload(rules, 'PostToolUse', bash, 'ring1'), 'ring3');
+  assert.equal(selectSoundForPayload(rules.slice(0, 1), 'PostToolUse', bash, 'ring1'), 'ring1');
+  assert.equal(selectSoundForPayload(rules, null, bash, 'ring1'), 'ring1');
+});
+
+test('explains why a rule is invalid', () => {
+  assert.equal(ruleError({ sound: 'ring1', event: 'Stop', when: { a: ['x', 1, true, null] } }), null);
+  assert.match(ruleError(null), /must be an object/);
+  assert.match(ruleError(['ring1']), /must be an object/);
+  assert.match(ruleError({ sound: 'ring1; rm -rf ~' }), /"sound" must be a sound id/);
+  assert.match(ruleError({ sound: 'ring1', event: ['Stop', 'Nope'] }), /unknown event "Nope"/);
+  assert.match(ruleError({ sound: 'ring1', when: 'Bash' }), /"when" must be an object/);
+  assert.match(ruleError({ sound: 'ring1', when: { a: { b: 1 } } }), /"when.a" must be a string/);
+  assert.match(ruleError({ sound: 'ring1', when: { a: ['/(/'] } }), /"when.a": invalid pattern \/\(\//);
+});
+
+test('drops invalid rules and reports them by index', () => {
+  const raw = [{ sound: 'ring1' }, { sound: '../x' }, { sound: 'ring2', event: 'Nope' }];
+  assert.deepEqual(normalizeRules(raw), [{ sound: 'ring1' }]);
+  assert.deepEqual(normalizeRules({ sound: 'ring1' }), []);
+  assert.deepEqual(rulesErrors(raw).map((e) => e.split(':')[0]), ['rules[1]', 'rules[2]']);
+  assert.deepEqual(rulesErrors(undefined), []);
+  assert.deepEqual(rulesErrors({}), ['"rules" must be a list']);
+});
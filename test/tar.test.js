@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+import { readTar } from '../src/tar.js';
+
+/**
+ * One ustar header block with a valid checksum.
+ * @param {string} name
+ * @param {number} size
+ * @param {string} [type]
+ * @param {string} [prefix]
+ * @returns {Buffer}
+ */
+function header(name, size, type = '0', prefix = '') {
+  const h = Buffer.alloc(512);
+  h.write(name, 0, 100, 'utf8');
+  h.write('0000644\0', 100, 'ascii');
+  h.write(size.toString(8).padStart(11, '0') + '\0', 124, 'ascii');
+  h.write(type, 156, 'ascii');
+  h.write('ustar\0', 257, 'ascii');
+  h.write('00', 263, 'ascii');
+  h.write(prefix, 345, 155, 'utf8');
+  h.fill(0x20, 148, 156);
+  let sum = 0;
+  for (const b of h) sum += b;
+  h.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 'ascii');
+  return h;
+}
+
+/** @param {Buffer} data */
+function padded(data) {
+  return Buffer.concat([data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+}
+
+/**
+ * @param {Array<{ name: string; data?: Buffer | string; type?: string; prefix?: string }>} entries
+ * @returns {Buffer}
+ */
+function tarArchive(entries) {
+  const blocks = [];
+  for (const { name, data = '', type, prefix } of entries) {
+    const buf = Buffer.from(data);
+    blocks.push(header(name, buf.length, type, prefix), padded(buf));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+test('reads regular files with their contents', () => {
+  const files = readTar(tarArchive([{ name: 'pack.json', data: '{}' }, { name: 'sounds/a.wav', data: 'RIFF' }]));
+  assert.deepEqual(
+    files.map((f) => [f.path, f.data.toString()]),
+    [
+      ['pack.json', '{}'],
+      ['sounds/a.wav', 'RIFF']
+    ]
+  );
+});
+
+test('reads gzip-compressed archives', () => {
+  const files = readTar(gzipSync(tarArchive([{ name: 'pack.json', data: '{}' }])));
+  assert.deepEqual(files.map((f) => f.path), ['pack.json']);
+});
+
+test('skips symlinks, hard links, directories and devices', () => {
+  const files = readTar(
+    tarArchive([
+      { name: 'link', type: '2' },
+      { name: 'hard', type: '1' },
+      { name: 'dir/', type: '5' },
+      { name: 'dev', type: '3' },
+      { name: 'fifo', type: '6' },
+      { name: 'real.wav', data: 'x' }
+    ])
+  );
+  assert.deepEqual(files.map((f) => f.path), ['real.wav']);
+});
+
+test('joins the ustar prefix, and GNU and pax long names apply to the next entry only', () => {
+  const long = `${'a'.repeat(120)}.wav`;
+  const files = readTar(
+    tarArchive([
+      { name: 'b.wav', prefix: 'sounds', data: '1' },
+      { name: '././@LongLink', type: 'L', data: `${long}\0` },
+      { name: 'ignored', data: '2' },
+      { name: 'pax', type: 'x', data: '23 path=from-pax/c.wav\n' },
+      { name: 'ignored-too', data: '3' },
+      { name: 'plain.wav', data: '4' }
+    ])
+  );
+  assert.deepEqual(files.map((f) => f.path), ['sounds/b.wav', long, 'from-pax/c.wav', 'plain.wav']);
+});
+
+test('returns unsafe paths as they are, for the caller to check', () => {
+  // readTar only reads; packs.js decides which paths are allowed.
+  const files = readTar(tarArchive([{ name: '../escape.wav', data: 'x' }, { name: '/abs.wav', data: 'y' }]));
+  assert.deepEqual(files.map((f) => f.path), ['../escape.wav', '/abs.wav']);
+});
+
+test('rejects a bad checksum', () => {
+  const archive = tarArchive([{ name: 'a.wav', data: 'x' }]);
+  archive[0] ^= 1;
+  assert.throws(() => readTar(archive), /bad header checksum/);
+});
+
+test('rejects a truncated archive', () => {
+  const archive = tarArchive([{ name: 'a.wav', data: 'x'.repeat(2000) }]);
+  assert.throws(() => readTar(archive.subarray(0, 1024)), /Truncated/);
+});
+
+test('rejects base-256 sizes', () => {
+  const h = header('big.wav', 0);
+  h[124] = 0x80;
+  let sum = 0;
+  h.fill(0x20, 148, 156);
+  for (const b of h) sum += b;
+  h.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 'ascii');
+  assert.throws(() => readTar(Buffer.concat([h, Buffer.alloc(1024)])), /too large/);
+});
+
+test('enforces the uncompressed size limit', () => {
+  const archive = tarArchive([{ name: 'a.wav', data: 'x'.repeat(4096) }]);
+  assert.throws(() => readTar(archive, { maxBytes: 1024 }), /too large/);
+  assert.throws(() => readTar(gzipSync(archive), { maxBytes: 1024 }));
+});